@@ -1,5 +1,9 @@
-const { execSync } = require('child_process');
+const { execSync, spawn } = require('child_process');
+const readline = require('readline');
 const chalk = require('chalk');
+const { preparePromptDelivery, formatPromptStats } = require('./prompt-delivery');
+const { watchCall } = require('./interrupt');
+const { DuqError, ERROR_CODES } = require('./errors');
 
 // Collection of fun developer facts to display while waiting
 const funFacts = [
@@ -99,59 +103,149 @@ function checkQCliInstalled() {
 }
 
 /**
- * Call Amazon Q CLI with a prompt
- * @param {string} prompt - The prompt to send to Amazon Q
- * @returns {string} - The response from Amazon Q
+ * Show the duck splash screen while waiting for the first output (interactive terminals only)
+ * @returns {Function} - Removes the splash screen again, leaving earlier output in place
  */
-function callAmazonQ(prompt) {
-  // First check if Q CLI is installed
-  if (!checkQCliInstalled()) {
-    console.error(chalk.red('Error: Amazon Q CLI is not installed.'));
-    console.error(chalk.yellow('Please install it by following the instructions at:'));
-    console.error(chalk.yellow('https://docs.aws.amazon.com/amazonq/latest/qdevcg/setting-up-q-cli.html'));
-    process.exit(1);
+function showSplash() {
+  if (!process.stdout.isTTY) {
+    return () => {};
   }
 
   // Display a random fact and the duck art with a random color
   const randomFact = funFacts[Math.floor(Math.random() * funFacts.length)];
   const colors = ['red', 'green', 'yellow', 'blue', 'magenta', 'cyan'];
   const randomColor = colors[Math.floor(Math.random() * colors.length)];
-  
-  console.clear();
-  console.log(chalk.cyan('╔═══════════════════════════════════════════════════════════╗'));
-  console.log(chalk.cyan('║                      DUQ CLI ASSISTANT                    ║'));
-  console.log(chalk.cyan('╚═══════════════════════════════════════════════════════════╝'));
-  
-  console.log(chalk[randomColor](duckArt));
-  console.log(`\n${chalk.white(wrapText(randomFact, 60, true))}\n`);
-  
-  console.log(chalk.cyan('╔═══════════════════════════════════════════════════════════╗'));
-  console.log(chalk.cyan('║                        Please wait...                     ║'));
-  console.log(chalk.cyan('╚═══════════════════════════════════════════════════════════╝'));
-  
-  try {
-    // Truncate the prompt to a reasonable length for command line
-    const truncatedPrompt = prompt.substring(0, 500).replace(/"/g, '\\"').replace(/\n/g, ' ');
-    
-    // Call Amazon Q CLI with the correct syntax and trust all tools
-    const output = execSync(`q chat --no-interactive --trust-all-tools "${truncatedPrompt}..."`, { 
-      encoding: 'utf8',
-      maxBuffer: 1024 * 1024 * 10 // 10MB buffer for large responses
-    });
-    
-    console.clear(); // Clear the console
-    console.log(chalk.green('✓ Response generated successfully! Amazon Q Output:'));
-    
-    // Return the raw output
-    return output;
-  } catch (error) {
-    console.clear(); // Clear the console
-    console.log(chalk.red('✗ Failed to generate response'));
-    console.error(chalk.red('Error calling Amazon Q: ' + error.message));
-    
-    // Return a helpful error message
-    return `Error: Unable to get a response from Amazon Q.\n\nPlease try:\n1. Running 'q login' to ensure you're authenticated\n2. Running 'q chat' directly to test Amazon Q CLI\n3. Running 'q doctor' to diagnose issues\n4. Checking your internet connection`;
+
+  const splash = [
+    chalk.cyan('╔═══════════════════════════════════════════════════════════╗'),
+    chalk.cyan('║                      DUQ CLI ASSISTANT                    ║'),
+    chalk.cyan('╚═══════════════════════════════════════════════════════════╝'),
+    chalk[randomColor](duckArt),
+    `\n${chalk.white(wrapText(randomFact, 60, true))}\n`,
+    chalk.cyan('╔═══════════════════════════════════════════════════════════╗'),
+    chalk.cyan('║                        Please wait...                     ║'),
+    chalk.cyan('╚═══════════════════════════════════════════════════════════╝')
+  ].join('\n') + '\n';
+  process.stdout.write(splash);
+
+  let shown = true;
+  return () => {
+    if (shown) {
+      // Move back over the splash and clear it instead of clearing the whole screen
+      readline.moveCursor(process.stdout, 0, -splash.split('\n').length + 1);
+      readline.clearScreenDown(process.stdout);
+      shown = false;
+    }
+  };
+}
+
+/**
+ * Call Amazon Q CLI with a prompt, streaming the response as it arrives
+ * @param {string} prompt - The prompt to send to Amazon Q
+ * @param {Object} options - Call options
+ * @param {string} [options.delivery] - How to deliver the prompt ('stdin' or 'file')
+ * @param {string[]} [options.trustArgs] - Tool trust arguments (defaults to trusting no tools)
+ * @param {Function} [options.onToken] - Called with each chunk of output as it arrives
+ * @param {number} [options.timeout] - Seconds before the call is stopped; 0 for no limit
+ * @returns {Promise<string>} - The response from Amazon Q
+ * @throws {DuqError} - E_PROVIDER when Amazon Q is missing or fails, E_CANCELLED or E_TIMEOUT when stopped
+ */
+function callAmazonQ(prompt, options = {}) {
+  // First check if Q CLI is installed
+  if (!checkQCliInstalled()) {
+    return Promise.reject(new DuqError(ERROR_CODES.PROVIDER,
+      'Amazon Q CLI is not installed. Please install it by following the instructions at: https://docs.aws.amazon.com/amazonq/latest/qdevcg/setting-up-q-cli.html',
+      { provider: 'amazon-q' }));
   }
+
+  // Send the complete prompt, never a truncated copy of it
+  const delivery = preparePromptDelivery(prompt, options.delivery);
+  console.log(chalk.gray(`Prompt sent via ${delivery.method}: ${formatPromptStats(delivery.stats)}`));
+  const hideSplash = showSplash();
+
+  return new Promise((resolve, reject) => {
+    // Call Amazon Q CLI with the correct syntax and only the tools the command may use
+    const trustArgs = options.trustArgs || ['--trust-tools='];
+    const child = spawn('q', ['chat', '--no-interactive', ...trustArgs, ...delivery.args], {
+      stdio: ['pipe', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    let errorOutput = '';
+    let stopReason = null;
+    let started = false;
+
+    const stopWatching = watchCall({
+      timeout: options.timeout,
+      cancel: (reason) => {
+        stopReason = reason;
+        child.kill('SIGTERM');
+        // Give Amazon Q a moment to exit cleanly before forcing it
+        setTimeout(() => child.kill('SIGKILL'), 2000).unref();
+      }
+    });
+
+    const finish = (error) => {
+      stopWatching();
+      hideSplash();
+      delivery.cleanup();
+
+      if (stopReason) {
+        console.error(chalk.red(`\n✗ ${stopReason.message}`));
+        reject(stopReason);
+        return;
+      }
+      if (error) {
+        console.error(chalk.red('✗ Failed to generate response'));
+
+        // Fail with a helpful error message
+        reject(new DuqError(ERROR_CODES.PROVIDER,
+          `Unable to get a response from Amazon Q (${error.message}).\n\nPlease try:\n1. Running 'q login' to ensure you're authenticated\n2. Running 'q chat' directly to test Amazon Q CLI\n3. Running 'q doctor' to diagnose issues\n4. Checking your internet connection`,
+          { provider: 'amazon-q' }));
+        return;
+      }
+
+      if (!started || !options.onToken) {
+        console.log(chalk.green('✓ Response generated successfully! Amazon Q Output:'));
+      }
+      // Return the raw output
+      resolve(output);
+    };
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => {
+      if (!started) {
+        started = true;
+        hideSplash();
+        if (options.onToken) {
+          console.log(chalk.green('Amazon Q Output:'));
+        }
+      }
+      output += chunk;
+      if (options.onToken) {
+        options.onToken(chunk);
+      }
+    });
+
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', (chunk) => {
+      errorOutput += chunk;
+    });
+
+    child.on('error', (error) => finish(error));
+    child.on('close', (code, signal) => {
+      if (code === 0 || stopReason) {
+        finish();
+      } else {
+        const details = errorOutput.trim().split('\n').slice(-5).join('\n');
+        finish(new Error(`q exited with ${signal ? 'signal ' + signal : 'code ' + code}${details ? '\n' + details : ''}`));
+      }
+    });
+
+    // A closed pipe (e.g. q failed to start) must not crash duq
+    child.stdin.on('error', () => {});
+    child.stdin.end(delivery.input);
+  });
 }
 
 module.exports = {
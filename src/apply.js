@@ -0,0 +1,235 @@
+/**
+ * Preview and apply proposed file changes.
+ *
+ * Every file-modifying command hands its proposed content to `applyChanges`, which shows a
+ * unified diff and then, depending on the options:
+ * - writes a patch file (or prints the patch) without touching the source (--diff-only)
+ * - applies every hunk (--yes)
+ * - asks hunk by hunk, like `git add -p` (interactive terminals)
+ * A backup is created through the BackupManager before the source is written.
+ *
+ * @module apply
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+const chalk = require('chalk');
+const backupManager = require('./backup-manager');
+const { diffHunks, formatHunkHeader, formatUnifiedDiff, applyHunks } = require('./diff');
+
+const HUNK_HELP = `y - apply this hunk
+n - do not apply this hunk
+a - apply this hunk and all remaining hunks
+d - do not apply this hunk or any of the remaining hunks
+q - quit; do not apply this hunk or any of the remaining hunks
+? - print help`;
+
+/**
+ * Colorize a unified diff for the terminal
+ * @param {string} patch - Unified diff text
+ * @returns {string} - Colored diff
+ */
+function colorizeDiff(patch) {
+    return patch.split('\n').map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) {
+            return chalk.bold(line);
+        }
+        if (line.startsWith('@@')) {
+            return chalk.cyan(line);
+        }
+        if (line.startsWith('+')) {
+            return chalk.green(line);
+        }
+        if (line.startsWith('-')) {
+            return chalk.red(line);
+        }
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Build the a/ and b/ labels used in patches
+ * @param {string} filePath - Absolute path of the file
+ * @returns {Object} - { oldName, newName }
+ */
+function patchLabels(filePath) {
+    const relative = path.relative(process.cwd(), filePath).split(path.sep).join('/');
+    const name = relative.startsWith('..') ? filePath : relative;
+    return { oldName: `a/${name}`, newName: `b/${name}` };
+}
+
+/**
+ * Create a line reader for terminal answers. Lines typed (or pasted) ahead of a
+ * question are queued instead of lost; a closed input answers 'q'.
+ * @returns {Object} - { ask(question), close() }
+ */
+function createPrompter() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: false });
+    const lines = [];
+    let waiting = null;
+    let closed = false;
+
+    rl.on('line', line => {
+        if (waiting) {
+            const resolve = waiting;
+            waiting = null;
+            resolve(line);
+        } else {
+            lines.push(line);
+        }
+    });
+    rl.on('close', () => {
+        closed = true;
+        if (waiting) {
+            waiting('q');
+        }
+    });
+
+    return {
+        ask: (question) => {
+            process.stdout.write(question);
+            if (lines.length > 0) {
+                const line = lines.shift();
+                process.stdout.write(line + '\n');
+                return Promise.resolve(line.trim().toLowerCase());
+            }
+            if (closed) {
+                return Promise.resolve('q');
+            }
+            return new Promise(resolve => {
+                waiting = (line) => resolve(line.trim().toLowerCase());
+            });
+        },
+        close: () => rl.close()
+    };
+}
+
+/**
+ * Ask hunk by hunk which changes to apply
+ * @param {string} filePath - File being changed
+ * @param {Array} hunks - Hunks to review
+ * @returns {Promise<boolean[]>} - Which hunks were accepted
+ */
+async function selectHunks(filePath, hunks) {
+    const accepted = hunks.map(() => false);
+    const prompter = createPrompter();
+
+    try {
+        for (let index = 0; index < hunks.length; index++) {
+            const hunk = hunks[index];
+            console.log('\n' + colorizeDiff([formatHunkHeader(hunk), ...hunk.lines].join('\n')));
+
+            let answer = '';
+            while (!['y', 'n', 'a', 'd', 'q'].includes(answer)) {
+                answer = await prompter.ask(chalk.blue(`(${index + 1}/${hunks.length}) Apply this hunk to ${path.basename(filePath)} [y,n,a,d,q,?]? `));
+                if (answer === '?') {
+                    console.log(chalk.yellow(HUNK_HELP));
+                }
+            }
+
+            if (answer === 'y') {
+                accepted[index] = true;
+            } else if (answer === 'a') {
+                for (let rest = index; rest < hunks.length; rest++) {
+                    accepted[rest] = true;
+                }
+                break;
+            } else if (answer === 'd' || answer === 'q') {
+                break;
+            }
+        }
+    } finally {
+        prompter.close();
+    }
+
+    return accepted;
+}
+
+/**
+ * Preview and apply proposed content for a file
+ * @param {string} filePath - File to change
+ * @param {string} newContent - Proposed complete content
+ * @param {Object} options - Apply options
+ * @param {string} options.operation - Operation name recorded with the backup (e.g. 'docstrings')
+ * @param {boolean} [options.yes] - Apply every hunk without asking
+ * @param {boolean|string} [options.diffOnly] - Only output the patch; a string is the patch file to write
+ * @param {boolean} [options.quiet] - Do not print the full diff preview
+ * @returns {Promise<Object>} - { status, applied, total, backupId, patchPath, patch }
+ */
+async function applyChanges(filePath, newContent, options = {}) {
+    const absolutePath = path.resolve(filePath);
+    const exists = fs.existsSync(absolutePath);
+    const oldContent = exists ? fs.readFileSync(absolutePath, 'utf8') : '';
+
+    const hunks = diffHunks(oldContent, newContent);
+    const { oldName, newName } = patchLabels(absolutePath);
+    const patch = formatUnifiedDiff(exists ? oldName : '/dev/null', newName, hunks);
+
+    if (hunks.length === 0) {
+        console.log(chalk.yellow(`No changes proposed for ${absolutePath}`));
+        return { status: 'unchanged', applied: 0, total: 0, backupId: null, patch };
+    }
+
+    if (options.diffOnly) {
+        if (typeof options.diffOnly === 'string') {
+            const patchPath = path.resolve(options.diffOnly);
+            backupManager.backupBeforeWrite(patchPath, options.operation || 'apply');
+            fs.ensureDirSync(path.dirname(patchPath));
+            fs.writeFileSync(patchPath, patch, 'utf8');
+            console.log(chalk.green(`✓ Patch with ${hunks.length} hunk(s) saved to: ${patchPath}`));
+            console.log(chalk.yellow(`Apply it later with: git apply ${path.relative(process.cwd(), patchPath)}`));
+            return { status: 'patch', applied: 0, total: hunks.length, backupId: null, patchPath, patch };
+        }
+        process.stdout.write(patch);
+        return { status: 'patch', applied: 0, total: hunks.length, backupId: null, patch };
+    }
+
+    let accepted;
+    if (options.yes) {
+        if (!options.quiet) {
+            console.log('\n' + colorizeDiff(patch));
+        }
+        accepted = hunks.map(() => true);
+    } else if (process.stdin.isTTY && process.stdout.isTTY) {
+        console.log(chalk.cyan(`\nProposed changes to ${absolutePath} (${hunks.length} hunk(s)):`));
+        accepted = await selectHunks(absolutePath, hunks);
+    } else {
+        console.log('\n' + colorizeDiff(patch));
+        console.log(chalk.yellow('Not applying changes: no interactive terminal. Use --yes to apply or --diff-only to save a patch.'));
+        return { status: 'skipped', applied: 0, total: hunks.length, backupId: null, patch };
+    }
+
+    const appliedCount = accepted.filter(Boolean).length;
+    if (appliedCount === 0) {
+        console.log(chalk.yellow('No hunks applied; the file was left unchanged.'));
+        return { status: 'rejected', applied: 0, total: hunks.length, backupId: null, patch };
+    }
+
+    let backupId = null;
+    if (exists) {
+        backupId = backupManager.createBackup(absolutePath, options.operation || 'apply');
+        if (backupId) {
+            console.log(chalk.yellow(`Created backup of original file`));
+        }
+    } else {
+        backupManager.recordCreated(absolutePath);
+    }
+
+    fs.ensureDirSync(path.dirname(absolutePath));
+    fs.writeFileSync(absolutePath, applyHunks(oldContent, newContent, hunks, accepted), 'utf8');
+    console.log(chalk.green(`✓ Applied ${appliedCount} of ${hunks.length} hunk(s) to: ${absolutePath}`));
+
+    return {
+        status: appliedCount === hunks.length ? 'applied' : 'partial',
+        applied: appliedCount,
+        total: hunks.length,
+        backupId,
+        patch
+    };
+}
+
+module.exports = {
+    colorizeDiff,
+    applyChanges
+};
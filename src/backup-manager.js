@@ -1,59 +1,402 @@
 const fs = require('fs-extra');
 const path = require('path');
-const os = require('os');
 const crypto = require('crypto');
+const { DEFAULT_CONFIG, getConfig, expandHome } = require('./config');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+const ORPHAN_GRACE_MS = 60000;
+
+/**
+ * Block the current thread for a while (the backup API is synchronous)
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
 
 /**
- * Manages file backups for the duq CLI
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} - False only when the process certainly does not exist
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Write a file atomically: write a temporary file next to it, then rename it over the target
+ * @param {string} filePath - File to write
+ * @param {string|Buffer} content - Content to write
+ */
+function writeFileAtomic(filePath, content) {
+    fs.ensureDirSync(path.dirname(filePath));
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Manages file backups for the duq CLI.
+ *
+ * File contents are kept in a content-addressed store: each distinct content is
+ * saved once as blobs/<first two hex digits>/<sha256>, and index entries record the
+ * hash. Backups written before the store existed (a full copy named after the
+ * backup ID) are still listed and restored.
+ *
+ * Several duq processes may run at once, so every index update re-reads the index
+ * under a lock file and replaces it atomically. Each backup also has a manifest in
+ * entries/<id>.json, from which a truncated or corrupt index is rebuilt.
+ *
+ * Changes are grouped into transactions: one per command invocation (a `chain` run
+ * is a single transaction). A transaction lists the files it modified, with the
+ * backup of their original content, and the files it created, so it can be reverted
+ * as a whole. Transactions are stored in the index and in transactions/<id>.json.
  */
 class BackupManager {
     constructor() {
-        // Create a central backup directory in the user's home directory
-        this.backupDir = path.join(os.homedir(), '.duq', 'backups');
-        this.indexFile = path.join(os.homedir(), '.duq', 'backup-index.json');
+        let backupConfig;
+        try {
+            backupConfig = getConfig().backups;
+        } catch (error) {
+            // An invalid config file is reported when the command starts
+            backupConfig = DEFAULT_CONFIG.backups;
+        }
+
+        // Create a central backup directory, by default in the user's home directory
+        this.backupDir = path.resolve(expandHome(backupConfig.dir));
+        this.indexFile = path.resolve(expandHome(backupConfig.index));
+        this.lockFile = `${this.indexFile}.lock`;
+        this.retention = {
+            perFile: backupConfig.retention.perFile,
+            history: backupConfig.retention.history
+        };
+
+        this.blobDir = path.join(this.backupDir, 'blobs');
+        this.entryDir = path.join(this.backupDir, 'entries');
+        this.transactionDir = path.join(this.backupDir, 'transactions');
+
+        // The transaction changes are currently recorded in, if any
+        this.transaction = null;
+        this.transactionDepth = 0;
 
-        // Ensure the backup directory exists
-        fs.ensureDirSync(this.backupDir);
+        // Ensure the backup directories exist
+        fs.ensureDirSync(this.blobDir);
+        fs.ensureDirSync(this.entryDir);
+        fs.ensureDirSync(this.transactionDir);
 
-        // Load or initialize the backup index
+        // Load the backup index (a missing one is created on the first backup)
         this.loadIndex();
     }
 
     /**
-     * Load the backup index from disk or create a new one
+     * Load the backup index from disk. A corrupt index is kept aside and rebuilt
+     * from the backup manifests instead of being replaced by an empty one.
      */
     loadIndex() {
+        if (!fs.existsSync(this.indexFile)) {
+            this.index = { files: {}, history: [], transactions: [] };
+            return;
+        }
+
         try {
-            if (fs.existsSync(this.indexFile)) {
-                this.index = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
-            } else {
-                this.index = {
-                    files: {},
-                    history: []
-                };
-                this.saveIndex();
+            const index = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+            if (!index || typeof index.files !== 'object' || !Array.isArray(index.history)) {
+                throw new Error('unexpected structure');
             }
+            // Indexes written before transactions existed have none
+            index.transactions = index.transactions || [];
+            this.index = index;
         } catch (error) {
-            console.error(`Error loading backup index: ${error.message}`);
-            this.index = {
-                files: {},
-                history: []
-            };
+            this.recoverIndex(error);
         }
     }
 
     /**
-     * Save the backup index to disk
+     * Rebuild a corrupt index from the manifests, keeping the damaged file for inspection
+     * @param {Error} error - Why the index could not be read
+     */
+    recoverIndex(error) {
+        this.withLock(() => {
+            // Another process may have repaired it while we waited for the lock
+            try {
+                const index = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+                if (index && typeof index.files === 'object' && Array.isArray(index.history)) {
+                    index.transactions = index.transactions || [];
+                    this.index = index;
+                    return;
+                }
+            } catch (e) {
+                // Still corrupt
+            }
+
+            const corruptCopy = `${this.indexFile}.corrupt-${Date.now()}`;
+            fs.copySync(this.indexFile, corruptCopy);
+            this.index = this.rebuildIndex();
+            this.saveIndex();
+            console.error(`Backup index was unreadable (${error.message}); rebuilt ${this.index.history.length} entries from ${this.entryDir}. The damaged index was kept as ${corruptCopy}`);
+        });
+    }
+
+    /**
+     * Build an index from the backup manifests
+     * @returns {Object} - Index with files and history, newest first
+     */
+    rebuildIndex() {
+        const manifests = [];
+        for (const name of fs.readdirSync(this.entryDir)) {
+            if (!name.endsWith('.json')) {
+                continue;
+            }
+            try {
+                manifests.push(JSON.parse(fs.readFileSync(path.join(this.entryDir, name), 'utf8')));
+            } catch (error) {
+                // Skip unreadable manifests
+            }
+        }
+        manifests.sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+
+        const transactions = [];
+        for (const name of fs.readdirSync(this.transactionDir)) {
+            try {
+                transactions.push(JSON.parse(fs.readFileSync(path.join(this.transactionDir, name), 'utf8')));
+            } catch (error) {
+                // Skip unreadable transaction records
+            }
+        }
+        transactions.sort((a, b) => (a.startedAt < b.startedAt ? 1 : a.startedAt > b.startedAt ? -1 : 0));
+
+        const index = {
+            files: {},
+            history: manifests.slice(0, this.retention.history),
+            transactions: transactions.slice(0, this.retention.history)
+        };
+        for (const manifest of manifests) {
+            const { filePath, ...entry } = manifest;
+            index.files[filePath] = index.files[filePath] || [];
+            if (index.files[filePath].length < this.retention.perFile) {
+                index.files[filePath].push(entry);
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Save the backup index to disk atomically. Callers must hold the lock.
      */
     saveIndex() {
         try {
-            fs.ensureDirSync(path.dirname(this.indexFile));
-            fs.writeFileSync(this.indexFile, JSON.stringify(this.index, null, 2), 'utf8');
+            writeFileAtomic(this.indexFile, JSON.stringify(this.index, null, 2));
         } catch (error) {
             console.error(`Error saving backup index: ${error.message}`);
         }
     }
 
+    /**
+     * Run a function while holding the index lock file
+     * @param {Function} fn - Function to run
+     * @returns {*} - The function's return value
+     * @throws {Error} - When the lock cannot be acquired in time
+     */
+    withLock(fn) {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        fs.ensureDirSync(path.dirname(this.lockFile));
+
+        while (true) {
+            try {
+                const fd = fs.openSync(this.lockFile, 'wx');
+                fs.writeSync(fd, JSON.stringify({ pid: process.pid, created: new Date().toISOString() }));
+                fs.closeSync(fd);
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            // Break locks left behind by crashed processes
+            try {
+                const stat = fs.statSync(this.lockFile);
+                let owner = null;
+                try {
+                    owner = JSON.parse(fs.readFileSync(this.lockFile, 'utf8')).pid;
+                } catch (e) {
+                    // Lock file is being written or is damaged; rely on its age
+                }
+                if (Date.now() - stat.mtimeMs > LOCK_STALE_MS || (owner && !isProcessAlive(owner))) {
+                    fs.removeSync(this.lockFile);
+                    continue;
+                }
+            } catch (e) {
+                // The lock was released in the meantime
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the backup index lock ${this.lockFile}`);
+            }
+            sleepSync(LOCK_RETRY_MS);
+        }
+
+        try {
+            return fn();
+        } finally {
+            fs.removeSync(this.lockFile);
+        }
+    }
+
+    /**
+     * Update the index under the lock: re-read the latest index, apply the change, save it
+     * @param {Function} update - Receives the current index and changes it in place
+     * @returns {*} - The update's return value
+     */
+    updateIndex(update) {
+        return this.withLock(() => {
+            this.loadIndex();
+            const result = update(this.index);
+            this.saveIndex();
+            return result;
+        });
+    }
+
+    /**
+     * Write manifests for index entries that have none (backups made by older versions)
+     * @param {Object} index - Backup index
+     */
+    writeMissingManifests(index) {
+        for (const [filePath, backups] of Object.entries(index.files)) {
+            for (const backup of backups) {
+                const manifestPath = this.manifestPath(backup.id);
+                if (!fs.existsSync(manifestPath)) {
+                    writeFileAtomic(manifestPath, JSON.stringify({ ...backup, filePath }, null, 2));
+                }
+            }
+        }
+    }
+
+    /**
+     * Path of the manifest describing a backup
+     * @param {string} backupId - Backup ID
+     * @returns {string} - Manifest path
+     */
+    manifestPath(backupId) {
+        return path.join(this.entryDir, `${backupId}.json`);
+    }
+
+    /**
+     * Compute the SHA-256 of some content
+     * @param {Buffer} content - Content to hash
+     * @returns {string} - Hex digest
+     */
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * Path of the blob holding the content with the given hash
+     * @param {string} hash - SHA-256 hex digest
+     * @returns {string} - Blob path
+     */
+    blobPath(hash) {
+        return path.join(this.blobDir, hash.slice(0, 2), hash);
+    }
+
+    /**
+     * Store content in the blob store, once per distinct content
+     * @param {Buffer} content - Content to store
+     * @returns {string} - The content's hash
+     */
+    writeBlob(content) {
+        const hash = this.hashContent(content);
+        const blobPath = this.blobPath(hash);
+
+        // An intact blob with the same hash already holds this content. Touch it so a
+        // concurrent `backups gc` treats it as recent until the index refers to it.
+        if (fs.existsSync(blobPath) && this.hashContent(fs.readFileSync(blobPath)) === hash) {
+            const now = new Date();
+            fs.utimesSync(blobPath, now, now);
+            return hash;
+        }
+
+        fs.ensureDirSync(path.dirname(blobPath));
+        const tempPath = `${blobPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, content);
+        fs.renameSync(tempPath, blobPath);
+        return hash;
+    }
+
+    /**
+     * Read a backup's content and check it against the recorded hash
+     * @param {Object} backup - Index entry
+     * @returns {Buffer} - The backed-up content
+     * @throws {Error} - When the content is missing or does not match its hash
+     */
+    readBackupContent(backup) {
+        if (!backup.hash) {
+            // Legacy backup: a full copy named after the backup ID, without a hash
+            const legacyPath = path.join(this.backupDir, backup.id);
+            if (!fs.existsSync(legacyPath)) {
+                throw new Error(`Backup file not found: ${legacyPath}`);
+            }
+            return fs.readFileSync(legacyPath);
+        }
+
+        const blobPath = this.blobPath(backup.hash);
+        if (!fs.existsSync(blobPath)) {
+            throw new Error(`Backup content missing: ${blobPath}`);
+        }
+        const content = fs.readFileSync(blobPath);
+        const actual = this.hashContent(content);
+        if (actual !== backup.hash) {
+            throw new Error(`Backup ${backup.id} is corrupt: expected sha256 ${backup.hash}, found ${actual}`);
+        }
+        return content;
+    }
+
+    /**
+     * Collect the blob hashes and legacy backup IDs referenced by the index
+     * @returns {Object} - { hashes: Set, legacyIds: Set }
+     */
+    referencedContent() {
+        const hashes = new Set();
+        const legacyIds = new Set();
+        // Backups a transaction needs are kept even after they leave the file history
+        const transactionBackups = (this.index.transactions || []).flatMap(transaction =>
+            transaction.modified.map(file => ({ id: file.backupId, hash: file.hash })));
+        const entries = [...this.index.history, ...Object.values(this.index.files).flat(), ...transactionBackups];
+        for (const entry of entries) {
+            if (entry.hash) {
+                hashes.add(entry.hash);
+            } else {
+                legacyIds.add(entry.id);
+            }
+        }
+        return { hashes, legacyIds };
+    }
+
+    /**
+     * Create a backup ID that is safe on every filesystem (no colons)
+     * @param {Date} date - Time of the backup
+     * @returns {string} - Backup ID, e.g. 20240102T030405123Z-1a2b3c4d
+     */
+    createBackupId(date) {
+        const stamp = date.toISOString().replace(/[-:.]/g, '');
+        return `${stamp}-${crypto.randomBytes(4).toString('hex')}`;
+    }
+
     /**
      * Create a backup of a file
      * @param {string} filePath - Path to the file to backup
@@ -62,68 +405,94 @@ class BackupManager {
      */
     createBackup(filePath, operation) {
         try {
-            const absolutePath = path.resolve(filePath);
-
-            // Generate a unique ID for this backup
-            const timestamp = new Date().toISOString();
-            const fileHash = crypto.createHash('md5').update(absolutePath).digest('hex');
-            const backupId = `${fileHash}-${timestamp}`;
+            // Store the content (deduplicated by its hash)
+            const content = fs.readFileSync(path.resolve(filePath));
+            const hash = this.writeBlob(content);
 
-            // Create the backup file path
-            const backupPath = path.join(this.backupDir, backupId);
-
-            // Copy the file to the backup location
-            fs.copySync(absolutePath, backupPath);
+            return this.recordBackup(filePath, hash, content.length, operation);
+        } catch (error) {
+            console.error(`Error creating backup: ${error.message}`);
+            return null;
+        }
+    }
 
-            // Update the index
-            if (!this.index.files[absolutePath]) {
-                this.index.files[absolutePath] = [];
-            }
+    /**
+     * Record a backup of content that is already in the blob store, e.g. content
+     * saved by a workspace snapshot before the file was overwritten or deleted
+     * @param {string} filePath - Path of the file the content belongs to
+     * @param {string} hash - SHA-256 of the stored content
+     * @param {number} size - Content size in bytes
+     * @param {string} operation - The operation being performed
+     * @returns {string} - The ID of the backup
+     */
+    recordBackup(filePath, hash, size, operation) {
+        try {
+            const absolutePath = path.resolve(filePath);
 
-            // Add to file's history
-            this.index.files[absolutePath].unshift({
-                id: backupId,
-                timestamp,
-                operation
-            });
+            // Generate a unique ID for this backup
+            const now = new Date();
+            const timestamp = now.toISOString();
+            const backupId = this.createBackupId(now);
 
-            // Add to global history
-            this.index.history.unshift({
+            const entry = {
                 id: backupId,
                 filePath: absolutePath,
                 timestamp,
-                operation
-            });
-
-            // Limit history to last 100 entries
-            if (this.index.history.length > 100) {
-                this.index.history = this.index.history.slice(0, 100);
+                operation,
+                hash,
+                size
+            };
+            if (this.transaction) {
+                entry.transactionId = this.transaction.id;
             }
 
-            // Limit per-file history to last 10 entries
-            if (this.index.files[absolutePath].length > 10) {
-                // Get IDs of backups to remove
-                const toRemove = this.index.files[absolutePath].slice(10);
+            // The manifest lets the index be rebuilt if it is ever lost
+            writeFileAtomic(this.manifestPath(backupId), JSON.stringify(entry, null, 2));
+
+            this.updateIndex(index => {
+                if (!index.files[absolutePath]) {
+                    index.files[absolutePath] = [];
+                }
+
+                // Add to file's history and to global history
+                const fileEntry = { ...entry };
+                delete fileEntry.filePath;
+                index.files[absolutePath].unshift(fileEntry);
+                index.history.unshift(entry);
 
-                // Remove the backup files
-                toRemove.forEach(backup => {
+                // Limit global history and per-file history to the configured number of entries
+                const dropped = [
+                    ...index.history.slice(this.retention.history),
+                    ...index.files[absolutePath].slice(this.retention.perFile)
+                ];
+                index.history = index.history.slice(0, this.retention.history);
+                index.files[absolutePath] = index.files[absolutePath].slice(0, this.retention.perFile);
+
+                // Remove backups (and content) nothing refers to any more
+                const remainingIds = new Set([...index.history, ...Object.values(index.files).flat()].map(backup => backup.id));
+                index.transactions.forEach(transaction => transaction.modified.forEach(file => remainingIds.add(file.backupId)));
+                const { hashes } = this.referencedContent();
+                dropped.filter(backup => !remainingIds.has(backup.id)).forEach(backup => {
                     try {
-                        fs.removeSync(path.join(this.backupDir, backup.id));
+                        fs.removeSync(this.manifestPath(backup.id));
+                        if (!backup.hash) {
+                            fs.removeSync(path.join(this.backupDir, backup.id));
+                        } else if (!hashes.has(backup.hash)) {
+                            fs.removeSync(this.blobPath(backup.hash));
+                        }
                     } catch (e) {
-                        // Ignore errors when removing old backups
+                        // Ignore errors when removing old backups; `duq backups gc` cleans up
                     }
                 });
 
-                // Trim the array
-                this.index.files[absolutePath] = this.index.files[absolutePath].slice(0, 10);
-            }
+                this.writeMissingManifests(index);
+            });
 
-            // Save the updated index
-            this.saveIndex();
+            this.recordModified(absolutePath, backupId, hash);
 
             return backupId;
         } catch (error) {
-            console.error(`Error creating backup: ${error.message}`);
+            console.error(`Error recording backup: ${error.message}`);
             return null;
         }
     }
@@ -137,6 +506,7 @@ class BackupManager {
     restoreBackup(filePath = null, backupId = null) {
         try {
             let backupToRestore;
+            this.loadIndex();
 
             if (filePath) {
                 const absolutePath = path.resolve(filePath);
@@ -169,21 +539,23 @@ class BackupManager {
                 filePath = backupToRestore.filePath;
             }
 
-            // Check if the backup file exists
-            const backupPath = path.join(this.backupDir, backupToRestore.id);
-            if (!fs.existsSync(backupPath)) {
-                console.error(`Backup file not found: ${backupPath}`);
-                return false;
-            }
-
             // Check if the target file exists
             if (!fs.existsSync(filePath)) {
                 console.error(`Target file no longer exists: ${filePath}`);
                 return false;
             }
 
-            // Copy the backup back to the original location
-            fs.copySync(backupPath, filePath);
+            // Read the backup and verify its hash before touching the file
+            let content;
+            try {
+                content = this.readBackupContent(backupToRestore);
+            } catch (error) {
+                console.error(error.message);
+                return false;
+            }
+
+            // Write the backup back to the original location
+            fs.writeFileSync(filePath, content);
 
             return {
                 filePath,
@@ -203,6 +575,7 @@ class BackupManager {
      */
     listBackups(filePath = null) {
         try {
+            this.loadIndex();
             if (filePath) {
                 const absolutePath = path.resolve(filePath);
                 return this.index.files[absolutePath] || [];
@@ -214,6 +587,303 @@ class BackupManager {
             return [];
         }
     }
+
+    /**
+     * Start recording changes in a transaction. A transaction that is already running
+     * (e.g. the `chain` run around a step) is joined instead of starting a new one.
+     * @param {string} command - Command being run
+     * @param {string} [target] - File or directory the command runs on
+     * @returns {Object} - The active transaction
+     */
+    beginTransaction(command, target = null) {
+        this.transactionDepth++;
+        if (!this.transaction) {
+            const now = new Date();
+            this.transaction = {
+                id: `tx-${this.createBackupId(now)}`,
+                command,
+                target: target ? path.resolve(target) : null,
+                startedAt: now.toISOString(),
+                finishedAt: null,
+                status: 'open',
+                modified: [],
+                created: []
+            };
+        }
+        return this.transaction;
+    }
+
+    /**
+     * Record a modified file in the active transaction. Only the first backup of a
+     * file counts: it holds the content from before the transaction started.
+     * @param {string} filePath - Modified file
+     * @param {string} backupId - Backup of its previous content
+     * @param {string} hash - SHA-256 of the backed-up content
+     */
+    recordModified(filePath, backupId, hash) {
+        const absolutePath = path.resolve(filePath);
+        if (!this.transaction || this.transaction.modified.some(file => file.filePath === absolutePath) ||
+            this.transaction.created.some(file => file.filePath === absolutePath)) {
+            return;
+        }
+        this.transaction.modified.push({ filePath: absolutePath, backupId, hash });
+    }
+
+    /**
+     * Record a file created by duq in the active transaction
+     * @param {string} filePath - Created file
+     */
+    recordCreated(filePath) {
+        const absolutePath = path.resolve(filePath);
+        if (!this.transaction || this.transaction.created.some(file => file.filePath === absolutePath) ||
+            this.transaction.modified.some(file => file.filePath === absolutePath)) {
+            return;
+        }
+        this.transaction.created.push({ filePath: absolutePath, hash: null });
+    }
+
+    /**
+     * Prepare a file for writing: back it up if it exists, otherwise record it as created
+     * @param {string} filePath - File about to be written
+     * @param {string} operation - The operation writing it
+     * @returns {string|null} - Backup ID when the file existed
+     */
+    backupBeforeWrite(filePath, operation) {
+        if (fs.existsSync(filePath)) {
+            return this.createBackup(filePath, operation);
+        }
+        this.recordCreated(filePath);
+        return null;
+    }
+
+    /**
+     * Finish the active transaction. Nested calls only finish the outermost one.
+     * Transactions that changed no files are not recorded.
+     * @param {string} [status] - Final status, 'completed' or 'failed'
+     * @returns {Object|null} - The recorded transaction, or null
+     */
+    commitTransaction(status = 'completed') {
+        if (!this.transaction) {
+            return null;
+        }
+        this.transactionDepth = Math.max(0, this.transactionDepth - 1);
+        if (this.transactionDepth > 0) {
+            return null;
+        }
+
+        const transaction = this.transaction;
+        this.transaction = null;
+
+        // Remember what duq wrote, so reverting never deletes a file edited since
+        transaction.created = transaction.created.filter(file => fs.existsSync(file.filePath)).map(file => ({
+            filePath: file.filePath,
+            hash: this.hashContent(fs.readFileSync(file.filePath))
+        }));
+        if (transaction.modified.length === 0 && transaction.created.length === 0) {
+            return null;
+        }
+
+        transaction.finishedAt = new Date().toISOString();
+        transaction.status = status;
+
+        try {
+            writeFileAtomic(this.transactionPath(transaction.id), JSON.stringify(transaction, null, 2));
+            this.updateIndex(index => {
+                index.transactions.unshift(transaction);
+                const dropped = index.transactions.slice(this.retention.history);
+                index.transactions = index.transactions.slice(0, this.retention.history);
+                dropped.forEach(old => fs.removeSync(this.transactionPath(old.id)));
+            });
+        } catch (error) {
+            console.error(`Error recording transaction: ${error.message}`);
+        }
+        return transaction;
+    }
+
+    /**
+     * Path of the record describing a transaction
+     * @param {string} transactionId - Transaction ID
+     * @returns {string} - Record path
+     */
+    transactionPath(transactionId) {
+        return path.join(this.transactionDir, `${transactionId}.json`);
+    }
+
+    /**
+     * List recorded transactions, newest first
+     * @returns {Array} - Transactions
+     */
+    listTransactions() {
+        this.loadIndex();
+        return this.index.transactions;
+    }
+
+    /**
+     * Revert a whole transaction: restore every modified file and delete every created one.
+     * Created files that were edited after duq wrote them are kept unless forced.
+     * @param {string} transactionId - Transaction to revert
+     * @param {Object} options - Revert options
+     * @param {boolean} [options.force] - Also delete created files that were edited since
+     * @returns {Object} - { transaction, restored, deleted, skipped: [{ filePath, reason }] }
+     * @throws {Error} - When the transaction does not exist
+     */
+    revertTransaction(transactionId, options = {}) {
+        this.loadIndex();
+        const transaction = this.index.transactions.find(candidate => candidate.id === transactionId);
+        if (!transaction) {
+            throw new DuqError(ERROR_CODES.NOT_FOUND, `Transaction ${transactionId} not found`);
+        }
+
+        const result = { transaction, restored: [], deleted: [], skipped: [] };
+
+        for (const file of transaction.modified) {
+            try {
+                const content = this.readBackupContent({ id: file.backupId, hash: file.hash });
+                fs.ensureDirSync(path.dirname(file.filePath));
+                fs.writeFileSync(file.filePath, content);
+                result.restored.push(file.filePath);
+            } catch (error) {
+                result.skipped.push({ filePath: file.filePath, reason: error.message });
+            }
+        }
+
+        for (const file of transaction.created) {
+            if (!fs.existsSync(file.filePath)) {
+                continue;
+            }
+            if (!options.force && this.hashContent(fs.readFileSync(file.filePath)) !== file.hash) {
+                result.skipped.push({ filePath: file.filePath, reason: 'changed since duq created it (use --force to delete it anyway)' });
+                continue;
+            }
+            fs.removeSync(file.filePath);
+            result.deleted.push(file.filePath);
+        }
+
+        this.updateIndex(index => {
+            const recorded = index.transactions.find(candidate => candidate.id === transactionId);
+            if (recorded) {
+                recorded.status = result.skipped.length > 0 ? 'partially reverted' : 'reverted';
+                recorded.revertedAt = new Date().toISOString();
+                writeFileAtomic(this.transactionPath(recorded.id), JSON.stringify(recorded, null, 2));
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Check every backup in the index for missing or corrupt content
+     * @returns {Object} - { checked, missing, corrupt, legacy, orphaned } where missing and
+     *   corrupt list the affected index entries and orphaned lists unreferenced blob paths
+     */
+    verify() {
+        this.loadIndex();
+        const result = { checked: 0, missing: [], corrupt: [], legacy: 0, orphaned: [] };
+        const seen = new Map();
+        const entries = [...this.index.history, ...Object.entries(this.index.files)
+            .flatMap(([filePath, backups]) => backups.map(backup => ({ ...backup, filePath })))];
+
+        for (const entry of entries) {
+            if (seen.has(entry.id)) {
+                continue;
+            }
+            seen.set(entry.id, true);
+            result.checked++;
+
+            if (!entry.hash) {
+                result.legacy++;
+                if (!fs.existsSync(path.join(this.backupDir, entry.id))) {
+                    result.missing.push(entry);
+                }
+                continue;
+            }
+
+            const blobPath = this.blobPath(entry.hash);
+            if (!fs.existsSync(blobPath)) {
+                result.missing.push(entry);
+            } else if (this.hashContent(fs.readFileSync(blobPath)) !== entry.hash) {
+                result.corrupt.push(entry);
+            }
+        }
+
+        result.orphaned = this.findOrphans().map(orphan => orphan.path);
+        return result;
+    }
+
+    /**
+     * Find blobs, manifests and legacy backup files that no index entry refers to.
+     * Files changed in the last minute are skipped: a backup being created writes its
+     * content before it adds the index entry.
+     * @returns {Array} - Orphans: { path, size }
+     */
+    findOrphans() {
+        this.loadIndex();
+        const { hashes, legacyIds } = this.referencedContent();
+        const ids = new Set([...this.index.history, ...Object.values(this.index.files).flat()].map(backup => backup.id));
+        this.index.transactions.forEach(transaction => transaction.modified.forEach(file => ids.add(file.backupId)));
+        const cutoff = Date.now() - ORPHAN_GRACE_MS;
+        const orphans = [];
+
+        const consider = (filePath, isReferenced) => {
+            const stat = fs.statSync(filePath);
+            if (stat.isFile() && !isReferenced && stat.mtimeMs < cutoff) {
+                orphans.push({ path: filePath, size: stat.size });
+            }
+            return stat;
+        };
+
+        for (const prefix of fs.readdirSync(this.blobDir)) {
+            const prefixDir = path.join(this.blobDir, prefix);
+            // Stray files (e.g. from an interrupted write) are not blobs
+            if (consider(prefixDir, false).isDirectory()) {
+                for (const name of fs.readdirSync(prefixDir)) {
+                    consider(path.join(prefixDir, name), hashes.has(name));
+                }
+            }
+        }
+
+        for (const name of fs.readdirSync(this.entryDir)) {
+            consider(path.join(this.entryDir, name), name.endsWith('.json') && ids.has(name.slice(0, -5)));
+        }
+
+        // Legacy full copies live next to the blob directory
+        for (const name of fs.readdirSync(this.backupDir)) {
+            const entryPath = path.join(this.backupDir, name);
+            const isIndexFile = entryPath === this.indexFile || name.startsWith(path.basename(this.indexFile) + '.');
+            consider(entryPath, legacyIds.has(name) || isIndexFile);
+        }
+
+        return orphans;
+    }
+
+    /**
+     * Remove blobs, manifests and legacy backup files that no index entry refers to
+     * @param {Object} options - GC options
+     * @param {boolean} [options.dryRun] - Only report what would be removed
+     * @returns {Object} - { removed, bytes } where removed lists the paths
+     */
+    gc(options = {}) {
+        return this.withLock(() => {
+            const orphans = this.findOrphans();
+
+            if (!options.dryRun) {
+                orphans.forEach(orphan => fs.removeSync(orphan.path));
+
+                // Drop prefix directories that are now empty
+                for (const prefix of fs.readdirSync(this.blobDir)) {
+                    const prefixDir = path.join(this.blobDir, prefix);
+                    if (fs.readdirSync(prefixDir).length === 0) {
+                        fs.removeSync(prefixDir);
+                    }
+                }
+            }
+
+            return {
+                removed: orphans.map(orphan => orphan.path),
+                bytes: orphans.reduce((total, orphan) => total + orphan.size, 0)
+            };
+        });
+    }
 }
 
 module.exports = new BackupManager();
@@ -0,0 +1,179 @@
+/**
+ * Batch runs of file commands over glob patterns and git selections.
+ *
+ * `duq docstrings "src/**\/*.js"` expands the pattern and runs the command on every
+ * matched file, several at a time. Files are matched below the literal part of the
+ * pattern, skipping the built-in ignores (dependencies, build output, lockfiles), the
+ * configured ignore globs and binary files. The progress of a batch is saved after
+ * every file in ~/.duq/batches/, so a batch that was interrupted or had failures can
+ * be continued with --resume: files that already succeeded are not run again. The files
+ * of --changed, --staged and --since (see the git module) run as a batch the same way.
+ *
+ * @module batch
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const glob = require('glob');
+const ignore = require('ignore');
+const { DEFAULT_IGNORES, isBinaryFile } = require('./context-builder');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+const BATCH_DIR = path.join(os.homedir(), '.duq', 'batches');
+const STATE_VERSION = 1;
+
+/**
+ * Whether a command argument is a glob pattern rather than a path
+ * @param {string} target - Command argument
+ * @returns {boolean} - True for patterns such as src/**\/*.js that are not an existing path
+ */
+function isGlobPattern(target) {
+    return typeof target === 'string' && glob.hasMagic(target) && !fs.existsSync(target);
+}
+
+/**
+ * The directory a pattern matches files in: its segments before the first wildcard
+ * @param {string} pattern - Glob pattern
+ * @returns {string} - Absolute directory
+ */
+function patternBase(pattern) {
+    const literal = [];
+    for (const segment of pattern.split('/')) {
+        if (glob.hasMagic(segment)) {
+            break;
+        }
+        literal.push(segment);
+    }
+    return path.resolve(literal.join('/') || '.');
+}
+
+/**
+ * Leave out ignored and binary files
+ * @param {string[]} filePaths - Absolute file paths
+ * @param {string} base - Directory the ignore rules are relative to
+ * @param {string[]} [extraIgnores] - Configured ignore globs
+ * @returns {Object} - { files, ignored } as sorted absolute paths
+ */
+function filterFiles(filePaths, base, extraIgnores = []) {
+    const matcher = ignore().add(DEFAULT_IGNORES).add(extraIgnores || []);
+    const files = [];
+    const ignored = [];
+
+    for (const filePath of filePaths) {
+        const relative = path.relative(base, filePath).split(path.sep).join('/');
+        if ((relative && !relative.startsWith('..') && matcher.ignores(relative)) || isBinaryFile(filePath)) {
+            ignored.push(filePath);
+        } else {
+            files.push(filePath);
+        }
+    }
+    return { files: files.sort(), ignored: ignored.sort() };
+}
+
+/**
+ * Expand a glob pattern to the files a batch runs on
+ * @param {string} pattern - Glob pattern
+ * @param {string[]} [extraIgnores] - Configured ignore globs
+ * @returns {Object} - { files, ignored } as sorted absolute paths
+ */
+function expandPattern(pattern, extraIgnores = []) {
+    // Ignores apply below the literal part, so "vendor/lib/*.js" still matches in vendor/
+    const matches = glob.sync(pattern, { nodir: true, absolute: true }).map(match => path.resolve(match));
+    return filterFiles(matches, patternBase(pattern), extraIgnores);
+}
+
+/**
+ * Parse a concurrency limit
+ * @param {string|number} value - Value of --concurrency or the batch.concurrency config
+ * @returns {number} - Number of files run at the same time
+ * @throws {DuqError} - When the value is not a positive integer
+ */
+function parseConcurrency(value) {
+    const concurrency = Number(value);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid concurrency '${value}' (expected a positive whole number)`);
+    }
+    return concurrency;
+}
+
+/**
+ * Path of the state file of a batch. The same command, pattern, options and working
+ * directory give the same file, which is how --resume finds the previous run.
+ * @param {string} command - Command name
+ * @param {string} pattern - Glob pattern
+ * @param {Object} options - Options that change what the command does
+ * @returns {string} - Absolute path
+ */
+function batchStatePath(command, pattern, options) {
+    const key = crypto.createHash('sha256')
+        .update(JSON.stringify({ command, pattern, options, cwd: process.cwd() }))
+        .digest('hex')
+        .slice(0, 16);
+    return path.join(BATCH_DIR, `${command}-${key}.json`);
+}
+
+/**
+ * Load the state of a previous run of a batch
+ * @param {string} statePath - Path from batchStatePath
+ * @returns {Object|null} - State, or null when there is none or it cannot be read
+ */
+function loadBatchState(statePath) {
+    try {
+        const state = fs.readJsonSync(statePath);
+        return state && state.version === STATE_VERSION && state.files && typeof state.files === 'object' ? state : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Save the state of a batch: the status of every file
+ * @param {string} statePath - Path from batchStatePath
+ * @param {Object} state - State with `files` mapping paths to 'succeeded', 'failed' or 'pending'
+ */
+function saveBatchState(statePath, state) {
+    const tempPath = `${statePath}.${process.pid}.tmp`;
+    fs.outputFileSync(tempPath, JSON.stringify({ ...state, version: STATE_VERSION, updatedAt: new Date().toISOString() }, null, 2));
+    fs.renameSync(tempPath, statePath);
+}
+
+/**
+ * Remove the state of a batch that has finished without failures
+ * @param {string} statePath - Path from batchStatePath
+ */
+function clearBatchState(statePath) {
+    fs.removeSync(statePath);
+}
+
+/**
+ * Run a worker on items with at most `concurrency` running at a time
+ * @param {Array} items - Items to process, started in order
+ * @param {number} concurrency - Maximum number of workers running at once
+ * @param {Function} worker - Async function (item, index); must not throw
+ * @param {Function} [shouldStop] - Checked before each item is started
+ * @returns {Promise} - Resolves when every started worker has finished
+ */
+async function runQueue(items, concurrency, worker, shouldStop = () => false) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length && !shouldStop()) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+module.exports = {
+    isGlobPattern,
+    filterFiles,
+    expandPattern,
+    parseConcurrency,
+    batchStatePath,
+    loadBatchState,
+    saveBatchState,
+    clearBatchState,
+    runQueue
+};
@@ -1,65 +1,615 @@
 const fs = require('fs-extra');
 const path = require('path');
-const glob = require('glob');
+const { spawnSync } = require('child_process');
 const chalk = require('chalk');
 const templates = require('./templates');
 const backupManager = require('./backup-manager');
-const { callAmazonQ } = require('./amazon-q');
+const { complete, getActiveProvider, setRedaction } = require('./providers');
+const { getConfig, getResolvedConfig, resolveOutputPattern } = require('./config');
+const { BUILT_IN_TEMPLATES, getTemplates, getTemplateErrors, getTemplate, renderTemplateString, usesPlaceholder } = require('./template-loader');
+const { detectLanguage } = require('./languages');
+const { buildDirectoryContext, buildContextBatches, isBinaryFile } = require('./context-builder');
+const { mapReduce } = require('./map-reduce');
+const { applyChanges } = require('./apply');
+const { verifyCommentOnlyChanges } = require('./verify');
+const { extractFileContent, extractDocument } = require('./response-parser');
+const { startWorkspaceWatch, finishWorkspaceWatch } = require('./workspace-snapshot');
+const { isStopped, watchInterrupts } = require('./interrupt');
+const { DuqError, ERROR_CODES, toDuqError } = require('./errors');
+const {
+    isJsonMode, hasActiveResult, beginResult, finishResult, addArtifact, setResultData, recordTransaction, reportError, skipResult, getLastStep, runIsolated
+} = require('./output');
+const { resolveProfile, activateProfile, restoreProfile, getActiveProfile, agentWritesFiles } = require('./permissions');
+const {
+    SEVERITIES, validateSeverity, validateFormat, formatForPath, parseFindings, dedupeFindings, countBySeverity, findingsAtOrAbove, formatLocation, toMarkdown, toSarif
+} = require('./security-findings');
+const { scanFiles } = require('./secret-scanner');
+const { baselineRoot, baselineFile, annotateFindings, resolveBaselinePath, loadBaseline, serializeBaseline, compareWithBaseline } = require('./security-baseline');
+const { evaluateCondition, summarizeStep, interpolate, validatePipeline, readPipelineFile } = require('./pipeline');
+const { gitSelection, describeSelection, repoRoot, hooksDir, changedFiles, stagedContents, selectionDiff } = require('./git');
+const { cacheStats, clearCache } = require('./response-cache');
+const { BYPASS_VARIABLE, validateHooks, installHook, uninstallHook, hookCommands, runHookCommand } = require('./hooks');
+const {
+    isGlobPattern, filterFiles, expandPattern, parseConcurrency, batchStatePath, loadBatchState, saveBatchState, clearBatchState, runQueue
+} = require('./batch');
+const { parseReviewDiff, renderReviewDiff, parseReviewComments, toReviewMarkdown, toReviewJson } = require('./review');
+const { estimateTokens } = require('./prompt-delivery');
+const { version } = require('../package.json');
+
+// Extra instructions for the prompts of the running pipeline step (its `context`)
+let promptContext = null;
+
+/**
+ * Describe a failure to read a path as a DuqError
+ * @param {string} kind - 'file' or 'directory'
+ * @param {string} targetPath - Path that could not be read
+ * @param {Error} error - The underlying error
+ * @returns {DuqError} - E_NOT_FOUND for missing paths, E_USAGE otherwise
+ */
+const readError = (kind, targetPath, error) => new DuqError(
+    error.code === 'ENOENT' ? ERROR_CODES.NOT_FOUND : ERROR_CODES.USAGE,
+    `Cannot read ${kind} ${targetPath}: ${error.message}`,
+    { path: targetPath });
 
 /**
  * Read file contents
  * @param {string} filePath - Path to the file
  * @returns {string} - File contents
+ * @throws {DuqError} - When the file cannot be read
  */
 const readFile = (filePath) => {
     try {
         return fs.readFileSync(filePath, 'utf8');
     } catch (error) {
-        console.error(chalk.red('Error reading file ' + filePath + ': ' + error.message));
-        process.exit(1);
+        throw readError('file', filePath, error);
     }
 };
 
 /**
- * Get directory contents
+ * Build the prompt context for a directory
  * @param {string} dirPath - Path to the directory
- * @returns {Object} - Object with file paths as keys and contents as values
+ * @param {Object} options - Context options (maxTokens, files, contents)
+ * @returns {Object} - Context with the rendered text and the included/omitted files
  */
-const getDirectoryContents = (dirPath) => {
+const getDirectoryContext = (dirPath, options = {}) => {
     try {
-        // Ensure we have an absolute path
-        const absoluteDirPath = path.resolve(dirPath);
-        const files = glob.sync(`${absoluteDirPath}/**/*`, { nodir: true });
-        const result = {};
-
-        for (const file of files) {
-            // Skip large files, binaries, etc.
-            const stats = fs.statSync(file);
-            if (stats.size > 100000 || path.basename(file).startsWith('.')) {
-                result[file] = `[File too large or hidden: ${stats.size} bytes]`;
-                continue;
-            }
+        return buildDirectoryContext(dirPath, { maxTokens: options.maxTokens, files: options.files, contents: options.contents });
+    } catch (error) {
+        throw readError('directory', dirPath, error);
+    }
+};
 
-            try {
-                result[file] = fs.readFileSync(file, 'utf8');
-            } catch (error) {
-                result[file] = `[Error reading file: ${error.message}]`;
+/**
+ * Print a response as it streams in from the provider
+ * @returns {Object} - { onToken(token), finish() } where finish ends the output with a newline
+ */
+const responsePrinter = () => {
+    let output = '';
+    return {
+        onToken: (token) => {
+            if (!output) {
+                process.stdout.write('\n');
+            }
+            output += token;
+            process.stdout.write(token);
+        },
+        finish: () => {
+            if (output && !output.endsWith('\n')) {
+                process.stdout.write('\n');
             }
         }
+    };
+};
+
+/**
+ * Send a prompt to the provider and print the response as it arrives
+ * @param {string} prompt - The prompt to send
+ * @returns {Promise<string>} - The complete response
+ */
+const completeAndPrint = async (prompt) => {
+    const printer = responsePrinter();
+    try {
+        return await complete(prompt, { onToken: printer.onToken });
+    } finally {
+        printer.finish();
+    }
+};
+
+/**
+ * Split a directory into batches for map-reduce analysis
+ * @param {string} dirPath - Path to the directory
+ * @param {Object} options - Context options (maxTokens, files, contents)
+ * @returns {Object} - Batches with the included/omitted files
+ */
+const getDirectoryBatches = (dirPath, options = {}) => {
+    try {
+        return buildContextBatches(dirPath, { maxTokens: options.maxTokens, files: options.files, contents: options.contents });
+    } catch (error) {
+        throw readError('directory', dirPath, error);
+    }
+};
+
+/**
+ * Print how a directory would be split into batches, for --chunked --dry-run
+ * @param {Object} plan - Plan returned by getDirectoryBatches
+ */
+const printBatchPlan = (plan) => {
+    plan.batches.forEach(batch => {
+        console.log(chalk.cyan(`\nBatch ${batch.index + 1}/${plan.batches.length} (~${batch.estimatedTokens.toLocaleString('en-US')} tokens):`));
+        batch.files.forEach(file => {
+            console.log(chalk.white(`  ${file.relativePath}`) + chalk.gray(` ~${file.tokens.toLocaleString('en-US')} tokens`));
+        });
+    });
+
+    if (plan.omitted.length > 0) {
+        console.log(chalk.cyan(`\nFiles that would be omitted (${plan.omitted.length}):`));
+        plan.omitted.forEach(file => {
+            console.log(chalk.white(`  ${file.relativePath}`) + chalk.gray(` (${file.reason})`));
+        });
+    }
+
+    console.log(chalk.yellow(`\n${plan.batches.length} batches plus a merge step, ~${plan.estimatedTokens.toLocaleString('en-US')} tokens in total`));
+    console.log(chalk.yellow('Dry run: nothing was sent.'));
+
+    setResultData({
+        dryRun: true,
+        batches: plan.batches.map(batch => ({
+            estimatedTokens: batch.estimatedTokens,
+            files: batch.files.map(file => ({ path: file.relativePath, tokens: file.tokens }))
+        })),
+        omitted: plan.omitted.map(file => ({ path: file.relativePath, reason: file.reason })),
+        estimatedTokens: plan.estimatedTokens
+    });
+};
+
+/**
+ * Print which files a directory context includes, for --dry-run
+ * @param {Object} context - Context returned by getDirectoryContext
+ */
+const printContextPlan = (context) => {
+    console.log(chalk.cyan(`\nFiles that would be included (${context.included.length}):`));
+    context.included.forEach(file => {
+        console.log(chalk.white(`  ${file.relativePath}`) + chalk.gray(` ~${file.tokens.toLocaleString('en-US')} tokens`));
+    });
+
+    if (context.omitted.length > 0) {
+        console.log(chalk.cyan(`\nFiles that would be omitted (${context.omitted.length}):`));
+        context.omitted.forEach(file => {
+            console.log(chalk.white(`  ${file.relativePath}`) + chalk.gray(` (${file.reason})`));
+        });
+    }
+
+    console.log(chalk.yellow(`\nEstimated context size: ~${context.estimatedTokens.toLocaleString('en-US')} of ${context.maxTokens.toLocaleString('en-US')} tokens`));
+    if (context.omitted.some(file => file.reason === 'over token budget')) {
+        console.log(chalk.yellow('Some files do not fit the budget; use --chunked to analyze them in batches.'));
+    }
+    console.log(chalk.yellow('Dry run: nothing was sent.'));
+
+    setResultData({
+        dryRun: true,
+        included: context.included.map(file => ({ path: file.relativePath, tokens: file.tokens })),
+        omitted: context.omitted.map(file => ({ path: file.relativePath, reason: file.reason })),
+        estimatedTokens: context.estimatedTokens,
+        maxTokens: context.maxTokens
+    });
+};
+
+/**
+ * Collect the placeholder values available to prompt templates
+ * @param {string} targetPath - Absolute path of the file or directory
+ * @param {boolean} isDirectory - Whether the target is a directory
+ * @param {string} content - File content or directory contents
+ * @param {Object} extra - Additional values (outputPath, template arguments, ...)
+ * @returns {Object} - Template variables
+ */
+const templateVariables = (targetPath, isDirectory, content, extra = {}) => ({
+    targetPath,
+    filePath: targetPath,
+    dirPath: isDirectory ? targetPath : path.dirname(targetPath),
+    fileName: path.basename(targetPath),
+    language: isDirectory ? 'Mixed' : detectLanguage(targetPath),
+    isDirectory,
+    content,
+    ...extra
+});
+
+/**
+ * Build the prompt for a command. A project template or config override with the
+ * same name replaces the built-in prompt; the target's content is appended unless
+ * the template places it itself with {{content}}. The context of a pipeline step
+ * follows the instructions.
+ * @param {string} name - Template name
+ * @param {Object} variables - Values returned by templateVariables
+ * @param {Function} buildDefault - Builds the built-in prompt
+ * @returns {string} - The prompt
+ */
+const buildPrompt = (name, variables, buildDefault) => {
+    const label = variables.contentLabel || (variables.isDirectory ? 'Directory contents' : 'File content');
+    const override = getTemplate(name);
+    const context = promptContext ? `\n\nAdditional context:\n${promptContext}\n` : '';
+
+    if (!override) {
+        return buildDefault() + context + `\n\n${label}:\n` + variables.content;
+    }
+
+    const prompt = renderTemplateString(override.body, variables) + context;
+    return usesPlaceholder(override.body, 'content') ? prompt : prompt + `\n\n${label}:\n` + variables.content;
+};
+
+/**
+ * Save a file from a response when the provider cannot write files itself
+ * @param {string} response - The provider's response
+ * @param {string} outputPath - Where the file should be written
+ * @param {string} operation - Operation recorded with the backup of an existing file
+ * @returns {boolean} - Whether a file was written
+ */
+const saveInlineOutput = (response, outputPath, operation) => {
+    const original = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : undefined;
+    const extracted = extractFileContent(response, { filePath: outputPath, original });
+    if (!extracted) {
+        reportError(new DuqError(ERROR_CODES.EXTRACTION, 'Could not extract the file content from the response.', { path: outputPath }));
+        return false;
+    }
+
+    backupManager.backupBeforeWrite(outputPath, operation);
+    fs.ensureDirSync(path.dirname(outputPath));
+    fs.writeFileSync(outputPath, extracted.content + '\n', 'utf8');
+    addArtifact({ type: 'file', path: outputPath, source: extracted.source, content: extracted.content + '\n' });
+    console.log(chalk.green(`✓ Saved to: ${outputPath}`));
+    return true;
+};
+
+/**
+ * Preview and apply proposed content, recording the patch in the command result
+ * @param {string} filePath - File to change
+ * @param {string} content - Proposed complete content
+ * @param {Object} options - Options for applyChanges
+ * @returns {Promise<Object>} - Result of applyChanges
+ */
+const applyAndRecord = async (filePath, content, options) => {
+    const result = await applyChanges(filePath, content, options);
+    addArtifact({
+        type: 'patch',
+        path: path.resolve(filePath),
+        status: result.status,
+        applied: result.applied,
+        total: result.total,
+        patchPath: result.patchPath || null,
+        patch: result.patch
+    });
+    return result;
+};
+
+/**
+ * Wrap a command handler so that every file it changes is recorded in one backup
+ * transaction (calls made while a transaction is running, e.g. chain steps, join it)
+ * @param {string|Function} command - Command name, or a function of the arguments returning it
+ * @param {Function} handler - Command handler
+ * @param {number} targetIndex - Position of the target path among the arguments
+ * @returns {Function} - Wrapped handler
+ */
+const inTransaction = (command, handler, targetIndex = 0) => async (...args) => {
+    const name = typeof command === 'function' ? command(...args) : command;
+    const target = typeof args[targetIndex] === 'string' ? args[targetIndex] : null;
+    const outermost = !backupManager.transaction;
+    backupManager.beginTransaction(name, target);
+
+    let failed = false;
+    try {
+        return await handler(...args);
+    } catch (error) {
+        failed = true;
+        throw error;
+    } finally {
+        const transaction = backupManager.commitTransaction(failed || process.exitCode ? 'failed' : 'completed');
+        if (transaction && outermost) {
+            recordTransaction(transaction);
+            console.log(chalk.gray(`\nTransaction ${transaction.id}: ${transaction.modified.length} file(s) modified, ${transaction.created.length} created. Undo with: duq revert --transaction ${transaction.id}`));
+        }
+    }
+};
 
-        return result;
+/**
+ * Wrap a command handler so that its result is collected for --json and any error it
+ * throws is reported with its code and exit status. Inside a chain or pipeline the error
+ * is passed on, so the runner decides whether to continue.
+ * @param {string|Function} command - Command name, or a function of the arguments returning it
+ * @param {Function} handler - Command handler
+ * @param {number} targetIndex - Position of the target among the arguments
+ * @returns {Function} - Wrapped handler
+ */
+const reported = (command, handler, targetIndex = 0) => async (...args) => {
+    const name = typeof command === 'function' ? command(...args) : command;
+    const nested = hasActiveResult();
+    const result = beginResult(name, typeof args[targetIndex] === 'string' ? args[targetIndex] : null);
+
+    try {
+        return await handler(...args);
     } catch (error) {
-        console.error(chalk.red('Error reading directory ' + dirPath + ': ' + error.message));
-        process.exit(1);
+        reportError(error);
+        if (nested) {
+            throw error;
+        }
+    } finally {
+        finishResult(result);
+    }
+};
+
+/**
+ * Wrap a command handler so that provider calls made by it use the command's tool
+ * permission profile (the --trust flag, then the permissions config, then the default)
+ * @param {string|Function} command - Command name, or a function of the arguments returning it
+ * @param {Function} handler - Command handler
+ * @param {string|Function} [fallback] - Profile for commands without a default, or a function of the arguments returning it
+ * @returns {Function} - Wrapped handler
+ */
+const withPermissions = (command, handler, fallback) => async (...args) => {
+    const name = typeof command === 'function' ? command(...args) : command;
+    const profile = resolveProfile(name, getConfig().permissions, typeof fallback === 'function' ? fallback(...args) : fallback);
+    const previous = activateProfile(name, profile);
+    try {
+        return await handler(...args);
+    } finally {
+        restoreProfile(previous);
+    }
+};
+
+/**
+ * Wrap a file command handler so that a glob pattern or a git selection (--changed,
+ * --staged, --since) instead of a file runs it on every selected file (see runBatch).
+ * Batch and git options are read from the last argument.
+ * @param {string} command - Command name
+ * @param {Function} handler - Command handler taking the file as its first argument
+ * @returns {Function} - Wrapped handler
+ */
+const inBatch = (command, handler) => async (target, ...args) => {
+    const options = args[args.length - 1] || {};
+    const selection = gitSelection(options);
+    if (selection) {
+        // A path given with the flag narrows the selection
+        const { root, files } = changedFiles(selection, target);
+        const label = describeSelection(selection) + (target ? ` in ${target}` : '');
+        const filtered = filterFiles(files, root, getConfig().ignore);
+        if (filtered.files.length === 0) {
+            console.log(chalk.yellow(`No ${label} to run ${command} on`));
+            setResultData({ selection, files: [] });
+            return;
+        }
+        return runBatch(command, { label, ...filtered }, handler, args);
+    }
+
+    if (!target) {
+        throw new DuqError(ERROR_CODES.USAGE, `Missing file for ${command} (or use --changed, --staged or --since <ref>)`);
     }
+    if (!isGlobPattern(target)) {
+        return handler(target, ...args);
+    }
+    const matched = expandPattern(target, getConfig().ignore);
+    if (matched.files.length === 0) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `No files match ${target}`, { pattern: target, ignored: matched.ignored.length });
+    }
+    return runBatch(command, { label: target, ...matched }, handler, args);
+};
+
+/**
+ * Why the files of a batch have to run one at a time, if they do
+ * @param {string} command - Command name
+ * @param {Object} options - Command options
+ * @returns {string|null} - Reason, or null when they can run side by side
+ */
+const serialBatchReason = (command, options) => {
+    const provider = getActiveProvider();
+    if (agentWritesFiles(provider)) {
+        // Each file's workspace watch would see (and roll back) the other files' writes
+        return `${provider.name} writes files itself`;
+    }
+    if (command === 'refactor' && options.apply && options.test !== false && resolveTestCommand(options.test)) {
+        return 'the tests run after each file';
+    }
+    const appliesChanges = command === 'docstrings' || (command === 'refactor' && options.apply);
+    if (appliesChanges && !options.yes && !options.diffOnly && process.stdin.isTTY && process.stdout.isTTY) {
+        return 'the changes are reviewed hunk by hunk (add --yes or --diff-only to run files side by side)';
+    }
+    return null;
+};
+
+/**
+ * Run a file command on several files, several at a time. The output of files running
+ * side by side is printed in one piece when each finishes, followed by a progress row.
+ * The status of every file is saved, so --resume can skip the files that already
+ * succeeded.
+ * @param {string} command - Command name
+ * @param {Object} selection - Files to run on
+ * @param {string} selection.label - The glob pattern or git selection, for messages and to recognize the batch again
+ * @param {string[]} selection.files - Absolute file paths
+ * @param {string[]} selection.ignored - Matched files that were left out
+ * @param {Function} handler - Command handler taking the file as its first argument
+ * @param {Array} args - Remaining arguments; the last one holds the options
+ */
+const runBatch = async (command, { label, files, ignored }, handler, args) => {
+    const options = args[args.length - 1] || {};
+
+    // Paths given for each file (--output, --diff-only <file>) need placeholders
+    const perFile = (value, filePath) => {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        if (!/\{(dir|name|ext|base)\}/.test(value)) {
+            throw new DuqError(ERROR_CODES.USAGE, `'${value}' would be used for every file of the batch; use {dir}, {name}, {ext} or {base}, e.g. "{dir}/{name}.test{ext}"`, { value });
+        }
+        return resolveOutputPattern(value, filePath);
+    };
+    const fileArgs = (filePath) => args.map((arg, index) => {
+        if (index === args.length - 1 && arg && typeof arg === 'object') {
+            return { ...arg, output: perFile(arg.output, filePath), diffOnly: perFile(arg.diffOnly, filePath) };
+        }
+        return perFile(arg, filePath);
+    });
+    fileArgs(files[0]);
+
+    let concurrency = parseConcurrency(options.concurrency !== undefined ? options.concurrency : getConfig().batch.concurrency);
+    const serialReason = concurrency > 1 ? serialBatchReason(command, options) : null;
+    if (serialReason) {
+        console.log(chalk.gray(`Running one file at a time: ${serialReason}`));
+        concurrency = 1;
+    }
+
+    // Options that change what the command does identify the batch for --resume
+    const identity = Object.fromEntries(Object.entries(options).filter(([key, value]) => !['concurrency', 'resume'].includes(key) && value !== undefined));
+    const statePath = batchStatePath(command, label, { args: args.slice(0, -1), options: identity });
+    const previous = loadBatchState(statePath);
+    const state = { command, pattern: label, cwd: process.cwd(), startedAt: new Date().toISOString(), files: {} };
+    const entries = files.map(file => ({ file, status: 'pending', durationMs: null, error: null }));
+    if (options.resume && previous) {
+        entries.filter(entry => previous.files[entry.file] === 'succeeded').forEach(entry => {
+            entry.status = 'skipped';
+            entry.reason = 'succeeded in the previous run';
+        });
+    } else if (options.resume) {
+        console.log(chalk.yellow('No earlier run of this batch was found; starting from the first file.'));
+    } else if (previous && Object.values(previous.files).some(status => status !== 'succeeded')) {
+        console.log(chalk.gray('Starting over; add --resume to continue the earlier, unfinished run of this batch instead.'));
+    }
+    entries.forEach(entry => {
+        state.files[entry.file] = entry.status === 'skipped' ? 'succeeded' : 'pending';
+    });
+    saveBatchState(statePath, state);
+
+    const queue = entries.filter(entry => entry.status === 'pending');
+    const skipped = entries.length - queue.length;
+    console.log(chalk.blue(`Running ${command} on ${files.length} file(s) ${isGlobPattern(label) ? 'matching ' : 'from the '}${label} (${concurrency} at a time)`));
+    if (ignored.length > 0) {
+        console.log(chalk.gray(`Leaving out ${ignored.length} ignored or binary file(s)`));
+    }
+    if (skipped > 0) {
+        console.log(chalk.gray(`Skipping ${skipped} file(s) that succeeded in the previous run`));
+    }
+
+    const width = String(queue.length).length;
+    const nameWidth = Math.min(60, Math.max(...queue.map(entry => path.relative(process.cwd(), entry.file).length), 0));
+    let finished = 0;
+    let stopping = false;
+    const unwatch = watchInterrupts(() => {
+        stopping = true;
+        console.log(chalk.yellow('\nStopping the batch after the running files...'));
+    });
+
+    try {
+        await runQueue(queue, concurrency, async (entry) => {
+            const startedAt = Date.now();
+            const { error, result, output } = await runIsolated(() => reported(command, handler)(entry.file, ...fileArgs(entry.file)), { capture: concurrency > 1 });
+            const failure = error ? toDuqError(error) : (result && result.error);
+            entry.durationMs = Date.now() - startedAt;
+
+            if (failure && failure.code === ERROR_CODES.CANCELLED) {
+                // Left pending, so --resume runs it again
+                stopping = true;
+                entry.status = 'cancelled';
+            } else {
+                entry.status = failure ? 'failed' : 'succeeded';
+                entry.error = failure ? { code: failure.code, message: failure.message } : null;
+                state.files[entry.file] = entry.status;
+                saveBatchState(statePath, state);
+            }
+
+            if (output) {
+                console.log(chalk.cyan(`\n── ${path.relative(process.cwd(), entry.file)} ──`));
+                process.stdout.write(output.endsWith('\n') ? output : output + '\n');
+            }
+            finished++;
+            const counter = chalk.gray(`[${String(finished).padStart(width)}/${queue.length}]`);
+            const name = path.relative(process.cwd(), entry.file).padEnd(nameWidth);
+            const seconds = chalk.gray(`${(entry.durationMs / 1000).toFixed(1)}s`);
+            if (entry.status === 'succeeded') {
+                console.log(`${counter} ${chalk.green('✓')} ${name}  ${seconds}`);
+            } else if (entry.status === 'failed') {
+                console.log(`${counter} ${chalk.red('✗')} ${name}  ${seconds}  ${chalk.red(`${entry.error.code}: ${entry.error.message.split('\n')[0]}`)}`);
+            } else {
+                console.log(`${counter} ${chalk.yellow('-')} ${name}  ${seconds}  ${chalk.yellow('cancelled')}`);
+            }
+        }, () => stopping);
+    } finally {
+        unwatch();
+    }
+
+    const counts = {
+        succeeded: entries.filter(entry => entry.status === 'succeeded').length,
+        failed: entries.filter(entry => entry.status === 'failed').length,
+        skipped,
+        notRun: entries.filter(entry => ['pending', 'cancelled'].includes(entry.status)).length
+    };
+    setResultData({ pattern: label, concurrency, counts, files: entries, ignored });
+
+    console.log(chalk.cyan(`\nBatch summary: ${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.skipped} skipped` +
+        (counts.notRun > 0 ? `, ${counts.notRun} not run` : '')));
+    entries.filter(entry => entry.status === 'failed').forEach(entry => {
+        console.log(chalk.red(`  ✗ ${path.relative(process.cwd(), entry.file)}: ${entry.error.message.split('\n')[0]}`));
+    });
+
+    if (counts.notRun > 0) {
+        console.log(chalk.yellow('Run the same command with --resume to continue the batch.'));
+        throw new DuqError(ERROR_CODES.CANCELLED, `Batch stopped with ${counts.notRun} file(s) not run`, { statePath });
+    }
+    if (counts.failed > 0) {
+        const first = entries.find(entry => entry.status === 'failed');
+        throw new DuqError(first.error.code, `${counts.failed} of ${files.length} file(s) failed; run the same command with --resume to retry them`, {
+            failed: entries.filter(entry => entry.status === 'failed').map(entry => ({ file: entry.file, ...entry.error })),
+            statePath
+        });
+    }
+    clearBatchState(statePath);
+    console.log(chalk.green(`✓ Batch completed`));
+};
+
+/**
+ * Report the files an agent changed during a call and check that it wrote its output
+ * @param {Object} watch - Snapshot from startWorkspaceWatch
+ * @param {string} operation - Operation recorded with the backups
+ * @param {string} outputPath - File the agent was asked to write
+ * @returns {boolean} - Whether the expected output was produced
+ */
+const checkAgentOutput = (watch, operation, outputPath) => {
+    const confined = getActiveProfile().profile === 'write-output';
+    const changes = finishWorkspaceWatch(watch, {
+        operation,
+        agent: getActiveProvider().name,
+        expectedOutputs: [outputPath],
+        allowedPaths: confined ? [outputPath] : undefined
+    });
+
+    if (changes.rolledBack.length > 0) {
+        console.log(chalk.yellow(`\nRolled back ${changes.rolledBack.length} change(s) outside ${outputPath}. Use --trust all to let the agent change other files.`));
+    }
+
+    addArtifact({
+        type: 'agent-changes',
+        path: outputPath,
+        created: changes.created,
+        modified: changes.modified,
+        deleted: changes.deleted,
+        rolledBack: changes.rolledBack,
+        watched: changes.watched
+    });
+
+    if (changes.missing.length > 0) {
+        const existed = watch.files.has(outputPath);
+        reportError(new DuqError(ERROR_CODES.OUTPUT_MISSING, `The expected output was not ${existed ? 'updated' : 'created'}: ${outputPath}`, { path: outputPath }));
+        return false;
+    }
+
+    console.log(chalk.green(`\n✓ Output written to: ${outputPath}`));
+    return true;
 };
 
 /**
  * Generate a README for a directory
  * @param {string} dirPath - Path to the directory
  * @param {string} outputPath - Optional custom output path for README.md
+ * @param {Object} options - Command options
+ * @param {boolean} [options.dryRun] - Only show which files would be sent
+ * @param {number} [options.maxTokens] - Token budget for the directory context
  */
-const document = async (dirPath, outputPath) => {
+const document = async (dirPath, outputPath, options = {}) => {
     // Ensure we have absolute paths
     const absoluteDirPath = path.resolve(dirPath);
     const absoluteOutputPath = outputPath ? path.resolve(outputPath) : null;
@@ -69,18 +619,62 @@ const document = async (dirPath, outputPath) => {
         console.log(chalk.blue('Output will be saved to: ' + absoluteOutputPath));
     }
 
-    const contents = getDirectoryContents(absoluteDirPath);
-    const prompt = templates.document(absoluteDirPath, absoluteOutputPath) + '\n\nDirectory contents:\n' +
-        JSON.stringify(contents, null, 2);
+    const provider = getActiveProvider();
+    const agentWrites = agentWritesFiles(provider);
+    const readmePath = absoluteOutputPath || resolveOutputPattern(getConfig().output.document, absoluteDirPath, true);
+
+    // Providers that write the README themselves are watched to see what they changed
+    let watch = null;
+    let response;
+    const printer = responsePrinter();
+    if (options.chunked) {
+        // Summarize the project batch by batch, then write the README from the summaries
+        const plan = getDirectoryBatches(absoluteDirPath, options);
+        if (options.dryRun) {
+            printBatchPlan(plan);
+            return;
+        }
+
+        watch = agentWrites ? startWorkspaceWatch(absoluteDirPath, [readmePath]) : null;
+        response = await mapReduce({
+            batches: plan.batches,
+            maxTokens: plan.maxTokens,
+            label: 'batch',
+            mapPrompt: (batch, batchNumber, batchCount) =>
+                templates.documentBatch(absoluteDirPath, batchNumber, batchCount) + '\n\nDirectory contents:\n' + batch.text,
+            reducePrompt: (partCount, isFinal) =>
+                templates.documentReduce(absoluteDirPath, readmePath, partCount, isFinal) +
+                (isFinal && !agentWrites ? templates.inlineOutput(readmePath) : ''),
+            onToken: printer.onToken
+        });
+    } else {
+        const context = getDirectoryContext(absoluteDirPath, options);
+        if (options.dryRun) {
+            printContextPlan(context);
+            return;
+        }
+
+        const contents = context.text;
+        let prompt = buildPrompt('document', templateVariables(absoluteDirPath, true, contents, { outputPath: readmePath }),
+            () => templates.document(absoluteDirPath, readmePath));
+        if (!agentWrites) {
+            prompt += templates.inlineOutput(readmePath);
+        }
+
+        watch = agentWrites ? startWorkspaceWatch(absoluteDirPath, [readmePath]) : null;
+        response = await complete(prompt, { onToken: printer.onToken });
+    }
 
-    const response = await callAmazonQ(prompt);
+    // The response was displayed as it arrived
+    printer.finish();
 
-    // Display the raw response in the console
-    console.log('\n' + response);
+    if (!agentWrites) {
+        saveInlineOutput(response, readmePath, 'document');
+        return;
+    }
 
-    // No need to save the file ourselves - Amazon Q does it for us
-    console.log(chalk.green('\nAmazon Q has processed your request.'));
-    console.log(chalk.yellow('If a README.md file was generated, it should be available at the specified location.'));
+    // The provider saved the README itself: report what it changed
+    checkAgentOutput(watch, 'document', readmePath);
 };
 
 /**
@@ -93,30 +687,111 @@ const explain = async (filePath) => {
     console.log(chalk.blue('Explaining file: ' + absoluteFilePath));
 
     const fileContent = readFile(absoluteFilePath);
-    const prompt = templates.explain(absoluteFilePath) + '\n\nFile content:\n' + fileContent;
+    const prompt = buildPrompt('explain', templateVariables(absoluteFilePath, false, fileContent),
+        () => templates.explain(absoluteFilePath));
 
-    const response = await callAmazonQ(prompt);
+    // Display the response in the console as it arrives
+    await completeAndPrint(prompt);
+};
 
-    // Display the raw response in the console
-    console.log('\n' + response);
+/**
+ * Find the command that runs the project's tests
+ * @param {boolean|string} option - Value of --test (a command, or true to use the configured one)
+ * @returns {string|null} - Command to run, or null when there is none
+ */
+const resolveTestCommand = (option) => {
+    if (typeof option === 'string') {
+        return option;
+    }
+    const configured = getConfig().testCommand;
+    if (configured) {
+        return configured;
+    }
+    if (option === true) {
+        // Fall back to the package's test script, unless it is npm's placeholder
+        const packagePath = path.join(process.cwd(), 'package.json');
+        if (fs.existsSync(packagePath)) {
+            const scripts = fs.readJsonSync(packagePath, { throws: false }) || {};
+            const testScript = scripts.scripts && scripts.scripts.test;
+            if (testScript && !testScript.includes('no test specified')) {
+                return 'npm test';
+            }
+        }
+    }
+    return null;
 };
 
 /**
- * Suggest refactoring improvements for a file
+ * Suggest refactoring improvements for a file, or apply them with --apply
  * @param {string} filePath - Path to the file
+ * @param {Object} options - Command options
+ * @param {boolean} [options.apply] - Ask for the revised file and apply it
+ * @param {boolean} [options.yes] - Apply all changes without asking
+ * @param {boolean|string} [options.diffOnly] - Only output a patch (optionally to this file)
+ * @param {boolean|string} [options.test] - Run tests after applying (a command, true for the configured one, false to skip)
  */
-const refactor = async (filePath) => {
+const refactor = async (filePath, options = {}) => {
     // Ensure we have an absolute path
     const absoluteFilePath = path.resolve(filePath);
-    console.log(chalk.blue('Suggesting refactoring for file: ' + absoluteFilePath));
+    console.log(chalk.blue((options.apply ? 'Refactoring file: ' : 'Suggesting refactoring for file: ') + absoluteFilePath));
 
     const fileContent = readFile(absoluteFilePath);
-    const prompt = templates.refactor(absoluteFilePath) + '\n\nFile content:\n' + fileContent;
+    let prompt = buildPrompt('refactor', templateVariables(absoluteFilePath, false, fileContent),
+        () => templates.refactor(absoluteFilePath));
+    if (options.apply) {
+        prompt += templates.refactorApply(absoluteFilePath);
+    }
+
+    // Display the response in the console as it arrives
+    const response = await completeAndPrint(prompt);
+
+    if (!options.apply) {
+        return;
+    }
+
+    const extracted = extractFileContent(response, { filePath: absoluteFilePath, original: fileContent });
+    if (!extracted) {
+        throw new DuqError(ERROR_CODES.EXTRACTION, 'Could not extract the refactored file from the response.', { path: absoluteFilePath });
+    }
+
+    // Preview the changes and apply them (a backup is created before writing)
+    const proposedContent = fileContent.endsWith('\n') ? extracted.content + '\n' : extracted.content;
+    const result = await applyAndRecord(absoluteFilePath, proposedContent, {
+        yes: options.yes,
+        diffOnly: options.diffOnly,
+        operation: 'refactor'
+    });
+    if (!['applied', 'partial'].includes(result.status)) {
+        return;
+    }
+
+    const testCommand = options.test === false ? null : resolveTestCommand(options.test);
+    if (!testCommand) {
+        if (options.test) {
+            console.log(chalk.yellow('No test command found; set testCommand in the configuration or pass --test <command>.'));
+        }
+        return;
+    }
 
-    const response = await callAmazonQ(prompt);
+    console.log(chalk.blue(`\nRunning tests: ${testCommand}`));
+    // With --json the test output goes to stderr with the rest of the human-readable output
+    const run = spawnSync(testCommand, { shell: true, stdio: ['inherit', isJsonMode() ? process.stderr : 'inherit', 'inherit'] });
+    addArtifact({ type: 'test-run', command: testCommand, exitCode: run.status, passed: run.status === 0 });
+    if (run.status === 0) {
+        console.log(chalk.green('✓ Tests passed; keeping the refactoring'));
+        return;
+    }
 
-    // Display the raw response in the console
-    console.log('\n' + response);
+    const reason = run.error ? run.error.message : 'exit code ' + run.status;
+    console.error(chalk.red(`Tests failed (${reason}); reverting the refactoring`));
+    const restored = backupManager.restoreBackup(absoluteFilePath, result.backupId);
+    if (restored) {
+        console.log(chalk.yellow(`✓ Restored ${absoluteFilePath} from backup ${result.backupId}`));
+    }
+    throw new DuqError(ERROR_CODES.TESTS_FAILED, restored
+        ? `Tests failed (${reason}); the refactoring was reverted`
+        : `Tests failed (${reason}) and ${absoluteFilePath} could not be restored; use 'duq revert ${filePath}' to restore it`,
+    { command: testCommand, exitCode: run.status, reverted: Boolean(restored), backupId: result.backupId });
 };
 
 /**
@@ -134,219 +809,692 @@ const test = async (filePath, outputPath) => {
         console.log(chalk.blue('Output will be saved to: ' + absoluteOutputPath));
     }
 
+    const provider = getActiveProvider();
+    const agentWrites = agentWritesFiles(provider);
+    const testFilePath = absoluteOutputPath || resolveOutputPattern(getConfig().output.test, absoluteFilePath);
+
     const fileContent = readFile(absoluteFilePath);
-    const prompt = templates.test(absoluteFilePath, absoluteOutputPath) + '\n\nFile content:\n' + fileContent;
+    let prompt = buildPrompt('test', templateVariables(absoluteFilePath, false, fileContent, { outputPath: testFilePath }),
+        () => templates.test(absoluteFilePath, testFilePath));
+    if (!agentWrites) {
+        prompt += templates.inlineOutput(testFilePath);
+    }
 
-    const response = await callAmazonQ(prompt);
+    // Providers that write the test file themselves are watched to see what they changed
+    const watch = agentWrites ? startWorkspaceWatch(absoluteFilePath, [testFilePath]) : null;
+    // Display the response in the console as it arrives
+    const response = await completeAndPrint(prompt);
 
-    // Display the raw response in the console
-    console.log('\n' + response);
+    if (!agentWrites) {
+        saveInlineOutput(response, testFilePath, 'test');
+        return;
+    }
 
-    // No need to save the file ourselves - Amazon Q does it for us
-    console.log(chalk.green('\nAmazon Q has processed your request.'));
-    console.log(chalk.yellow('If a test file was generated, it should be available at the specified location.'));
+    // The provider saved the test file itself: report what it changed
+    checkAgentOutput(watch, 'test', testFilePath);
 };
 
 /**
- * Adds docstrings to a code file
- * @param {string} filePath - Path to the file to document
+ * Print the regions where a proposed edit changed code, not just comments
+ * @param {string} original - Original content
+ * @param {string} proposed - Proposed content
+ * @param {Array} regions - Regions from verifyCommentOnlyChanges
  */
-const docstrings = async (filePath) => {
-    try {
-        // Check if file exists
-        if (!fs.existsSync(filePath)) {
-            console.error(chalk.red(`Error: File not found: ${filePath}`));
-            return;
+const printCodeChanges = (original, proposed, regions) => {
+    const originalLines = original.split('\n');
+    const proposedLines = proposed.split('\n');
+    const maxLines = 10;
+
+    const printRange = (lines, [start, end], prefix, color) => {
+        const last = Math.min(end, start + maxLines - 1);
+        for (let line = start; line <= last; line++) {
+            console.log(color(`${prefix}${String(line).padStart(5)} | ${lines[line - 1] || ''}`));
         }
+        if (end > last) {
+            console.log(chalk.gray(`       ... ${end - last} more line(s)`));
+        }
+    };
 
-        // Read the file
-        const fileContent = readFile(filePath);
+    regions.slice(0, 5).forEach((region, index) => {
+        console.log(chalk.yellow(`\nChange ${index + 1}: original lines ${region.original[0]}-${region.original[1]}, proposed lines ${region.updated[0]}-${region.updated[1]}`));
+        printRange(originalLines, region.original, '-', chalk.red);
+        printRange(proposedLines, region.updated, '+', chalk.green);
+    });
+    if (regions.length > 5) {
+        console.log(chalk.gray(`\n... and ${regions.length - 5} more changed region(s)`));
+    }
+};
 
-        // Create a backup before modifying
-        const backupId = backupManager.createBackup(filePath, 'docstrings');
-        if (backupId) {
-            console.log(chalk.yellow(`Created backup of original file`));
-        }
+/**
+ * Adds docstrings to a code file
+ * @param {string} filePath - Path to the file to document
+ * @param {Object} options - Command options
+ * @param {boolean} [options.yes] - Apply all changes without asking
+ * @param {boolean|string} [options.diffOnly] - Only output a patch (optionally to this file)
+ * @param {boolean} [options.verify] - Set to false to skip the comments-only check
+ */
+const docstrings = async (filePath, options = {}) => {
+    // Check if file exists
+    if (!fs.existsSync(filePath)) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `File not found: ${filePath}`, { path: filePath });
+    }
 
-        // Get the prompt from the template function
-        const prompt = templates.docstrings(filePath) + '\n\nFile content:\n' + fileContent;
+    // Read the file
+    const fileContent = readFile(filePath);
 
-        // Call Amazon Q
-        const response = await callAmazonQ(prompt);
+    // Get the prompt from the template function
+    const prompt = buildPrompt('docstrings', templateVariables(path.resolve(filePath), false, fileContent),
+        () => templates.docstrings(filePath));
 
-        // Extract the code from the response
-        const codePattern = /```(?:\w+)?\s*([\s\S]*?)```/;
-        const match = response.match(codePattern);
+    // Call the LLM provider
+    const response = await complete(prompt);
 
-        if (match && match[1]) {
-            const documentedCode = match[1].trim();
+    // Extract the code from the response (a full file or a diff against it)
+    const extracted = extractFileContent(response, { filePath, original: fileContent });
+    if (!extracted) {
+        reportError(new DuqError(ERROR_CODES.EXTRACTION, 'Could not extract documented code from the response.', { path: path.resolve(filePath) }));
+        console.log('Raw response:');
+        console.log(response);
+        return;
+    }
 
-            // Write the documented code to the file
-            fs.writeFileSync(filePath, documentedCode, 'utf8');
-            console.log(chalk.green(`✓ Added docstrings to: ${filePath}`));
-        } else {
-            console.error(chalk.red('Error: Could not extract documented code from the response.'));
-            console.log('Raw response:');
-            console.log(response);
+    // Keep the file's final newline, extracted content never ends with one
+    const proposedContent = fileContent.endsWith('\n') ? extracted.content + '\n' : extracted.content;
+
+    // Refuse edits that changed anything besides comments and whitespace
+    if (options.verify !== false) {
+        const verification = verifyCommentOnlyChanges(filePath, fileContent, proposedContent);
+        if (!verification.ok) {
+            reportError(new DuqError(ERROR_CODES.VERIFICATION, `The proposed docstrings also change code in ${filePath}; nothing was written.`, {
+                path: path.resolve(filePath),
+                language: verification.language,
+                regions: verification.regions
+            }));
+            printCodeChanges(fileContent, proposedContent, verification.regions);
+            console.log(chalk.yellow('\nReview the response and run again, or use --no-verify to apply it anyway.'));
+            return;
         }
-    } catch (error) {
-        console.error(chalk.red(`Error adding docstrings: ${error.message}`));
     }
+
+    // Preview the changes and apply them (a backup is created before writing)
+    await applyAndRecord(filePath, proposedContent, { ...options, operation: 'docstrings' });
+};
+
+/**
+ * Print a summary of security findings
+ * @param {Object[]} findings - Findings from parseFindings
+ * @param {string} label - Heading, e.g. 'Findings' or 'New findings'
+ */
+const printFindings = (findings, label) => {
+    const counts = countBySeverity(findings);
+    console.log(chalk.cyan(`\n${label}: ${SEVERITIES.map(severity => `${counts[severity]} ${severity}`).join(', ')}`));
+
+    const colors = { critical: chalk.red.bold, high: chalk.red, medium: chalk.yellow, low: chalk.gray };
+    findings.forEach(finding => {
+        console.log(`  ${colors[finding.severity](finding.severity.toUpperCase().padEnd(8))} ${formatLocation(finding)}  ${finding.title} ${chalk.gray(`(${finding.ruleId})`)}`);
+    });
+};
+
+/**
+ * Run the local secret and dangerous sink scan on the files sent to the provider
+ * @param {string[]} files - Absolute file paths
+ * @param {string} root - Directory the reported paths are relative to
+ * @returns {Object[]} - Pre-scan findings
+ */
+const preScan = (files, root, readContent) => {
+    const hits = scanFiles(files, root, readContent);
+    console.log(chalk.cyan(`Local pre-scan: ${hits.length} possible issue(s) in ${files.length} file(s)`));
+    return hits;
 };
 
 /**
  * Perform security analysis on a file or directory
  * @param {string} targetPath - Path to the file or directory to analyze
  * @param {Object} options - Command options
+ * @param {string} [options.output] - Path to save the report
+ * @param {string} [options.format] - Report format: markdown, json or sarif (default: from the output extension)
+ * @param {string} [options.failOn] - Fail when a finding has this severity or higher
+ * @param {string|boolean} [options.baseline] - Only report findings missing from this baseline (true for the default path)
+ * @param {boolean} [options.updateBaseline] - Save the current findings as the baseline
+ * @param {boolean} [options.redact] - Redact secrets from the prompt (default true; false with --no-redact)
+ * @param {boolean} [options.changed] - Only analyze the changed files of the target (or of the repository)
+ * @param {boolean} [options.staged] - Only analyze the staged files
+ * @param {string} [options.since] - Only analyze the files changed since this git revision
  */
 const security = async (targetPath, options = {}) => {
-    try {
-        // Ensure we have an absolute path
-        const absolutePath = path.resolve(targetPath);
+    const selection = gitSelection(options);
+    if (!targetPath && !selection) {
+        throw new DuqError(ERROR_CODES.USAGE, 'Missing path for security (or use --changed, --staged or --since <ref>)');
+    }
+
+    // Ensure we have an absolute path; a git selection defaults to the whole repository
+    const absolutePath = targetPath ? path.resolve(targetPath) : repoRoot();
+
+    // Check if path exists
+    if (!fs.existsSync(absolutePath)) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `Path not found: ${absolutePath}`, { path: absolutePath });
+    }
+
+    const outputPath = options.output ? path.resolve(options.output) : null;
+    const format = options.format ? validateFormat(options.format) : formatForPath(outputPath);
+    const failOn = options.failOn ? validateSeverity(options.failOn, '--fail-on') : null;
+    if (format !== 'markdown' && !outputPath) {
+        throw new DuqError(ERROR_CODES.USAGE, `The ${format} report needs an output path (use --output)`);
+    }
 
-        // Check if path exists
-        if (!fs.existsSync(absolutePath)) {
-            console.error(chalk.red(`Error: Path not found: ${absolutePath}`));
+    // Fingerprints and the default baseline are relative to the repository, whatever part of it is analyzed
+    const baseRoot = baselineRoot(fs.lstatSync(absolutePath).isDirectory() ? absolutePath : path.dirname(absolutePath));
+
+    // Load the baseline before calling the provider, so a missing or broken one fails fast
+    const baselinePath = options.baseline || options.updateBaseline ? resolveBaselinePath(options.baseline, baseRoot) : null;
+    const baseline = baselinePath && (!options.updateBaseline || fs.existsSync(baselinePath)) ? loadBaseline(baselinePath) : null;
+
+    // With a git selection only the selected files of the target are analyzed;
+    // with --staged their staged content is, not what is in the working tree
+    let changed = null;
+    let contents = null;
+    if (selection) {
+        const { root: repo, files } = changedFiles(selection, targetPath);
+        changed = filterFiles(files, repo, getConfig().ignore).files;
+        if (selection.mode === 'staged') {
+            contents = stagedContents(repo, changed);
+            changed = changed.filter(file => contents.has(file) && !isBinaryFile(file, contents.get(file)));
+        }
+        if (changed.length === 0) {
+            console.log(chalk.yellow(`No ${describeSelection(selection)} to analyze`));
+            setResultData({ findings: [], counts: countBySeverity([]), suppressed: [], baseline: null });
             return;
         }
+    }
+    const readContent = contents ? (filePath) => (contents.get(filePath) || fs.readFileSync(filePath)).toString('utf8') : undefined;
 
-        const isDirectory = fs.lstatSync(absolutePath).isDirectory();
+    const isDirectory = changed ? true : fs.lstatSync(absolutePath).isDirectory();
+    const analyzedPath = isDirectory && !fs.lstatSync(absolutePath).isDirectory() ? path.dirname(absolutePath) : absolutePath;
 
-        console.log(chalk.blue(`Performing security analysis on ${isDirectory ? 'directory' : 'file'}: ${absolutePath}`));
+    console.log(chalk.blue(changed
+        ? `Performing security analysis on ${changed.length} ${describeSelection(selection)} in: ${analyzedPath}`
+        : `Performing security analysis on ${isDirectory ? 'directory' : 'file'}: ${absolutePath}`));
 
-        let prompt = templates.security(absolutePath, isDirectory);
+    const root = isDirectory ? analyzedPath : path.dirname(absolutePath);
+    const contextOptions = { ...options, files: changed || undefined, contents: contents || undefined };
+    const selectionNote = changed ? templates.selectionNote(describeSelection(selection)) : '';
+    let hits = [];
+    let analyzedFiles = [];
+    let response;
+    // Chunked analyses take the findings of every batch response, not of the merged report
+    let batchFindings = null;
+    const batchesWithoutFindings = [];
+    const printer = responsePrinter();
+    // Secrets never leave the machine, and the report keeps the placeholders instead of the values
+    const previousRedaction = setRedaction({ enabled: options.redact !== false, restore: false });
+    try {
+        if (isDirectory && options.chunked) {
+            // Analyze the directory batch by batch, then merge and deduplicate the findings
+            const plan = getDirectoryBatches(analyzedPath, contextOptions);
+            if (options.dryRun) {
+                printBatchPlan(plan);
+                return;
+            }
 
-        if (isDirectory) {
-            // For directories, we'll analyze key files
-            const contents = getDirectoryContents(absolutePath);
-            prompt += '\n\nDirectory contents:\n' + JSON.stringify(contents, null, 2);
+            analyzedFiles = plan.batches.flatMap(batch => batch.files.map(file => file.absolutePath));
+            hits = preScan(analyzedFiles, root, readContent);
+            batchFindings = [];
+            response = await mapReduce({
+                batches: plan.batches,
+                maxTokens: plan.maxTokens,
+                label: 'batch',
+                mapPrompt: (batch, batchNumber, batchCount) => {
+                    const files = new Set(batch.files.map(file => file.absolutePath));
+                    const batchHits = hits.filter(hit => files.has(path.resolve(root, hit.file)));
+                    return templates.securityBatch(analyzedPath, batchNumber, batchCount) + selectionNote + templates.securityFindings() +
+                        (batchHits.length > 0 ? templates.securityHints(batchHits) : '') +
+                        '\n\nDirectory contents:\n' + batch.text;
+                },
+                reducePrompt: (partCount, isFinal) => templates.securityReduce(analyzedPath, partCount, isFinal),
+                onToken: printer.onToken,
+                onPartial: (partial, batch) => {
+                    const found = parseFindings(partial, { targetPath: analyzedPath, isDirectory: true });
+                    if (found) {
+                        batchFindings.push(...found);
+                    } else {
+                        batchesWithoutFindings.push(batch.index + 1);
+                    }
+                }
+            });
         } else {
-            // For a single file
-            const fileContent = readFile(absolutePath);
-            prompt += '\n\nFile content:\n' + fileContent;
+            // For directories we analyze the most relevant files that fit the budget
+            let content;
+            let files = [absolutePath];
+            if (isDirectory) {
+                const context = getDirectoryContext(analyzedPath, contextOptions);
+                if (options.dryRun) {
+                    printContextPlan(context);
+                    return;
+                }
+                content = context.text;
+                files = context.included.map(file => file.absolutePath);
+            } else {
+                content = readFile(absolutePath);
+            }
+
+            analyzedFiles = files;
+            hits = preScan(files, root, readContent);
+            const prompt = buildPrompt('security', templateVariables(analyzedPath, isDirectory, content),
+                () => templates.security(analyzedPath, isDirectory)) + selectionNote + templates.securityFindings() +
+                (hits.length > 0 ? templates.securityHints(hits) : '');
+
+            // Call the LLM provider
+            response = await complete(prompt, { onToken: printer.onToken });
         }
+    } finally {
+        setRedaction(previousRedaction);
+    }
 
-        // Call Amazon Q
-        const response = await callAmazonQ(prompt);
+    // The response was displayed as it arrived
+    printer.finish();
 
-        // Display the response
-        console.log('\n' + response);
+    // The findings block is what reports are exported from and what --fail-on checks;
+    // a chunked analysis has one per batch, and a batch without one leaves the list incomplete
+    const parsed = batchFindings
+        ? (batchesWithoutFindings.length === 0 ? dedupeFindings(batchFindings) : null)
+        : parseFindings(response, { targetPath: analyzedPath, isDirectory });
+    const withoutBlock = batchesWithoutFindings.length > 0
+        ? `The response to batch ${batchesWithoutFindings.join(', ')}`
+        : 'The response';
+    if (!parsed && (format !== 'markdown' || failOn || baselinePath)) {
+        throw new DuqError(ERROR_CODES.EXTRACTION, `${withoutBlock} contains no findings block, so no structured report can be produced.`, { format, failOn });
+    }
 
-        // Save the report if output option is provided
-        if (options.output) {
-            const outputPath = path.resolve(options.output);
+    let findings = null;
+    let suppressed = [];
+    let comparison = null;
+    // Baseline findings in files this run did not look at are neither fixed nor replaced
+    const scope = new Set(analyzedFiles.map(file => baselineFile(file, root, baseRoot)));
+    if (parsed) {
+        // Pre-scan hits the model confirmed with the same rule and line are merged into one finding
+        ({ findings, suppressed } = annotateFindings(dedupeFindings([...parsed, ...hits]), root, { baseRoot, readContent }));
+        comparison = baseline ? compareWithBaseline(findings, baseline, scope) : null;
 
-            // Extract the markdown content from the response if it's in a code block
-            let reportContent = response;
-            const mdPattern = /```(?:markdown)?\s*([\s\S]*?)```/;
-            const mdMatch = response.match(mdPattern);
-            if (mdMatch && mdMatch[1]) {
-                reportContent = mdMatch[1].trim();
-            }
+        // With a baseline only the new findings are reported
+        printFindings(comparison ? comparison.added : findings, comparison ? 'New findings' : 'Findings');
+        if (comparison) {
+            console.log(chalk.cyan(`Compared with ${baselinePath}: ${comparison.added.length} new, ${comparison.fixed.length} fixed, ${comparison.unchanged.length} unchanged`));
+            comparison.fixed.forEach(entry => console.log(chalk.green(`  FIXED    ${formatLocation(entry)}  ${entry.title} ${chalk.gray(`(${entry.ruleId})`)}`)));
+        }
+        if (suppressed.length > 0) {
+            console.log(chalk.gray(`${suppressed.length} finding(s) suppressed by duq-ignore comments`));
+        }
+    } else {
+        console.log(chalk.yellow(`\nWarning: ${withoutBlock} contains no findings block; saving the report as written.`));
+    }
+
+    const reported = comparison ? comparison.added : findings;
+    const fixed = comparison ? comparison.fixed : [];
+    if (findings) {
+        setResultData({
+            findings: reported,
+            counts: countBySeverity(reported),
+            suppressed,
+            baseline: comparison ? { path: baselinePath, added: reported.length, fixed, unchanged: comparison.unchanged.length } : null
+        });
+    }
+
+    let reportContent;
+    if (format === 'sarif') {
+        reportContent = JSON.stringify(toSarif(reported, { version, root, baseline: Boolean(comparison), suppressed }), null, 2) + '\n';
+    } else if (format === 'json') {
+        reportContent = JSON.stringify({
+            target: absolutePath,
+            baseline: comparison ? baselinePath : null,
+            counts: countBySeverity(reported),
+            findings: reported,
+            fixed,
+            suppressed
+        }, null, 2) + '\n';
+    } else {
+        // Rendered from the findings when possible, so every format lists the same issues
+        reportContent = findings
+            ? toMarkdown(reported, absolutePath, { baseline: comparison ? baselinePath : null, fixed, suppressed })
+            : extractDocument(response);
+    }
 
-            fs.writeFileSync(outputPath, reportContent, 'utf8');
-            console.log(chalk.green(`✓ Security report saved to: ${outputPath}`));
+    // Save the report if output option is provided
+    if (outputPath) {
+        backupManager.backupBeforeWrite(outputPath, 'security');
+        fs.outputFileSync(outputPath, reportContent, 'utf8');
+        console.log(chalk.green(`✓ Security report (${format}) saved to: ${outputPath}`));
+    }
+    addArtifact({ type: 'report', path: outputPath, format, content: reportContent });
+
+    // Updating the baseline accepts every current finding, so there is nothing left to fail on
+    if (options.updateBaseline) {
+        backupManager.backupBeforeWrite(baselinePath, 'security');
+        fs.outputFileSync(baselinePath, serializeBaseline(findings, { root, baseRoot, previous: baseline || [], scope }), 'utf8');
+        console.log(chalk.green(`✓ Baseline updated with ${findings.length} finding(s): ${baselinePath}`));
+        addArtifact({ type: 'baseline', path: baselinePath, findings: findings.length });
+    } else if (failOn) {
+        const failing = findingsAtOrAbove(reported, failOn);
+        if (failing.length > 0) {
+            throw new DuqError(ERROR_CODES.FINDINGS, `${failing.length} ${comparison ? 'new ' : ''}finding(s) with severity ${failOn} or higher`, {
+                failOn,
+                counts: countBySeverity(failing)
+            });
         }
-    } catch (error) {
-        console.error(chalk.red(`Error performing security analysis: ${error.message}`));
+        console.log(chalk.green(`✓ No ${comparison ? 'new ' : ''}findings with severity ${failOn} or higher`));
     }
 };
 
 /**
- * Chain multiple commands together
- * @param {string} targetPath - Path to the file or directory
- * @param {string} steps - Comma-separated list of commands to run
- * @param {Object} options - Command options
+ * Print review comments grouped per hunk
+ * @param {Object[]} comments - Comments from parseReviewComments
+ * @param {Object[]} hunks - Hunks from parseReviewDiff
  */
-const chain = async (targetPath, steps, options = {}) => {
-    try {
-        // Ensure we have an absolute path
-        const absolutePath = path.resolve(targetPath);
+const printReviewComments = (comments, hunks) => {
+    const counts = countBySeverity(comments);
+    console.log(chalk.cyan(`\nComments: ${SEVERITIES.map(severity => `${counts[severity]} ${severity}`).join(', ')}`));
 
-        // Check if path exists
-        if (!fs.existsSync(absolutePath)) {
-            console.error(chalk.red(`Error: Path not found: ${absolutePath}`));
+    const colors = { critical: chalk.red.bold, high: chalk.red, medium: chalk.yellow, low: chalk.gray };
+    [...hunks, null].forEach(hunk => {
+        const hunkComments = comments.filter(comment => comment.hunk === (hunk ? hunk.id : null));
+        if (hunkComments.length === 0) {
             return;
         }
+        console.log(chalk.white(hunk ? `\n${hunk.id} ${hunk.file}:${hunk.startLine}-${hunk.endLine}` : '\nOther comments'));
+        hunkComments.forEach(comment => {
+            const line = comment.line ? `line ${comment.line}` : '';
+            console.log(`  ${colors[comment.severity](comment.severity.toUpperCase().padEnd(8))} ${line}  ${comment.comment} ${chalk.gray(`(${comment.category})`)}`);
+        });
+    });
+};
 
-        // Parse the steps
-        const commandSequence = steps.split(',').map(step => step.trim());
+/**
+ * Review the hunks of a git change with their surrounding context
+ * @param {string} [targetPath] - Path or pathspec to limit the review to
+ * @param {Object} options - Command options
+ * @param {boolean} [options.changed] - Review the changes in the working tree (the default)
+ * @param {boolean} [options.staged] - Review the staged changes
+ * @param {string} [options.since] - Review the changes since this git revision
+ * @param {string|number} [options.context] - Lines of context around each change (default 10)
+ * @param {string} [options.output] - Path to save the review (.json for JSON, else Markdown)
+ * @param {string} [options.failOn] - Fail when a comment has this severity or higher
+ * @param {number} [options.maxTokens] - Token budget for the diff
+ */
+const review = async (targetPath, options = {}) => {
+    const selection = gitSelection(options) || { mode: 'changed', ref: null };
+    const description = describeSelection(selection);
+    const contextLines = options.context === undefined ? 10 : Number(options.context);
+    if (!Number.isInteger(contextLines) || contextLines < 0) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid context '${options.context}' (expected a whole number of lines)`);
+    }
+    const outputPath = options.output ? path.resolve(options.output) : null;
+    const format = formatForPath(outputPath) === 'json' ? 'json' : 'markdown';
+    const failOn = options.failOn ? validateSeverity(options.failOn, '--fail-on') : null;
 
-        console.log(chalk.blue(`Chaining commands on ${absolutePath}:`));
-        console.log(chalk.cyan(`Sequence: ${commandSequence.join(' → ')}`));
+    const root = repoRoot();
+    const ignores = getConfig().ignore;
+    const { diff } = selectionDiff(selection, {
+        target: targetPath,
+        context: contextLines,
+        include: file => filterFiles([file], root, ignores).files.length > 0
+    });
+    const hunks = parseReviewDiff(diff);
+    if (hunks.length === 0) {
+        console.log(chalk.yellow(`No ${description} to review`));
+        setResultData({ hunks: [], comments: [], counts: countBySeverity([]) });
+        return;
+    }
 
-        // Track if the target is a file or directory
-        const isDirectory = fs.lstatSync(absolutePath).isDirectory();
+    const files = new Set(hunks.map(hunk => hunk.file));
+    console.log(chalk.blue(`Reviewing ${hunks.length} hunk(s) in ${files.size} file(s): ${description}${targetPath ? ` in ${targetPath}` : ''}`));
 
-        // Execute each command in sequence
-        for (let i = 0; i < commandSequence.length; i++) {
-            const command = commandSequence[i];
-            console.log(chalk.yellow(`\n[${i + 1}/${commandSequence.length}] Running command: ${command}`));
+    const prompt = buildPrompt('review', templateVariables(root, true, renderReviewDiff(hunks), { contentLabel: 'Diff', selection: description }),
+        () => templates.review(root, description)) + templates.reviewComments();
 
-            // Check if the command is valid
-            if (!['document', 'explain', 'refactor', 'test', 'docstrings', 'security'].includes(command)) {
-                console.error(chalk.red(`Error: Unknown command '${command}'`));
-                if (options.continueOnError) {
-                    console.log(chalk.yellow(`Skipping unknown command and continuing...`));
-                    continue;
-                } else {
-                    console.error(chalk.red(`Chain execution stopped. Use --continue-on-error to ignore failed steps.`));
-                    return;
-                }
-            }
+    // The diff is sent in one prompt, so it has to fit the budget
+    const maxTokens = Number(options.maxTokens || getConfig().limits.maxTokens);
+    const promptTokens = estimateTokens(prompt);
+    if (promptTokens > maxTokens) {
+        throw new DuqError(ERROR_CODES.USAGE,
+            `The diff is too large to review (~${promptTokens.toLocaleString('en-US')} of ${maxTokens.toLocaleString('en-US')} tokens); ` +
+            'limit it to a path, lower --context or raise --max-tokens',
+            { estimatedTokens: promptTokens, maxTokens });
+    }
 
-            // Check if the command is compatible with the target type
-            if (isDirectory && !['document', 'security'].includes(command)) {
-                console.error(chalk.red(`Error: Command '${command}' cannot be used on directories`));
-                if (options.continueOnError) {
-                    console.log(chalk.yellow(`Skipping incompatible command and continuing...`));
-                    continue;
-                } else {
-                    console.error(chalk.red(`Chain execution stopped. Use --continue-on-error to ignore failed steps.`));
-                    return;
-                }
-            }
+    const printer = responsePrinter();
+    const response = await complete(prompt, { onToken: printer.onToken });
+    printer.finish();
+
+    const comments = parseReviewComments(response, hunks);
+    if (!comments && (format === 'json' || failOn)) {
+        throw new DuqError(ERROR_CODES.EXTRACTION, 'The response contains no comments block, so no structured review can be produced.', { format, failOn });
+    }
+    if (comments) {
+        printReviewComments(comments, hunks);
+        setResultData({
+            hunks: hunks.map(hunk => ({ id: hunk.id, file: hunk.file, startLine: hunk.startLine, endLine: hunk.endLine })),
+            comments,
+            counts: countBySeverity(comments)
+        });
+    } else {
+        console.log(chalk.yellow('\nWarning: The response contains no comments block; saving the review as written.'));
+    }
+
+    const reportContent = format === 'json'
+        ? toReviewJson(comments, hunks, description) + '\n'
+        : (comments ? toReviewMarkdown(comments, hunks, description) : extractDocument(response));
+    if (outputPath) {
+        backupManager.backupBeforeWrite(outputPath, 'review');
+        fs.outputFileSync(outputPath, reportContent, 'utf8');
+        console.log(chalk.green(`✓ Review (${format}) saved to: ${outputPath}`));
+    }
+    addArtifact({ type: 'report', path: outputPath, format, content: reportContent });
+
+    if (failOn) {
+        const failing = findingsAtOrAbove(comments, failOn);
+        if (failing.length > 0) {
+            throw new DuqError(ERROR_CODES.FINDINGS, `${failing.length} review comment(s) with severity ${failOn} or higher`, {
+                failOn,
+                counts: countBySeverity(failing)
+            });
+        }
+        console.log(chalk.green(`✓ No review comments with severity ${failOn} or higher`));
+    }
+};
+
+// Errors that a retry cannot fix
+const NOT_RETRYABLE = [ERROR_CODES.USAGE, ERROR_CODES.CONFIG, ERROR_CODES.NOT_FOUND, ERROR_CODES.FINDINGS, ERROR_CODES.CANCELLED];
+
+/**
+ * Run one pipeline step with its permission profile and result
+ * @param {Object} step - Step from validatePipeline
+ * @param {string} target - Resolved target
+ * @param {Object} options - Resolved options
+ * @returns {Promise} - Resolves when the step has finished
+ */
+const runStep = (step, target, options) => {
+    if (step.template) {
+        const handler = withPermissions(step.command, runTemplate, templateProfile(step.command));
+        return reported(step.command, handler, 1)(step.command, target, options.args || [], options);
+    }
+
+    const runners = {
+        document: () => document(target, options.output, options),
+        explain: () => explain(target),
+        refactor: () => refactor(target, options),
+        test: () => test(target, options.output),
+        docstrings: () => docstrings(target, options),
+        security: () => security(target, options)
+    };
+    return reported(step.command, withPermissions(step.command, runners[step.command]))(target);
+};
+
+/**
+ * Run the steps of a validated pipeline in order. Each step's result is kept for the
+ * conditions and {{steps.<id>...}} references of later steps.
+ * @param {Object} pipeline - Pipeline from validatePipeline
+ * @param {Object} options - Run options
+ * @param {string} options.label - How the run is named in messages, e.g. 'Pipeline'
+ * @param {string} options.hint - How to ignore a failed step, added to the error
+ */
+const executePipeline = async (pipeline, { label, hint }) => {
+    const results = {};
+    const resolvePath = (value) => path.resolve(pipeline.baseDir, interpolate(value, results));
+
+    for (let i = 0; i < pipeline.steps.length; i++) {
+        const step = pipeline.steps[i];
+        console.log(chalk.yellow(`\n[${i + 1}/${pipeline.steps.length}] Running ${step.id === step.command ? `command: ${step.command}` : `step '${step.id}': ${step.command}`}`));
+
+        const unmet = step.conditions.find(condition => !evaluateCondition(condition, results));
+        if (unmet) {
+            console.log(chalk.gray(`Skipped: ${unmet.text} is not true`));
+            skipResult(step.command, step.target, `${unmet.text} is not true`);
+            results[step.id] = summarizeStep(null, 'skipped');
+            continue;
+        }
+
+        // Fill in data from earlier steps
+        const target = resolvePath(step.target);
+        const options = {};
+        for (const [key, value] of Object.entries(step.options)) {
+            options[key] = typeof value !== 'string' ? value : (key === 'output' ? resolvePath(value) : interpolate(value, results));
+        }
 
-            // Execute the command
+        const exitCode = process.exitCode;
+        let result = null;
+        let error = null;
+        for (let attempt = 0; attempt <= step.retries; attempt++) {
+            if (attempt > 0) {
+                console.log(chalk.yellow(`Retrying '${step.id}' (attempt ${attempt + 1} of ${step.retries + 1})...`));
+            }
+            error = null;
+            const previousContext = promptContext;
+            promptContext = step.context ? interpolate(step.context, results) : null;
             try {
-                switch (command) {
-                    case 'document':
-                        if (isDirectory) {
-                            await document(absolutePath, options.output);
-                        } else {
-                            console.error(chalk.red(`Error: 'document' command requires a directory`));
-                            if (!options.continueOnError) return;
-                        }
-                        break;
-                    case 'explain':
-                        await explain(absolutePath);
-                        break;
-                    case 'refactor':
-                        await refactor(absolutePath);
-                        break;
-                    case 'test':
-                        await test(absolutePath, options.output);
-                        break;
-                    case 'docstrings':
-                        await docstrings(absolutePath);
-                        break;
-                    case 'security':
-                        await security(absolutePath, { output: options.output });
-                        break;
-                }
-                console.log(chalk.green(`✓ Command '${command}' completed successfully`));
-            } catch (error) {
-                console.error(chalk.red(`Error executing command '${command}': ${error.message}`));
-                if (!options.continueOnError) {
-                    console.error(chalk.red(`Chain execution stopped. Use --continue-on-error to ignore failed steps.`));
-                    return;
-                }
+                await runStep(step, target, options);
+            } catch (stepError) {
+                error = stepError;
+            } finally {
+                promptContext = previousContext;
+            }
+
+            // Some failures are reported without being thrown, so the step's result decides
+            result = getLastStep();
+            const code = error ? toDuqError(error).code : (result.error && result.error.code);
+            if (!code) {
+                // Earlier failed attempts do not count
+                process.exitCode = exitCode;
+                break;
+            }
+            if (isStopped(error) || NOT_RETRYABLE.includes(code)) {
+                break;
             }
         }
+        results[step.id] = summarizeStep(result);
 
-        console.log(chalk.green(`\n✓ Chain execution completed`));
-    } catch (error) {
-        console.error(chalk.red(`Error in chain execution: ${error.message}`));
+        const failed = error || (result.error && result.error.code);
+        if (!failed) {
+            console.log(chalk.green(`✓ Step '${step.id}' completed successfully`));
+            continue;
+        }
+        // Ctrl-C and timeouts stop the whole run
+        if (!step.continueOnError || isStopped(error)) {
+            const cause = error ? toDuqError(error) : new DuqError(result.error.code, result.error.message, result.error.details);
+            throw new DuqError(cause.code, `${label} stopped at '${step.id}': ${cause.message}. ${hint}`, { step: step.id, ...cause.details });
+        }
+        process.exitCode = exitCode;
+        console.log(chalk.yellow(`Continuing after the failed step...`));
+    }
+};
+
+/**
+ * Run a pipeline file
+ * @param {string} pipelineFile - YAML or JSON pipeline
+ * @param {string} [targetPath] - Target for steps without their own, replacing the pipeline's
+ * @param {Object} options - Command options
+ * @param {boolean} [options.dryRun] - Only check the pipeline and print its steps
+ */
+const run = async (pipelineFile, targetPath, options = {}) => {
+    const absolutePath = path.resolve(pipelineFile);
+    const pipeline = validatePipeline(readPipelineFile(absolutePath), {
+        baseDir: path.dirname(absolutePath),
+        target: targetPath,
+        getTemplate,
+        source: `pipeline ${absolutePath}`
+    });
+
+    console.log(chalk.blue(`Running pipeline ${absolutePath} (${pipeline.steps.length} step(s))`));
+    if (options.dryRun) {
+        pipeline.steps.forEach((step, index) => {
+            const conditions = step.conditions.length > 0 ? chalk.gray(` if ${step.conditions.map(condition => condition.text).join(' and ')}`) : '';
+            console.log(chalk.white(`  ${index + 1}. ${step.id}: ${step.command} ${step.target}`) + conditions);
+        });
+        console.log(chalk.green('✓ The pipeline is valid'));
+        setResultData({ steps: pipeline.steps });
+        return;
+    }
+
+    await executePipeline(pipeline, { label: 'Pipeline', hint: 'Set continueOnError on the step to ignore its failure.' });
+    console.log(chalk.green(`\n✓ Pipeline completed`));
+};
+
+/**
+ * Chain multiple commands together
+ * @param {string} targetPath - Path to the file or directory
+ * @param {string} steps - Comma-separated list of commands to run
+ * @param {Object} options - Command options
+ */
+const chain = async (targetPath, steps, options = {}) => {
+    // Ensure we have an absolute path
+    const absolutePath = path.resolve(targetPath);
+
+    // Check if path exists
+    if (!fs.existsSync(absolutePath)) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `Path not found: ${absolutePath}`, { path: absolutePath });
+    }
+
+    // Parse the steps
+    const commandSequence = steps.split(',').map(step => step.trim());
+
+    console.log(chalk.blue(`Chaining commands on ${absolutePath}:`));
+    console.log(chalk.cyan(`Sequence: ${commandSequence.join(' → ')}`));
+
+    // A chain is a pipeline of built-in commands sharing one target and the chain's options
+    const chainOptions = {
+        document: { output: options.output },
+        refactor: { apply: options.apply, yes: options.yes },
+        test: { output: options.output },
+        docstrings: { yes: options.yes },
+        security: { output: options.output }
+    };
+    const definedOptions = (command) => Object.fromEntries(Object.entries(chainOptions[command] || {}).filter(([, value]) => value !== undefined));
+    const pipeline = validatePipeline({
+        target: absolutePath,
+        continueOnError: options.continueOnError,
+        steps: commandSequence.map(command => ({ command, options: definedOptions(command) }))
+    }, { baseDir: process.cwd(), getTemplate: () => null, source: 'chain' });
+
+    await executePipeline(pipeline, { label: 'Chain execution', hint: 'Use --continue-on-error to ignore failed steps.' });
+    console.log(chalk.green(`\n✓ Chain execution completed`));
+};
+
+/**
+ * Revert every change made by one transaction
+ * @param {string} transactionId - Transaction to revert
+ * @param {Object} options - Command options
+ * @param {boolean} [options.force] - Also delete created files that were edited since
+ */
+const revertTransaction = (transactionId, options = {}) => {
+    const result = backupManager.revertTransaction(transactionId, { force: options.force });
+    const { transaction } = result;
+
+    console.log(chalk.cyan(`Reverting transaction ${transaction.id} (${transaction.command}${transaction.target ? ' ' + transaction.target : ''}, ${new Date(transaction.startedAt).toLocaleString()})`));
+    result.restored.forEach(filePath => console.log(chalk.green(`✓ Restored ${filePath}`)));
+    result.deleted.forEach(filePath => console.log(chalk.green(`✓ Deleted ${filePath}`)));
+    result.skipped.forEach(skipped => console.error(chalk.red(`✗ Skipped ${skipped.filePath}: ${skipped.reason}`)));
+
+    setResultData({ transactionId: transaction.id, restored: result.restored, deleted: result.deleted, skipped: result.skipped });
+    if (result.skipped.length > 0) {
+        reportError(new DuqError(ERROR_CODES.BACKUP, `${result.skipped.length} file(s) of transaction ${transaction.id} were not reverted`, { skipped: result.skipped }));
     }
 };
 
@@ -354,9 +1502,17 @@ const chain = async (targetPath, steps, options = {}) => {
  * Revert a file to its previous state
  * @param {string} filePath - Optional path to the file to revert
  * @param {Object} options - Command options
+ * @param {string} [options.id] - Specific backup ID to restore
+ * @param {string} [options.transaction] - Revert a whole transaction instead
+ * @param {boolean} [options.force] - With --transaction, also delete created files that were edited since
  */
 const revert = async (filePath = null, options = {}) => {
     try {
+        if (options.transaction) {
+            revertTransaction(options.transaction, options);
+            return;
+        }
+
         // If a specific backup ID is provided
         const backupId = options.id || null;
 
@@ -367,11 +1523,12 @@ const revert = async (filePath = null, options = {}) => {
             console.log(chalk.green(`✓ Successfully reverted ${result.filePath}`));
             console.log(chalk.yellow(`Restored from backup created on ${new Date(result.timestamp).toLocaleString()}`));
             console.log(chalk.yellow(`Original operation: ${result.operation}`));
+            setResultData({ restored: result.filePath, timestamp: result.timestamp, operation: result.operation });
         } else {
-            console.error(chalk.red(`Failed to revert${filePath ? ' ' + filePath : ''}`));
+            reportError(new DuqError(ERROR_CODES.BACKUP, `Failed to revert${filePath ? ' ' + filePath : ''}`, { path: filePath }));
         }
     } catch (error) {
-        console.error(chalk.red(`Error reverting file: ${error.message}`));
+        reportError(error, 'Error reverting file');
     }
 };
 
@@ -382,6 +1539,7 @@ const revert = async (filePath = null, options = {}) => {
 const listBackups = async (filePath = null) => {
     try {
         const backups = backupManager.listBackups(filePath);
+        setResultData({ backups });
 
         if (backups.length === 0) {
             console.log(chalk.yellow(`No backups found${filePath ? ' for ' + filePath : ''}`));
@@ -399,18 +1557,449 @@ const listBackups = async (filePath = null) => {
             }
         });
     } catch (error) {
-        console.error(chalk.red(`Error listing backups: ${error.message}`));
+        reportError(error, 'Error listing backups');
+    }
+};
+
+/**
+ * List recorded transactions
+ */
+const listTransactions = async () => {
+    try {
+        const transactions = backupManager.listTransactions();
+        setResultData({ transactions });
+
+        if (transactions.length === 0) {
+            console.log(chalk.yellow('No transactions found'));
+            return;
+        }
+
+        console.log(chalk.cyan('Transactions (newest first):'));
+        transactions.forEach((transaction, index) => {
+            const date = new Date(transaction.startedAt).toLocaleString();
+            const status = transaction.status === 'completed' ? chalk.green(transaction.status) : chalk.yellow(transaction.status);
+            console.log(chalk.white(`${index + 1}. [${date}] ${transaction.command}${transaction.target ? ' ' + transaction.target : ''} (ID: ${transaction.id}) `) + status);
+            transaction.modified.forEach(file => console.log(chalk.gray(`     modified ${file.filePath}`)));
+            transaction.created.forEach(file => console.log(chalk.gray(`     created  ${file.filePath}`)));
+        });
+    } catch (error) {
+        reportError(error, 'Error listing transactions');
+    }
+};
+
+/**
+ * Check the backup store for missing or corrupt content
+ */
+const verifyBackups = async () => {
+    try {
+        const result = backupManager.verify();
+        setResultData(result);
+        const describe = (entry) => `${entry.id} (${entry.filePath || 'unknown file'}, ${entry.operation})`;
+
+        console.log(chalk.cyan(`Checked ${result.checked} backup(s) in ${backupManager.backupDir}`));
+        if (result.legacy > 0) {
+            console.log(chalk.yellow(`${result.legacy} legacy backup(s) have no recorded hash and were only checked for presence`));
+        }
+        result.missing.forEach(entry => console.error(chalk.red(`Missing: ${describe(entry)}`)));
+        result.corrupt.forEach(entry => console.error(chalk.red(`Corrupt: ${describe(entry)} does not match sha256 ${entry.hash}`)));
+        if (result.orphaned.length > 0) {
+            console.log(chalk.yellow(`${result.orphaned.length} orphaned file(s); run 'duq backups gc' to remove them`));
+        }
+
+        if (result.missing.length > 0 || result.corrupt.length > 0) {
+            reportError(new DuqError(ERROR_CODES.BACKUP, `${result.missing.length} missing and ${result.corrupt.length} corrupt backup(s)`));
+        } else {
+            console.log(chalk.green('✓ All backups are intact'));
+        }
+    } catch (error) {
+        reportError(error, 'Error verifying backups');
+    }
+};
+
+/**
+ * Remove backup content that no backup refers to any more
+ * @param {Object} options - Command options
+ * @param {boolean} [options.dryRun] - Only list what would be removed
+ */
+const gcBackups = async (options = {}) => {
+    try {
+        const result = backupManager.gc({ dryRun: options.dryRun });
+        setResultData({ dryRun: Boolean(options.dryRun), removed: result.removed, bytes: result.bytes });
+        const kilobytes = (result.bytes / 1024).toFixed(1);
+
+        if (result.removed.length === 0) {
+            console.log(chalk.green('✓ No orphaned backup content'));
+            return;
+        }
+        if (options.dryRun) {
+            result.removed.forEach(removed => console.log(chalk.white(removed)));
+            console.log(chalk.yellow(`Would remove ${result.removed.length} file(s) (${kilobytes} KB)`));
+        } else {
+            console.log(chalk.green(`✓ Removed ${result.removed.length} orphaned file(s) (${kilobytes} KB)`));
+        }
+    } catch (error) {
+        reportError(error, 'Error cleaning up backups');
+    }
+};
+
+/**
+ * Print a summary of the response cache
+ */
+const showCacheStats = async () => {
+    try {
+        const stats = cacheStats();
+        setResultData(stats);
+        const describeCounts = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([name, count]) => `${name} ${count}`).join(', ');
+
+        console.log(chalk.cyan(`Response cache: ${stats.dir}${stats.enabled ? '' : chalk.yellow(' (disabled)')}`));
+        console.log(chalk.white(`Entries: ${stats.entries} (${(stats.bytes / 1024).toFixed(1)} KB), ${stats.expired} expired`));
+        const ttl = stats.ttl === null ? 'no expiry'
+            : stats.ttl % 86400 === 0 ? `${stats.ttl / 86400} day(s)`
+                : stats.ttl % 3600 === 0 ? `${stats.ttl / 3600} hour(s)` : `${stats.ttl} second(s)`;
+        console.log(chalk.white(`Entries expire after: ${ttl}`));
+        console.log(chalk.white(`Served from the cache: ${stats.hits} time(s)`));
+        if (stats.entries > 0) {
+            console.log(chalk.white(`Oldest: ${stats.oldest}, newest: ${stats.newest}`));
+            console.log(chalk.white(`Templates: ${describeCounts(stats.templates)}`));
+            console.log(chalk.white(`Providers: ${describeCounts(stats.providers)}`));
+        }
+    } catch (error) {
+        reportError(error, 'Error reading the cache');
+    }
+};
+
+/**
+ * Remove cached responses
+ * @param {Object} options - Command options
+ * @param {boolean} [options.expired] - Only remove expired entries
+ */
+const clearResponseCache = async (options = {}) => {
+    try {
+        const result = clearCache({ expired: options.expired });
+        setResultData({ expiredOnly: Boolean(options.expired), ...result });
+        console.log(chalk.green(`✓ Removed ${result.removed} ${options.expired ? 'expired ' : ''}cached response(s) (${(result.bytes / 1024).toFixed(1)} KB)`));
+    } catch (error) {
+        reportError(error, 'Error clearing the cache');
+    }
+};
+
+/**
+ * Install the duq git hooks in the current repository
+ * @param {string[]} hooks - Hooks to install (default: pre-commit and pre-push)
+ */
+const installHooks = async (hooks = []) => {
+    try {
+        const dir = hooksDir();
+        const config = getConfig();
+        const results = validateHooks(hooks).map(hook => ({ ...installHook(dir, hook), commands: hookCommands(config, hook).map(args => args.join(' ')) }));
+        setResultData({ hooksDir: dir, hooks: results });
+
+        results.forEach(result => {
+            console.log(chalk.green(`✓ ${result.action === 'updated' ? 'Updated' : 'Installed'} ${result.hook} hook: ${result.path}`));
+            if (result.previous) {
+                console.log(chalk.white(`  Runs the previous hook first: ${result.previous}`));
+            }
+            console.log(chalk.white(result.commands.length > 0
+                ? `  Checks: ${result.commands.map(command => `duq ${command}`).join(', ')}`
+                : `  No checks configured (add them to hooks.${result.hook} in the config)`));
+        });
+        console.log(chalk.gray(`Set ${BYPASS_VARIABLE}=1 to skip the checks for one commit or push; 'duq hooks uninstall' restores the previous hooks.`));
+    } catch (error) {
+        reportError(error, 'Error installing hooks');
+    }
+};
+
+/**
+ * Remove the duq git hooks and restore the hooks they replaced
+ * @param {string[]} hooks - Hooks to uninstall (default: pre-commit and pre-push)
+ */
+const uninstallHooks = async (hooks = []) => {
+    try {
+        const dir = hooksDir();
+        const results = validateHooks(hooks).map(hook => uninstallHook(dir, hook));
+        setResultData({ hooksDir: dir, hooks: results });
+
+        results.forEach(result => {
+            if (result.action === 'restored') {
+                console.log(chalk.green(`✓ Removed the duq ${result.hook} hook and restored the previous one: ${result.path}`));
+            } else if (result.action === 'removed') {
+                console.log(chalk.green(`✓ Removed the duq ${result.hook} hook: ${result.path}`));
+            } else if (result.action === 'kept') {
+                console.log(chalk.yellow(`${result.path} is no longer the duq hook and was left alone; ${result.path}.duq-previous was not restored`));
+            } else {
+                console.log(chalk.white(`No duq ${result.hook} hook installed`));
+            }
+        });
+    } catch (error) {
+        reportError(error, 'Error uninstalling hooks');
+    }
+};
+
+/**
+ * Run the duq commands configured for a git hook; called by the installed hooks
+ * @param {string} hook - Hook name
+ */
+const runHooks = async (hook) => {
+    const [name] = validateHooks([hook]);
+    const commands = hookCommands(getConfig(), name);
+    const failed = [];
+
+    for (const args of commands) {
+        const command = `duq ${args.join(' ')}`;
+        console.log(chalk.cyan(`duq ${name}: ${command}`));
+        const status = runHookCommand(args, { quiet: isJsonMode() });
+        if (status !== 0) {
+            failed.push({ command, exitCode: status });
+        }
+    }
+    setResultData({ hook: name, commands: commands.map(args => `duq ${args.join(' ')}`), failed });
+
+    if (failed.length > 0) {
+        throw new DuqError(ERROR_CODES.HOOK_FAILED,
+            `${name} blocked: ${failed.map(failure => `${failure.command} (exit ${failure.exitCode})`).join(', ')}. ` +
+            `Fix the issues, or set ${BYPASS_VARIABLE}=1 to skip the duq checks.`,
+            { hook: name, failed });
+    }
+    console.log(chalk.green(`✓ duq ${name} checks passed`));
+};
+
+/**
+ * Run a user-defined prompt template
+ * @param {string} name - Template name
+ * @param {string} targetPath - Path to the file or directory
+ * @param {string[]} args - Values for the template's declared arguments
+ * @param {Object} options - Command options
+ * @param {string} [options.output] - Custom output path
+ * @param {boolean} [options.yes] - Apply changes without asking (replace mode)
+ * @param {boolean|string} [options.diffOnly] - Only output a patch (replace mode)
+ */
+const runTemplate = async (name, targetPath, args = [], options = {}) => {
+    const template = getTemplate(name);
+    if (!template) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `Unknown template '${name}'`, { template: name });
+    }
+
+    const absolutePath = path.resolve(targetPath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `Path not found: ${absolutePath}`, { path: absolutePath });
+    }
+
+    const isDirectory = fs.lstatSync(absolutePath).isDirectory();
+    if (template.target !== 'any' && (template.target === 'directory') !== isDirectory) {
+        throw new DuqError(ERROR_CODES.USAGE, `Template '${name}' requires a ${template.target}`);
+    }
+
+    const argumentValues = {};
+    for (let i = 0; i < template.arguments.length; i++) {
+        const arg = template.arguments[i];
+        const value = args[i] !== undefined ? args[i] : arg.default;
+        if (value === undefined && arg.required) {
+            throw new DuqError(ERROR_CODES.USAGE, `Missing required argument '${arg.name}'`);
+        }
+        argumentValues[arg.name] = value;
+    }
+
+    const provider = getActiveProvider();
+    const mode = template.output.mode === 'agent' && !agentWritesFiles(provider) ? 'write' : template.output.mode;
+
+    let outputPath = null;
+    if (options.output) {
+        outputPath = path.resolve(options.output);
+    } else if (template.output.path) {
+        outputPath = resolveOutputPattern(template.output.path, absolutePath, isDirectory);
+    }
+
+    if (mode === 'replace' && isDirectory) {
+        throw new DuqError(ERROR_CODES.USAGE, `Template '${name}' replaces its target and cannot be used on a directory`);
+    }
+    if ((mode === 'write' || mode === 'agent') && !outputPath) {
+        throw new DuqError(ERROR_CODES.USAGE, `Template '${name}' writes a file but declares no output path (use --output)`);
+    }
+
+    console.log(chalk.blue(`Running template '${name}' on ${isDirectory ? 'directory' : 'file'}: ${absolutePath}`));
+
+    const content = isDirectory ? getDirectoryContext(absolutePath).text : readFile(absolutePath);
+
+    let prompt = buildPrompt(name, templateVariables(absolutePath, isDirectory, content, { outputPath, ...argumentValues }));
+    if (mode === 'agent') {
+        prompt += `\nSave the result to: ${outputPath}\n`;
+    } else if (mode === 'write' || mode === 'replace') {
+        prompt += templates.inlineOutput(mode === 'write' ? outputPath : absolutePath);
+    }
+
+    const watch = mode === 'agent' ? startWorkspaceWatch(absolutePath, [outputPath]) : null;
+    const response = await completeAndPrint(prompt);
+
+    if (mode === 'write') {
+        saveInlineOutput(response, outputPath, name);
+    } else if (mode === 'replace') {
+        const replacement = extractFileContent(response, { filePath: absolutePath, original: content });
+        if (!replacement) {
+            throw new DuqError(ERROR_CODES.EXTRACTION, 'Could not extract the file content from the response.', { path: absolutePath });
+        }
+        const proposedContent = content.endsWith('\n') ? replacement.content + '\n' : replacement.content;
+        await applyAndRecord(absolutePath, proposedContent, { yes: options.yes, diffOnly: options.diffOnly, operation: name });
+    } else if (mode === 'agent') {
+        checkAgentOutput(watch, name, outputPath);
+    }
+};
+
+/**
+ * Default permission profile of a template: agent templates may write their output
+ * @param {string} name - Template name
+ * @returns {string} - Profile name
+ */
+const templateProfile = (name) => {
+    const template = getTemplate(name);
+    return template && template.output.mode === 'agent' ? 'write-output' : 'read-only';
+};
+
+/**
+ * List built-in and user-defined templates
+ */
+const listTemplates = async () => {
+    try {
+        const custom = getTemplates();
+
+        console.log(chalk.cyan('Built-in templates:'));
+        BUILT_IN_TEMPLATES.forEach(name => {
+            const override = custom[name];
+            const note = override ? chalk.yellow(` (overridden by ${override.source})`) : '';
+            console.log(chalk.white(`  ${name}`) + note);
+        });
+
+        const names = Object.keys(custom).filter(name => !BUILT_IN_TEMPLATES.includes(name)).sort();
+        setResultData({
+            builtIn: BUILT_IN_TEMPLATES.map(name => ({ name, overriddenBy: custom[name] ? custom[name].source : null })),
+            user: names.map(name => ({ name, description: custom[name].description, target: custom[name].target, output: custom[name].output, source: custom[name].source })),
+            errors: getTemplateErrors()
+        });
+        console.log(chalk.cyan('\nUser templates:'));
+        if (names.length === 0) {
+            console.log(chalk.white('  none (add .md or .yaml files to .duq/templates/)'));
+        }
+        names.forEach(name => {
+            const template = custom[name];
+            console.log(chalk.white(`  ${name} - ${template.description}`) + chalk.gray(` [${template.target}, ${template.output.mode}] ${template.source}`));
+        });
+
+        getTemplateErrors().forEach(({ file, message }) => {
+            console.error(chalk.yellow(`Warning: Skipped template ${file}: ${message}`));
+        });
+    } catch (error) {
+        reportError(error, 'Error listing templates');
+    }
+};
+
+/**
+ * Print a template's definition and prompt
+ * @param {string} name - Template name
+ */
+const showTemplate = async (name) => {
+    try {
+        const template = getTemplate(name);
+
+        if (template) {
+            setResultData({ name: template.name, source: template.source, description: template.description, target: template.target, output: template.output, arguments: template.arguments, body: template.body });
+            console.log(chalk.cyan(`Template: ${template.name}`));
+            console.log(chalk.white(`Source: ${template.source}`));
+            console.log(chalk.white(`Description: ${template.description}`));
+            console.log(chalk.white(`Target: ${template.target}`));
+            console.log(chalk.white(`Output: ${template.output.mode}${template.output.path ? ' → ' + template.output.path : ''}`));
+            if (template.arguments.length > 0) {
+                console.log(chalk.white(`Arguments: ${template.arguments.map(arg => arg.name).join(', ')}`));
+            }
+            console.log('\n' + template.body);
+            return;
+        }
+
+        if (BUILT_IN_TEMPLATES.includes(name)) {
+            console.log(chalk.cyan(`Template: ${name} (built-in)`));
+            const placeholders = {
+                security: ['{{targetPath}}', false],
+                review: ['{{targetPath}}', '{{selection}}']
+            }[name] || ['{{filePath}}', '{{outputPath}}'];
+            setResultData({ name, source: 'built-in', body: templates[name](...placeholders) });
+            console.log(templates[name](...placeholders));
+            return;
+        }
+
+        reportError(new DuqError(ERROR_CODES.NOT_FOUND, `Unknown template '${name}'`, { template: name }));
+    } catch (error) {
+        reportError(error, 'Error showing template');
+    }
+};
+
+/**
+ * Flatten a config object into dotted key paths
+ * @param {Object} value - Config object
+ * @param {string} prefix - Dotted path of the current object
+ * @param {Object} result - Accumulated flat values
+ * @returns {Object} - Map of dotted key paths to leaf values
+ */
+const flattenConfig = (value, prefix = '', result = {}) => {
+    for (const [key, child] of Object.entries(value)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (child !== null && typeof child === 'object' && !Array.isArray(child) && Object.keys(child).length > 0) {
+            flattenConfig(child, keyPath, result);
+        } else {
+            result[keyPath] = child;
+        }
+    }
+    return result;
+};
+
+/**
+ * Print the resolved configuration and where each value came from
+ */
+const showConfig = async () => {
+    try {
+        const { config, sources, files, root } = getResolvedConfig();
+        setResultData({ root, files, config, sources });
+
+        console.log(chalk.cyan('Resolved configuration'));
+        console.log(chalk.white(`Project root: ${root}`));
+
+        if (files.length > 0) {
+            console.log(chalk.white('Config files (lowest to highest precedence):'));
+            files.forEach(file => console.log(chalk.white(`  - ${file}`)));
+        } else {
+            console.log(chalk.white('Config files: none found, using defaults'));
+        }
+
+        console.log('');
+        const flat = flattenConfig(config);
+        for (const [keyPath, value] of Object.entries(flat)) {
+            const source = sources[keyPath] || Object.keys(sources).filter(key => keyPath.startsWith(key + '.')).map(key => sources[key])[0] || 'default';
+            console.log(`${chalk.white(keyPath)} = ${chalk.green(JSON.stringify(value))} ${chalk.gray(`(${source})`)}`);
+        }
+    } catch (error) {
+        reportError(error, 'Error loading configuration');
     }
 };
 
 module.exports = {
-    document,
-    explain,
-    refactor,
-    test,
-    docstrings,
-    security,
-    chain,
-    revert,
-    listBackups
+    document: reported('document', inTransaction('document', withPermissions('document', document))),
+    explain: reported('explain', withPermissions('explain', inBatch('explain', explain))),
+    refactor: reported('refactor', inTransaction('refactor', withPermissions('refactor', inBatch('refactor', refactor)))),
+    test: reported('test', inTransaction('test', withPermissions('test', inBatch('test', test)))),
+    docstrings: reported('docstrings', inTransaction('docstrings', withPermissions('docstrings', inBatch('docstrings', docstrings)))),
+    security: reported('security', inTransaction('security', withPermissions('security', security))),
+    review: reported('review', inTransaction('review', withPermissions('review', review))),
+    chain: reported((targetPath, steps) => `chain ${steps}`, inTransaction((targetPath, steps) => `chain ${steps}`, chain)),
+    run: reported('run', inTransaction(pipelineFile => `run ${path.basename(pipelineFile)}`, run)),
+    revert: reported('revert', revert),
+    listBackups: reported('backups list', listBackups),
+    listTransactions: reported('transactions', listTransactions),
+    verifyBackups: reported('backups verify', verifyBackups),
+    gcBackups: reported('backups gc', gcBackups),
+    showCacheStats: reported('cache stats', showCacheStats),
+    clearResponseCache: reported('cache clear', clearResponseCache),
+    installHooks: reported('hooks install', installHooks),
+    uninstallHooks: reported('hooks uninstall', uninstallHooks),
+    runHooks: reported('hooks run', runHooks),
+    showConfig: reported('config show', showConfig),
+    runTemplate: reported(name => name, inTransaction(name => name, withPermissions(name => name, runTemplate, templateProfile), 1), 1),
+    listTemplates: reported('templates list', listTemplates),
+    showTemplate: reported('templates show', showTemplate)
 };
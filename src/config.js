@@ -0,0 +1,358 @@
+/**
+ * Configuration loading for the duq CLI.
+ *
+ * Values are merged from (lowest to highest precedence):
+ *   1. built-in defaults
+ *   2. the user-global ~/.duq/config.json
+ *   3. project config files found walking up from the cwd (nearest wins):
+ *      .duqrc.json, .duqrc, duq.config.js or a "duq" key in package.json
+ *   4. environment variables (DUQ_PROVIDER, DUQ_MODEL, DUQ_PROMPT_DELIVERY, DUQ_TIMEOUT)
+ *   5. command-line flags
+ *
+ * The source of every resolved value is recorded so `duq config show` can explain it.
+ *
+ * @module config
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+const GLOBAL_CONFIG_FILE = path.join(os.homedir(), '.duq', 'config.json');
+
+/**
+ * Project config file names, in order of preference within one directory
+ */
+const PROJECT_CONFIG_FILES = ['.duqrc.json', '.duqrc', 'duq.config.js', 'package.json'];
+
+const DEFAULT_CONFIG = {
+    provider: {
+        name: 'amazon-q',
+        model: null,
+        baseUrl: null,
+        delivery: 'stdin',
+        // Seconds before a provider call is stopped; null for no limit
+        timeout: null
+    },
+    output: {
+        // Placeholders: {dir}, {name}, {ext}, {base}
+        test: '{dir}/{name}.test{ext}',
+        document: '{dir}/README.md'
+    },
+    ignore: [],
+    limits: {
+        maxFileSize: 100000,
+        maxTokens: 100000
+    },
+    backups: {
+        dir: '~/.duq/backups',
+        index: '~/.duq/backup-index.json',
+        retention: {
+            perFile: 10,
+            history: 100
+        }
+    },
+    // Prompt overrides keyed by command name, e.g. { "refactor": "Refactor {{filePath}} ..." }
+    templates: {},
+    // Command run after `refactor --apply` (e.g. "npm test"); the change is reverted if it fails
+    testCommand: null,
+    // Tool permission profiles keyed by command or template name, e.g. { "test": "all" }
+    permissions: {},
+    // Replace secrets found in prompts with placeholders before they are sent (always on for `security`)
+    redactSecrets: false,
+    snapshot: {
+        // Directories outside the project (besides the temp directory) checked for files an agent changed
+        extraPaths: []
+    },
+    batch: {
+        // Files of a glob batch (e.g. `duq docstrings "src/**/*.js"`) run at the same time
+        concurrency: 4
+    },
+    // duq commands run by the git hooks of `duq hooks install`; a failing command blocks the commit or push
+    hooks: {
+        'pre-commit': ['security --staged --fail-on high'],
+        'pre-push': []
+    },
+    // Provider responses, reused while the prompt and the template are unchanged
+    cache: {
+        enabled: true,
+        dir: '~/.duq/cache',
+        // Seconds or a duration such as "12h" or "7d"; 0 keeps entries forever
+        ttl: '7d'
+    }
+};
+
+const ENV_OVERRIDES = {
+    DUQ_PROVIDER: 'provider.name',
+    DUQ_MODEL: 'provider.model',
+    DUQ_PROMPT_DELIVERY: 'provider.delivery',
+    DUQ_TIMEOUT: 'provider.timeout'
+};
+
+let cached = null;
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a plain object
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Expand a leading ~ to the user's home directory
+ * @param {string} filePath - Path that may start with ~
+ * @returns {string} - Expanded path
+ */
+function expandHome(filePath) {
+    if (typeof filePath !== 'string') {
+        return filePath;
+    }
+    if (filePath === '~' || filePath.startsWith('~/') || filePath.startsWith('~\\')) {
+        return path.join(os.homedir(), filePath.slice(1));
+    }
+    return filePath;
+}
+
+/**
+ * Deep-merge a config layer into a target, recording the source of every leaf value.
+ * Objects are merged key by key; arrays and scalars replace the previous value.
+ * @param {Object} target - Config being built
+ * @param {Object} layer - Layer to merge in
+ * @param {Object} sources - Map of dotted key paths to source descriptions
+ * @param {string} source - Description of where the layer came from
+ * @param {string} prefix - Dotted path of the current object
+ */
+function mergeLayer(target, layer, sources, source, prefix = '') {
+    for (const [key, value] of Object.entries(layer)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+
+        if (isPlainObject(value) && keyPath !== 'templates') {
+            if (!isPlainObject(target[key])) {
+                target[key] = {};
+            }
+            mergeLayer(target[key], value, sources, source, keyPath);
+        } else if (keyPath === 'templates' && isPlainObject(value)) {
+            // Template overrides are merged per template, not per nested key
+            target[key] = { ...(target[key] || {}) };
+            for (const [name, template] of Object.entries(value)) {
+                target[key][name] = template;
+                sources[`${keyPath}.${name}`] = source;
+            }
+        } else {
+            target[key] = value;
+            // A replaced object or array drops the sources of its previous children
+            for (const existing of Object.keys(sources)) {
+                if (existing.startsWith(keyPath + '.')) {
+                    delete sources[existing];
+                }
+            }
+            sources[keyPath] = source;
+        }
+    }
+}
+
+/**
+ * Read one project config file
+ * @param {string} filePath - Path to the file
+ * @returns {Object|null} - The config it contains, or null if it has none
+ */
+function readConfigFile(filePath) {
+    const baseName = path.basename(filePath);
+
+    if (baseName === 'duq.config.js') {
+        const loaded = require(filePath);
+        return loaded && loaded.default ? loaded.default : loaded;
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (baseName === 'package.json') {
+        return isPlainObject(parsed.duq) ? parsed.duq : null;
+    }
+    return parsed;
+}
+
+/**
+ * Find project config files from the cwd up to the filesystem root
+ * @param {string} cwd - Directory to start from
+ * @returns {Array} - Found files with their config, nearest first
+ */
+function findProjectConfigs(cwd) {
+    const found = [];
+    let dir = path.resolve(cwd);
+
+    while (true) {
+        for (const name of PROJECT_CONFIG_FILES) {
+            const candidate = path.join(dir, name);
+            if (!fs.existsSync(candidate)) {
+                continue;
+            }
+
+            let config;
+            try {
+                config = readConfigFile(candidate);
+            } catch (error) {
+                throw new DuqError(ERROR_CODES.CONFIG, `Invalid config file ${candidate}: ${error.message}`);
+            }
+
+            if (config) {
+                found.push({ file: candidate, dir, config });
+                // Only one config file per directory is used
+                break;
+            }
+        }
+
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            break;
+        }
+        dir = parent;
+    }
+
+    return found;
+}
+
+/**
+ * Set a value at a dotted key path
+ * @param {Object} target - Object to modify
+ * @param {string} keyPath - Dotted key path, e.g. 'provider.name'
+ * @param {*} value - Value to set
+ */
+function setPath(target, keyPath, value) {
+    const keys = keyPath.split('.');
+    let current = target;
+    for (const key of keys.slice(0, -1)) {
+        if (!isPlainObject(current[key])) {
+            current[key] = {};
+        }
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Get a value at a dotted key path
+ * @param {Object} target - Object to read
+ * @param {string} keyPath - Dotted key path
+ * @returns {*} - The value, or undefined
+ */
+function getPath(target, keyPath) {
+    return keyPath.split('.').reduce((current, key) => (isPlainObject(current) ? current[key] : undefined), target);
+}
+
+/**
+ * Load and merge all configuration layers
+ * @param {Object} options - Load options
+ * @param {string} [options.cwd] - Directory to start the project search from
+ * @param {Object} [options.overrides] - Command-line overrides keyed by dotted path
+ * @returns {Object} - { config, sources, files, root }
+ */
+function loadConfig(options = {}) {
+    const cwd = options.cwd || process.cwd();
+    const config = {};
+    const sources = {};
+    const files = [];
+
+    mergeLayer(config, JSON.parse(JSON.stringify(DEFAULT_CONFIG)), sources, 'default');
+
+    if (fs.existsSync(GLOBAL_CONFIG_FILE)) {
+        try {
+            mergeLayer(config, readConfigFile(GLOBAL_CONFIG_FILE) || {}, sources, GLOBAL_CONFIG_FILE);
+            files.push(GLOBAL_CONFIG_FILE);
+        } catch (error) {
+            throw new DuqError(ERROR_CODES.CONFIG, `Invalid config file ${GLOBAL_CONFIG_FILE}: ${error.message}`);
+        }
+    }
+
+    // Apply the farthest project config first so the nearest one wins
+    const projectConfigs = findProjectConfigs(cwd);
+    for (const { file, config: layer } of projectConfigs.slice().reverse()) {
+        mergeLayer(config, layer, sources, file);
+        files.push(file);
+    }
+
+    for (const [variable, keyPath] of Object.entries(ENV_OVERRIDES)) {
+        if (process.env[variable]) {
+            const layer = {};
+            setPath(layer, keyPath, process.env[variable]);
+            mergeLayer(config, layer, sources, `env:${variable}`);
+        }
+    }
+
+    for (const [keyPath, value] of Object.entries(options.overrides || {})) {
+        if (value !== undefined && value !== null) {
+            const layer = {};
+            setPath(layer, keyPath, value);
+            mergeLayer(config, layer, sources, 'command line');
+        }
+    }
+
+    // Relative paths in project config are resolved against the nearest project root
+    const root = projectConfigs.length > 0 ? projectConfigs[0].dir : path.resolve(cwd);
+
+    return { config, sources, files, root };
+}
+
+/**
+ * Get the resolved configuration, loading it on first use
+ * @returns {Object} - The merged config object
+ */
+function getConfig() {
+    if (!cached) {
+        cached = loadConfig();
+    }
+    return cached.config;
+}
+
+/**
+ * Get the full result of the last config load (config, sources, files, root)
+ * @returns {Object} - Resolved config details
+ */
+function getResolvedConfig() {
+    if (!cached) {
+        cached = loadConfig();
+    }
+    return cached;
+}
+
+/**
+ * Reload the configuration with command-line overrides applied
+ * @param {Object} overrides - Overrides keyed by dotted path
+ * @returns {Object} - The merged config object
+ */
+function applyOverrides(overrides) {
+    cached = loadConfig({ overrides });
+    return cached.config;
+}
+
+/**
+ * Resolve an output path pattern for a target
+ * @param {string} pattern - Pattern with {dir}, {name}, {ext} and {base} placeholders
+ * @param {string} targetPath - Absolute path of the file or directory being processed
+ * @param {boolean} isDirectory - Whether the target is a directory ({dir} is then the target itself)
+ * @returns {string} - Absolute output path
+ */
+function resolveOutputPattern(pattern, targetPath, isDirectory = false) {
+    const ext = isDirectory ? '' : path.extname(targetPath);
+    const resolved = pattern
+        .replace(/\{dir\}/g, isDirectory ? targetPath : path.dirname(targetPath))
+        .replace(/\{name\}/g, path.basename(targetPath, ext))
+        .replace(/\{ext\}/g, ext)
+        .replace(/\{base\}/g, path.basename(targetPath));
+
+    return path.resolve(getResolvedConfig().root, expandHome(resolved));
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    GLOBAL_CONFIG_FILE,
+    expandHome,
+    getPath,
+    loadConfig,
+    getConfig,
+    getResolvedConfig,
+    applyOverrides,
+    resolveOutputPattern
+};
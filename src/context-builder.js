@@ -0,0 +1,487 @@
+/**
+ * Builds the prompt context for directory commands (document, security, ...).
+ *
+ * Files are collected while honouring .gitignore and .duqignore files (at any depth, and
+ * in the parent directories up to the repository root), the configured ignore globs and
+ * a set of built-in ignores (VCS folders, dependencies, lockfiles). Binary files are
+ * detected and skipped, the remaining files are ranked by relevance and as many as fit
+ * into the token budget are rendered as a file tree followed by fenced file sections.
+ *
+ * @module context-builder
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const ignore = require('ignore');
+const { getConfig, getResolvedConfig } = require('./config');
+const { estimateTokens } = require('./prompt-delivery');
+
+const IGNORE_FILES = ['.gitignore', '.duqignore'];
+
+const DEFAULT_IGNORES = [
+    '.git/', '.hg/', '.svn/', 'node_modules/', 'bower_components/', 'vendor/', '.venv/', 'venv/', '__pycache__/',
+    'dist/', 'build/', 'coverage/', '.next/', '.nuxt/', '.cache/', '.duq/',
+    'package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml', 'bun.lockb', 'Cargo.lock',
+    'poetry.lock', 'Pipfile.lock', 'composer.lock', 'Gemfile.lock', 'go.sum',
+    '*.min.js', '*.min.css', '*.map', '.DS_Store', 'Thumbs.db'
+];
+
+const BINARY_EXTENSIONS = new Set([
+    '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.tiff', '.psd',
+    '.pdf', '.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.jar', '.war',
+    '.exe', '.dll', '.so', '.dylib', '.o', '.a', '.class', '.pyc', '.wasm', '.node',
+    '.woff', '.woff2', '.ttf', '.otf', '.eot', '.mp3', '.mp4', '.mov', '.avi', '.wav', '.ogg',
+    '.sqlite', '.db', '.bin', '.dat'
+]);
+
+const MANIFESTS = new Set([
+    'package.json', 'pyproject.toml', 'setup.py', 'setup.cfg', 'requirements.txt', 'Pipfile', 'Cargo.toml', 'go.mod',
+    'pom.xml', 'build.gradle', 'build.gradle.kts', 'Gemfile', 'composer.json', 'tsconfig.json', 'Dockerfile',
+    'docker-compose.yml', 'Makefile', 'CMakeLists.txt'
+]);
+
+const ENTRY_POINT_NAMES = new Set(['index', 'main', 'app', 'server', 'cli', '__main__', 'lib', 'mod']);
+
+const FENCE_LANGUAGES = {
+    '.js': 'javascript', '.cjs': 'javascript', '.mjs': 'javascript', '.jsx': 'jsx', '.ts': 'typescript', '.tsx': 'tsx',
+    '.py': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'kotlin', '.php': 'php',
+    '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.cs': 'csharp', '.swift': 'swift', '.sh': 'bash',
+    '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml', '.md': 'markdown', '.html': 'html',
+    '.css': 'css', '.scss': 'scss', '.sql': 'sql', '.xml': 'xml'
+};
+
+/**
+ * Check whether a file is binary, by extension or by a NUL byte in its first 8KB
+ * @param {string} filePath - Absolute path to the file
+ * @param {Buffer} [content] - Content to check instead of the file on disk (e.g. staged content)
+ * @returns {boolean} - Whether the file looks binary
+ */
+function isBinaryFile(filePath, content) {
+    if (BINARY_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+        return true;
+    }
+    if (content) {
+        return content.subarray(0, 8000).includes(0);
+    }
+
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const buffer = Buffer.alloc(8000);
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return buffer.subarray(0, bytesRead).includes(0);
+    } catch (error) {
+        return false;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Read the entry points declared in a package.json
+ * @param {string} rootDir - Directory holding the package.json
+ * @returns {Set<string>} - Relative paths of declared entry points
+ */
+function declaredEntryPoints(rootDir) {
+    const entries = new Set();
+    try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'));
+        const candidates = [pkg.main, pkg.module, ...(typeof pkg.bin === 'string' ? [pkg.bin] : Object.values(pkg.bin || {}))];
+        candidates.filter(Boolean).forEach(entry => entries.add(path.normalize(entry)));
+    } catch (error) {
+        // No package.json, or not a valid one
+    }
+    return entries;
+}
+
+/**
+ * Score a file's relevance for the prompt; higher scores are included first
+ * @param {string} relativePath - Path relative to the root directory
+ * @param {Set<string>} entryPoints - Declared entry points
+ * @returns {number} - Relevance score
+ */
+function scoreFile(relativePath, entryPoints) {
+    const baseName = path.basename(relativePath);
+    const stem = path.basename(relativePath, path.extname(relativePath)).toLowerCase();
+    const depth = relativePath.split(path.sep).length - 1;
+    const isTest = /(^|[\\/])(tests?|__tests__|spec|fixtures?)[\\/]|\.(test|spec)\.[^.]+$/i.test(relativePath);
+
+    let score;
+    if (/^readme(\.|$)/i.test(baseName)) {
+        score = depth === 0 ? 100 : 60;
+    } else if (MANIFESTS.has(baseName)) {
+        score = depth === 0 ? 95 : 55;
+    } else if (entryPoints.has(path.normalize(relativePath))) {
+        score = 90;
+    } else if (ENTRY_POINT_NAMES.has(stem) && !isTest) {
+        score = 80 - depth * 5;
+    } else if (isTest) {
+        score = 15;
+    } else if (FENCE_LANGUAGES[path.extname(relativePath).toLowerCase()]) {
+        score = 50 - depth * 3;
+    } else {
+        score = 10;
+    }
+
+    return score;
+}
+
+/**
+ * Check whether a path is a directory or inside it
+ * @param {string} target - Absolute path
+ * @param {string} dir - Absolute directory path
+ * @returns {boolean} - Whether target is dir or below it
+ */
+function isInside(target, dir) {
+    const relative = path.relative(dir, target);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Find the top directory whose ignore files apply to a directory: the root of the git
+ * repository it is in, else the project root when it is inside the project
+ * @param {string} rootDir - Absolute directory path
+ * @returns {string} - Absolute directory path; rootDir itself when there is neither
+ */
+function ignoreRoot(rootDir) {
+    for (let dir = rootDir; ; dir = path.dirname(dir)) {
+        if (fs.existsSync(path.join(dir, '.git'))) {
+            return dir;
+        }
+        if (path.dirname(dir) === dir) {
+            break;
+        }
+    }
+    const projectRoot = getResolvedConfig().root;
+    return isInside(rootDir, projectRoot) ? projectRoot : rootDir;
+}
+
+/**
+ * Read the .gitignore and .duqignore files of a directory
+ * @param {string} dir - Absolute directory path
+ * @returns {Object|null} - { base, matcher } for the directory, or null when it has no ignore files
+ */
+function readIgnoreFiles(dir) {
+    const matcher = ignore();
+    let found = false;
+    for (const ignoreFile of IGNORE_FILES) {
+        const ignorePath = path.join(dir, ignoreFile);
+        if (fs.existsSync(ignorePath)) {
+            matcher.add(fs.readFileSync(ignorePath, 'utf8'));
+            found = true;
+        }
+    }
+    return found ? { base: dir, matcher } : null;
+}
+
+/**
+ * Walk a directory and collect candidate files, honouring ignore rules
+ * @param {string} rootDir - Absolute directory path
+ * @param {Object} options - Walk options
+ * @param {string[]} options.ignore - Extra gitignore-style patterns relative to ignoreBase
+ * @param {string} [options.ignoreBase] - Directory the extra patterns are relative to; rootDir when it does not contain rootDir
+ * @returns {Array} - { absolutePath, relativePath, size } objects
+ */
+function collectFiles(rootDir, options = {}) {
+    const files = [];
+    const ignoreBase = options.ignoreBase && isInside(rootDir, options.ignoreBase) ? options.ignoreBase : rootDir;
+    const rootMatchers = [
+        { base: rootDir, matcher: ignore().add(DEFAULT_IGNORES) },
+        { base: ignoreBase, matcher: ignore().add(options.ignore || []) }
+    ];
+
+    // Ignore files above the directory apply as well, up to the repository root
+    const top = ignoreRoot(rootDir);
+    for (let dir = rootDir; dir !== top; ) {
+        dir = path.dirname(dir);
+        const parent = readIgnoreFiles(dir);
+        if (parent) {
+            rootMatchers.push(parent);
+        }
+    }
+
+    /**
+     * @param {string} dir - Directory being walked
+     * @param {Array} matchers - { base, matcher } pairs that apply to this directory
+     */
+    const walk = (dir, matchers) => {
+        const local = readIgnoreFiles(dir);
+        const active = local ? [...matchers, local] : matchers;
+
+        const isIgnored = (absolutePath, isDirectory) => active.some(({ base, matcher }) => {
+            const relative = path.relative(base, absolutePath).split(path.sep).join('/');
+            return matcher.ignores(isDirectory ? relative + '/' : relative);
+        });
+
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const absolutePath = path.join(dir, entry.name);
+
+            if (entry.isDirectory()) {
+                if (!isIgnored(absolutePath, true)) {
+                    walk(absolutePath, active);
+                }
+            } else if (entry.isFile() && !isIgnored(absolutePath, false)) {
+                files.push({
+                    absolutePath,
+                    relativePath: path.relative(rootDir, absolutePath),
+                    size: fs.statSync(absolutePath).size
+                });
+            }
+        }
+    };
+
+    walk(rootDir, rootMatchers);
+    return files;
+}
+
+/**
+ * Render a list of relative paths as an indented tree
+ * @param {string[]} relativePaths - Sorted relative file paths
+ * @param {Object} notes - Optional annotations keyed by relative path
+ * @returns {string} - Tree text
+ */
+function renderTree(relativePaths, notes = {}) {
+    const root = {};
+    for (const relativePath of relativePaths) {
+        let node = root;
+        for (const part of relativePath.split(path.sep)) {
+            node[part] = node[part] || {};
+            node = node[part];
+        }
+    }
+
+    const lines = ['.'];
+    const render = (node, prefix, parentPath) => {
+        const names = Object.keys(node).sort((a, b) => {
+            const aDir = Object.keys(node[a]).length > 0;
+            const bDir = Object.keys(node[b]).length > 0;
+            return aDir === bDir ? a.localeCompare(b) : (aDir ? -1 : 1);
+        });
+        names.forEach((name, index) => {
+            const last = index === names.length - 1;
+            const childPath = parentPath ? path.join(parentPath, name) : name;
+            const note = notes[childPath] ? ` (${notes[childPath]})` : '';
+            lines.push(`${prefix}${last ? '└── ' : '├── '}${name}${note}`);
+            render(node[name], prefix + (last ? '    ' : '│   '), childPath);
+        });
+    };
+    render(root, '', '');
+
+    return lines.join('\n');
+}
+
+/**
+ * Pick a fence that does not occur inside the content
+ * @param {string} content - Code to fence
+ * @returns {string} - A backtick fence of sufficient length
+ */
+function fenceFor(content) {
+    const runs = content.match(/`{3,}/g) || [];
+    const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+    return '`'.repeat(longest + 1);
+}
+
+/**
+ * Collect, classify and rank the files of a directory
+ * @param {string} dirPath - Directory to describe
+ * @param {Object} options - Build options (maxTokens, maxFileSize, ignore, files, contents)
+ * @returns {Object} - { rootDir, maxTokens, readable, omitted, tree }
+ */
+function prepareFiles(dirPath, options = {}) {
+    const rootDir = path.resolve(dirPath);
+    const config = getConfig();
+    const maxTokens = Number(options.maxTokens || config.limits.maxTokens);
+    const maxFileSize = Number(options.maxFileSize || config.limits.maxFileSize);
+    const entryPoints = declaredEntryPoints(rootDir);
+
+    // A given file list (e.g. the changed files of a git selection) replaces the walk;
+    // given contents (e.g. staged ones) replace the files on disk
+    const fileEntry = (absolutePath) => {
+        const content = options.contents ? options.contents.get(absolutePath) : undefined;
+        const size = content ? content.length : fs.statSync(absolutePath).size;
+        return { absolutePath, relativePath: path.relative(rootDir, absolutePath), size, ...(content ? { content } : {}) };
+    };
+    const candidates = options.files
+        ? options.files.filter(absolutePath => !options.contents || options.contents.has(absolutePath)).map(fileEntry)
+        : collectFiles(rootDir, { ignore: options.ignore || config.ignore, ignoreBase: getResolvedConfig().root });
+    const omitted = [];
+    const readable = [];
+
+    for (const file of candidates) {
+        if (isBinaryFile(file.absolutePath, file.content)) {
+            omitted.push({ ...file, reason: 'binary' });
+        } else if (file.size > maxFileSize) {
+            omitted.push({ ...file, reason: `larger than ${maxFileSize} bytes` });
+        } else {
+            readable.push({ ...file, score: scoreFile(file.relativePath, entryPoints) });
+        }
+    }
+
+    readable.sort((a, b) => b.score - a.score || a.size - b.size || a.relativePath.localeCompare(b.relativePath));
+
+    // The tree lists every non-ignored file so the model sees the whole project layout
+    const notes = {};
+    omitted.forEach(file => {
+        notes[file.relativePath] = file.reason === 'binary' ? 'binary' : 'omitted';
+    });
+    let tree = renderTree(candidates.map(file => file.relativePath), notes);
+    if (estimateTokens(tree) > maxTokens / 5) {
+        // Very large projects: keep the tree to a fifth of the budget
+        tree = renderTree(readable.map(file => file.relativePath)).split('\n').slice(0, Math.floor(maxTokens / 50)).join('\n') + '\n...';
+    }
+
+    return { rootDir, maxTokens, readable, omitted, tree };
+}
+
+/**
+ * Render the header shared by every context: the root directory and the file tree
+ * @param {string} rootDir - Absolute directory path
+ * @param {string} tree - Rendered file tree
+ * @returns {string} - Header text
+ */
+function renderHeader(rootDir, tree) {
+    return `Directory: ${rootDir}\n\nFile tree:\n\`\`\`text\n${tree}\n\`\`\`\n`;
+}
+
+/**
+ * Read a file and render it as a fenced section
+ * @param {Object} file - File from prepareFiles
+ * @returns {string} - Section text
+ */
+function renderSection(file) {
+    const content = file.content ? file.content.toString('utf8') : fs.readFileSync(file.absolutePath, 'utf8');
+    const fence = fenceFor(content);
+    const language = FENCE_LANGUAGES[path.extname(file.relativePath).toLowerCase()] || '';
+    return `\n### ${file.relativePath.split(path.sep).join('/')}\n${fence}${language}\n${content}${content.endsWith('\n') ? '' : '\n'}${fence}\n`;
+}
+
+/**
+ * Build the prompt context for a directory
+ * @param {string} dirPath - Directory to describe
+ * @param {Object} options - Build options
+ * @param {number} [options.maxTokens] - Token budget (defaults to limits.maxTokens)
+ * @param {number} [options.maxFileSize] - Largest file to read in bytes (defaults to limits.maxFileSize)
+ * @param {string[]} [options.ignore] - Extra ignore globs relative to the project root (defaults to the configured ones)
+ * @param {string[]} [options.files] - Absolute paths of the only files to consider, instead of walking the directory
+ * @param {Map<string, Buffer>} [options.contents] - Content of the given files by absolute path, read instead of the files on disk
+ * @returns {Object} - { text, rootDir, maxTokens, included, omitted, estimatedTokens }
+ */
+function buildDirectoryContext(dirPath, options = {}) {
+    const { rootDir, maxTokens, readable, omitted, tree } = prepareFiles(dirPath, options);
+
+    const header = renderHeader(rootDir, tree);
+    let usedTokens = estimateTokens(header);
+    const sections = [];
+    const included = [];
+
+    for (const file of readable) {
+        let section;
+        try {
+            section = renderSection(file);
+        } catch (error) {
+            omitted.push({ ...file, reason: `unreadable: ${error.message}` });
+            continue;
+        }
+
+        const tokens = estimateTokens(section);
+        if (usedTokens + tokens > maxTokens) {
+            omitted.push({ ...file, reason: 'over token budget' });
+            continue;
+        }
+
+        usedTokens += tokens;
+        sections.push(section);
+        included.push({ ...file, tokens });
+    }
+
+    let text = header + sections.join('');
+    const overBudget = omitted.filter(file => file.reason === 'over token budget');
+    if (overBudget.length > 0) {
+        text += `\nOmitted to fit the token budget: ${overBudget.map(file => file.relativePath).join(', ')}\n`;
+    }
+
+    return {
+        text,
+        rootDir,
+        maxTokens,
+        included,
+        omitted,
+        estimatedTokens: estimateTokens(text)
+    };
+}
+
+/**
+ * Split a directory into batches that each fit the token budget, for map-reduce analysis.
+ * Every batch repeats the file tree so the model keeps the overall picture; files are
+ * kept in relevance order and only files too large for any batch are omitted.
+ * @param {string} dirPath - Directory to describe
+ * @param {Object} options - Same options as buildDirectoryContext
+ * @returns {Object} - { batches, rootDir, maxTokens, omitted, estimatedTokens }
+ */
+function buildContextBatches(dirPath, options = {}) {
+    const { rootDir, maxTokens, readable, omitted, tree } = prepareFiles(dirPath, options);
+
+    const header = renderHeader(rootDir, tree);
+    const headerTokens = estimateTokens(header);
+    const batches = [];
+    let current = null;
+
+    for (const file of readable) {
+        let section;
+        try {
+            section = renderSection(file);
+        } catch (error) {
+            omitted.push({ ...file, reason: `unreadable: ${error.message}` });
+            continue;
+        }
+
+        const tokens = estimateTokens(section);
+        if (headerTokens + tokens > maxTokens) {
+            omitted.push({ ...file, reason: 'larger than a whole batch' });
+            continue;
+        }
+
+        if (!current || current.estimatedTokens + tokens > maxTokens) {
+            current = { sections: [], files: [], estimatedTokens: headerTokens };
+            batches.push(current);
+        }
+
+        current.sections.push(section);
+        current.files.push({ ...file, tokens });
+        current.estimatedTokens += tokens;
+    }
+
+    const result = batches.map((batch, index) => {
+        const text = header + `\nThis is part ${index + 1} of ${batches.length} of the directory.\n` + batch.sections.join('');
+        return { index, files: batch.files, text, estimatedTokens: estimateTokens(text) };
+    });
+
+    return {
+        batches: result,
+        rootDir,
+        maxTokens,
+        omitted,
+        estimatedTokens: result.reduce((sum, batch) => sum + batch.estimatedTokens, 0)
+    };
+}
+
+module.exports = {
+    DEFAULT_IGNORES,
+    isBinaryFile,
+    collectFiles,
+    renderTree,
+    fenceFor,
+    buildDirectoryContext,
+    buildContextBatches
+};
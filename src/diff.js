@@ -0,0 +1,504 @@
+/**
+ * Line-based diffing (Myers' algorithm) and unified diff formatting.
+ *
+ * @module diff
+ */
+
+/**
+ * Split text into lines, remembering whether it ended with a newline
+ * @param {string} text - Text to split
+ * @returns {Object} - { lines, trailingNewline }
+ */
+function splitLines(text) {
+    const trailingNewline = text.endsWith('\n');
+    const body = trailingNewline ? text.slice(0, -1) : text;
+    return { lines: body === '' && !trailingNewline ? [] : body.split('\n'), trailingNewline };
+}
+
+/**
+ * Join lines back into text
+ * @param {string[]} lines - Lines to join
+ * @param {boolean} trailingNewline - Whether to end with a newline
+ * @returns {string} - Joined text
+ */
+function joinLines(lines, trailingNewline) {
+    return lines.join('\n') + (trailingNewline && lines.length > 0 ? '\n' : '');
+}
+
+// Work (diagonal steps and matched elements) one diff may spend, about a second, before
+// the rest is reported as a plain replacement; a full rewrite of 3000 lines takes half
+const MAX_DIFF_COST = 20000000;
+
+/**
+ * Find the middle snake of the edit graph between x[xLo, xHi) and y[yLo, yHi):
+ * the run of matches in the middle of a shortest edit script (Myers, section 4b).
+ * Only two diagonal vectors are kept, so memory is linear in the input.
+ * @param {Array} x - Original sequence
+ * @param {number} xLo - Start of the original range
+ * @param {number} xHi - End of the original range
+ * @param {Array} y - New sequence
+ * @param {number} yLo - Start of the new range
+ * @param {number} yHi - End of the new range
+ * @param {Object} budget - { cost } left for the whole diff; decreased as the search runs
+ * @returns {Object|null} - { x, y, u, v } (snake from x, y to u, v, relative to the range starts), or null when the budget ran out
+ */
+function middleSnake(x, xLo, xHi, y, yLo, yHi, budget) {
+    const n = xHi - xLo;
+    const m = yHi - yLo;
+    const delta = n - m;
+    const odd = delta % 2 !== 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    // Furthest x reached on each diagonal, forwards from the start and backwards from the end
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let i = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let j = i - k;
+            const startI = i;
+            const startJ = j;
+            while (i < n && j < m && x[xLo + i] === y[yLo + j]) {
+                i++;
+                j++;
+            }
+            forward[offset + k] = i;
+            budget.cost -= i - startI + 1;
+
+            // The backward diagonal that meets forward diagonal k
+            const c = delta - k;
+            if (odd && c >= -(d - 1) && c <= d - 1 && i + backward[offset + c] >= n) {
+                return { x: startI, y: startJ, u: i, v: j };
+            }
+        }
+
+        for (let c = -d; c <= d; c += 2) {
+            let i = (c === -d || (c !== d && backward[offset + c - 1] < backward[offset + c + 1]))
+                ? backward[offset + c + 1]
+                : backward[offset + c - 1] + 1;
+            let j = i - c;
+            const startI = i;
+            const startJ = j;
+            while (i < n && j < m && x[xHi - 1 - i] === y[yHi - 1 - j]) {
+                i++;
+                j++;
+            }
+            backward[offset + c] = i;
+            budget.cost -= i - startI + 1;
+
+            const k = delta - c;
+            if (!odd && k >= -d && k <= d && i + forward[offset + k] >= n) {
+                return { x: n - i, y: m - j, u: n - startI, v: m - startJ };
+            }
+        }
+
+        if (budget.cost < 0) {
+            return null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Append the edit script between x[xLo, xHi) and y[yLo, yHi) to a list of operations,
+ * splitting the ranges at their middle snake (linear-space Myers)
+ * @param {Array} x - Original sequence
+ * @param {number} xLo - Start of the original range
+ * @param {number} xHi - End of the original range
+ * @param {Array} y - New sequence
+ * @param {number} yLo - Start of the new range
+ * @param {number} yHi - End of the new range
+ * @param {Array} ops - Operations to append to
+ * @param {Object} budget - { cost } left for the whole diff
+ */
+function diffRange(x, xLo, xHi, y, yLo, yHi, ops, budget) {
+    // Common prefix and suffix are cheap to strip and keep the search small
+    while (xLo < xHi && yLo < yHi && x[xLo] === y[yLo]) {
+        ops.push({ type: 'equal', line: x[xLo] });
+        xLo++;
+        yLo++;
+    }
+    let suffix = 0;
+    while (xLo < xHi - suffix && yLo < yHi - suffix && x[xHi - 1 - suffix] === y[yHi - 1 - suffix]) {
+        suffix++;
+    }
+    xHi -= suffix;
+    yHi -= suffix;
+
+    // Both ranges non-empty after stripping means at least two edits, so the halves are smaller
+    const snake = xLo < xHi && yLo < yHi && budget.cost >= 0
+        ? middleSnake(x, xLo, xHi, y, yLo, yHi, budget)
+        : null;
+    if (snake) {
+        diffRange(x, xLo, xLo + snake.x, y, yLo, yLo + snake.y, ops, budget);
+        for (let i = xLo + snake.x; i < xLo + snake.u; i++) {
+            ops.push({ type: 'equal', line: x[i] });
+        }
+        diffRange(x, xLo + snake.u, xHi, y, yLo + snake.v, yHi, ops, budget);
+    } else {
+        // One side is empty, or the budget ran out: replace the range as a whole
+        for (let i = xLo; i < xHi; i++) {
+            ops.push({ type: 'delete', line: x[i] });
+        }
+        for (let j = yLo; j < yHi; j++) {
+            ops.push({ type: 'insert', line: y[j] });
+        }
+    }
+
+    for (let i = xHi; i < xHi + suffix; i++) {
+        ops.push({ type: 'equal', line: x[i] });
+    }
+}
+
+/**
+ * Compute the shortest edit script between two sequences (Myers, O((N+M)D) time and
+ * O(N+M) memory). Elements are compared with ===; they are usually lines but may be
+ * any tokens. Very large, very different inputs stop at MAX_DIFF_COST: what is left
+ * is then reported as deleted and inserted, which is correct but not minimal.
+ * @param {string[]} a - Original lines
+ * @param {string[]} b - New lines
+ * @returns {Array} - Operations: { type: 'equal'|'delete'|'insert', line }
+ */
+function diffSequences(a, b) {
+    const ops = [];
+    diffRange(a, 0, a.length, b, 0, b.length, ops, { cost: MAX_DIFF_COST });
+    return ops;
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} oldText - Original text
+ * @param {string} newText - New text
+ * @returns {Array} - Operations: { type: 'equal'|'delete'|'insert', line }
+ */
+function diffLines(oldText, newText) {
+    return diffSequences(splitLines(oldText).lines, splitLines(newText).lines);
+}
+
+/**
+ * Group diff operations into hunks with surrounding context
+ * @param {Array} ops - Operations from diffLines
+ * @param {number} context - Number of unchanged lines around each change
+ * @returns {Array} - Hunks: { oldStart, oldLines, newStart, newLines, lines }
+ */
+function createHunks(ops, context = 3) {
+    const hunks = [];
+    let oldLine = 1;
+    let newLine = 1;
+    let current = null;
+    let trailingEqual = 0;
+
+    for (let index = 0; index < ops.length; index++) {
+        const op = ops[index];
+
+        if (op.type === 'equal') {
+            if (current) {
+                // Close the hunk once we are past the context and the next change is far away
+                let nextChange = index + 1;
+                while (nextChange < ops.length && ops[nextChange].type === 'equal') {
+                    nextChange++;
+                }
+                const distance = nextChange === ops.length ? Infinity : nextChange - index;
+                if (trailingEqual >= context && distance > context) {
+                    hunks.push(current);
+                    current = null;
+                    trailingEqual = 0;
+                } else {
+                    current.lines.push(' ' + op.line);
+                    current.oldLines++;
+                    current.newLines++;
+                    trailingEqual++;
+                }
+            }
+            oldLine++;
+            newLine++;
+            continue;
+        }
+
+        if (!current) {
+            // Open a new hunk with leading context
+            const leading = [];
+            for (let back = index - 1; back >= 0 && leading.length < context && ops[back].type === 'equal'; back--) {
+                leading.unshift(ops[back].line);
+            }
+            current = {
+                oldStart: oldLine - leading.length,
+                oldLines: leading.length,
+                newStart: newLine - leading.length,
+                newLines: leading.length,
+                lines: leading.map(line => ' ' + line)
+            };
+        }
+        trailingEqual = 0;
+
+        if (op.type === 'delete') {
+            current.lines.push('-' + op.line);
+            current.oldLines++;
+            oldLine++;
+        } else {
+            current.lines.push('+' + op.line);
+            current.newLines++;
+            newLine++;
+        }
+    }
+
+    if (current) {
+        hunks.push(current);
+    }
+
+    return hunks;
+}
+
+/**
+ * Compute the hunks between two texts
+ * @param {string} oldText - Original text
+ * @param {string} newText - New text
+ * @param {number} context - Number of context lines
+ * @returns {Array} - Hunks
+ */
+function diffHunks(oldText, newText, context = 3) {
+    return createHunks(diffLines(oldText, newText), context);
+}
+
+/**
+ * Format a hunk header, e.g. "@@ -1,4 +1,5 @@"
+ * @param {Object} hunk - Hunk to describe
+ * @returns {string} - Header line
+ */
+function formatHunkHeader(hunk) {
+    const oldStart = hunk.oldLines === 0 ? hunk.oldStart - 1 : hunk.oldStart;
+    const newStart = hunk.newLines === 0 ? hunk.newStart - 1 : hunk.newStart;
+    return `@@ -${oldStart},${hunk.oldLines} +${newStart},${hunk.newLines} @@`;
+}
+
+/**
+ * Format hunks as a unified diff
+ * @param {string} oldName - Label for the original file
+ * @param {string} newName - Label for the new file
+ * @param {Array} hunks - Hunks to format
+ * @returns {string} - Unified diff text
+ */
+function formatUnifiedDiff(oldName, newName, hunks) {
+    if (hunks.length === 0) {
+        return '';
+    }
+    const lines = [`--- ${oldName}`, `+++ ${newName}`];
+    for (const hunk of hunks) {
+        lines.push(formatHunkHeader(hunk), ...hunk.lines);
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Apply a subset of hunks to the original text
+ * @param {string} oldText - Original text the hunks were computed from
+ * @param {string} newText - Fully changed text (used for the trailing newline)
+ * @param {Array} hunks - All hunks between the two texts
+ * @param {boolean[]} accepted - Which hunks to apply
+ * @returns {string} - Resulting text
+ */
+function applyHunks(oldText, newText, hunks, accepted) {
+    const original = splitLines(oldText);
+    const result = [];
+    let cursor = 0;
+
+    hunks.forEach((hunk, index) => {
+        const start = hunk.oldStart - 1;
+        while (cursor < start) {
+            result.push(original.lines[cursor++]);
+        }
+
+        if (accepted[index]) {
+            hunk.lines.filter(line => line[0] !== '-').forEach(line => result.push(line.slice(1)));
+        } else {
+            hunk.lines.filter(line => line[0] !== '+').forEach(line => result.push(line.slice(1)));
+        }
+        cursor = start + hunk.oldLines;
+    });
+
+    while (cursor < original.lines.length) {
+        result.push(original.lines[cursor++]);
+    }
+
+    const allAccepted = hunks.length > 0 && accepted.every(Boolean);
+    return joinLines(result, allAccepted ? splitLines(newText).trailingNewline : original.trailingNewline);
+}
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Check whether text looks like a unified diff
+ * @param {string} text - Text to check
+ * @returns {boolean} - True when the text has hunk headers
+ */
+function looksLikeUnifiedDiff(text) {
+    return /^@@ .*@@/m.test(text) && (/^(---|\+\+\+) /m.test(text) || /^[-+]/m.test(text));
+}
+
+/**
+ * Parse a unified diff. Hunk line counts are not trusted (models often get them
+ * wrong): a hunk runs until the next hunk or file header.
+ * @param {string} text - Unified diff text
+ * @returns {Array} - Files: { oldName, newName, hunks: [{ oldStart, newStart, lines }] }
+ */
+function parseUnifiedDiff(text) {
+    const files = [];
+    let file = null;
+    let hunk = null;
+
+    const startFile = () => {
+        file = { oldName: null, newName: null, hunks: [] };
+        files.push(file);
+        hunk = null;
+    };
+
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+
+        if (line.startsWith('diff --git ')) {
+            startFile();
+            continue;
+        }
+        // A file header is a "---" line directly followed by a "+++" line
+        if (line.startsWith('--- ') && (lines[index + 1] || '').startsWith('+++ ')) {
+            if (!file || file.hunks.length > 0 || file.oldName !== null) {
+                startFile();
+            }
+            file.oldName = line.slice(4).split('\t')[0].trim();
+            file.newName = lines[index + 1].slice(4).split('\t')[0].trim();
+            hunk = null;
+            index++;
+            continue;
+        }
+
+        const header = line.startsWith('@@') ? HUNK_HEADER.exec(line) : null;
+        if (line.startsWith('@@')) {
+            if (!file) {
+                startFile();
+            }
+            hunk = {
+                oldStart: header ? parseInt(header[1], 10) : null,
+                newStart: header ? parseInt(header[3], 10) : null,
+                lines: []
+            };
+            file.hunks.push(hunk);
+            continue;
+        }
+
+        if (!hunk) {
+            continue;
+        }
+        if (line.startsWith('\\')) {
+            // "\ No newline at end of file"
+            continue;
+        }
+        if (line === '') {
+            hunk.lines.push(' ');
+        } else if (line[0] === ' ' || line[0] === '+' || line[0] === '-') {
+            hunk.lines.push(line);
+        } else {
+            // Anything else ends the diff (e.g. prose after it)
+            hunk = null;
+        }
+    }
+
+    // Trailing blank lines are usually separators, not context
+    for (const parsed of files) {
+        for (const h of parsed.hunks) {
+            while (h.lines.length > 0 && h.lines[h.lines.length - 1] === ' ') {
+                h.lines.pop();
+            }
+        }
+    }
+
+    return files.filter(parsed => parsed.hunks.length > 0);
+}
+
+/**
+ * Find where a block of lines occurs, preferring the position closest to a hint
+ * @param {string[]} lines - Lines to search
+ * @param {string[]} block - Lines to find
+ * @param {number} from - First index to consider
+ * @param {number} hint - Preferred index
+ * @param {Function} same - Line comparison
+ * @returns {number} - Index of the match, or -1
+ */
+function findBlock(lines, block, from, hint, same) {
+    let best = -1;
+    for (let start = from; start + block.length <= lines.length; start++) {
+        let matches = true;
+        for (let k = 0; k < block.length && matches; k++) {
+            matches = same(lines[start + k], block[k]);
+        }
+        if (matches && (best === -1 || Math.abs(start - hint) < Math.abs(best - hint))) {
+            best = start;
+        }
+    }
+    return best;
+}
+
+/**
+ * Apply parsed hunks to a text. Hunks are located by their content, so wrong
+ * line numbers are tolerated; whitespace at line ends is ignored when needed.
+ * @param {string} oldText - Original text
+ * @param {Array} hunks - Hunks from parseUnifiedDiff
+ * @returns {string|null} - Patched text, or null when a hunk does not apply
+ */
+function applyPatch(oldText, hunks) {
+    const original = splitLines(oldText);
+    const lines = original.lines;
+    const result = [];
+    let cursor = 0;
+
+    for (const hunk of hunks) {
+        const before = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+        const after = hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1));
+        const hint = hunk.oldStart ? hunk.oldStart - 1 : cursor;
+
+        let start;
+        if (before.length === 0) {
+            // Pure insertion: trust the line number
+            start = Math.min(Math.max(hint + (hunk.oldStart ? 1 : 0), cursor), lines.length);
+        } else {
+            start = findBlock(lines, before, cursor, hint, (a, b) => a === b);
+            if (start === -1) {
+                start = findBlock(lines, before, cursor, hint, (a, b) => a.trimEnd() === b.trimEnd());
+            }
+            if (start === -1) {
+                return null;
+            }
+        }
+
+        while (cursor < start) {
+            result.push(lines[cursor++]);
+        }
+        result.push(...after);
+        cursor = start + before.length;
+    }
+
+    while (cursor < lines.length) {
+        result.push(lines[cursor++]);
+    }
+
+    return joinLines(result, original.trailingNewline || (lines.length === 0 && result.length > 0));
+}
+
+module.exports = {
+    splitLines,
+    joinLines,
+    diffSequences,
+    diffLines,
+    createHunks,
+    diffHunks,
+    formatHunkHeader,
+    formatUnifiedDiff,
+    applyHunks,
+    looksLikeUnifiedDiff,
+    parseUnifiedDiff,
+    applyPatch
+};
@@ -0,0 +1,106 @@
+/**
+ * Errors reported by duq commands.
+ *
+ * Every failure a script may want to react to has a stable code and exit status.
+ * Codes never change meaning once released; new failures get new codes.
+ *
+ * | Code                 | Exit | Meaning                                                  |
+ * |----------------------|------|----------------------------------------------------------|
+ * | E_INTERNAL           | 1    | Unexpected error (a bug)                                 |
+ * | E_USAGE              | 2    | Invalid arguments or options                             |
+ * | E_CONFIG             | 2    | Invalid configuration                                    |
+ * | E_NOT_FOUND          | 3    | A file, directory, template, backup or transaction is missing |
+ * | E_PROVIDER           | 4    | The provider is unavailable or the call failed           |
+ * | E_TIMEOUT            | 5    | The provider call took longer than --timeout             |
+ * | E_EXTRACTION         | 6    | The response did not contain the expected file content   |
+ * | E_OUTPUT_MISSING     | 6    | The agent did not write the expected output file         |
+ * | E_VERIFICATION       | 7    | A proposed change failed a safety check (e.g. docstrings changing code) |
+ * | E_TESTS_FAILED       | 8    | Tests failed after applying a change; it was reverted    |
+ * | E_BACKUP             | 9    | Backups or a revert could not be completed               |
+ * | E_FINDINGS           | 10   | The security analysis found issues at or above --fail-on |
+ * | E_HOOK_FAILED        | 11   | A duq check run by a git hook failed                     |
+ * | E_CANCELLED          | 130  | Cancelled with Ctrl-C                                    |
+ *
+ * @module errors
+ */
+
+const ERROR_CODES = {
+    INTERNAL: 'E_INTERNAL',
+    USAGE: 'E_USAGE',
+    CONFIG: 'E_CONFIG',
+    NOT_FOUND: 'E_NOT_FOUND',
+    PROVIDER: 'E_PROVIDER',
+    TIMEOUT: 'E_TIMEOUT',
+    EXTRACTION: 'E_EXTRACTION',
+    OUTPUT_MISSING: 'E_OUTPUT_MISSING',
+    VERIFICATION: 'E_VERIFICATION',
+    TESTS_FAILED: 'E_TESTS_FAILED',
+    BACKUP: 'E_BACKUP',
+    FINDINGS: 'E_FINDINGS',
+    HOOK_FAILED: 'E_HOOK_FAILED',
+    CANCELLED: 'E_CANCELLED'
+};
+
+const EXIT_CODES = {
+    E_INTERNAL: 1,
+    E_USAGE: 2,
+    E_CONFIG: 2,
+    E_NOT_FOUND: 3,
+    E_PROVIDER: 4,
+    E_TIMEOUT: 5,
+    E_EXTRACTION: 6,
+    E_OUTPUT_MISSING: 6,
+    E_VERIFICATION: 7,
+    E_TESTS_FAILED: 8,
+    E_BACKUP: 9,
+    E_FINDINGS: 10,
+    E_HOOK_FAILED: 11,
+    E_CANCELLED: 130
+};
+
+/**
+ * An error with a stable code and exit status
+ */
+class DuqError extends Error {
+    /**
+     * Create an error
+     * @param {string} code - One of ERROR_CODES
+     * @param {string} message - Human readable message
+     * @param {Object} [details] - Extra data for machine-readable output
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'DuqError';
+        this.code = code;
+        this.exitCode = EXIT_CODES[code] || 1;
+        this.details = details;
+    }
+
+    /**
+     * Serialize the error for --json output
+     * @returns {Object} - { code, message, exitCode, details }
+     */
+    toJSON() {
+        return { code: this.code, message: this.message, exitCode: this.exitCode, details: this.details };
+    }
+}
+
+/**
+ * Convert any thrown value to a DuqError
+ * @param {*} error - Thrown value
+ * @returns {DuqError} - The error itself, or an E_INTERNAL error wrapping it
+ */
+function toDuqError(error) {
+    if (error instanceof DuqError) {
+        return error;
+    }
+    const message = error && error.message ? error.message : String(error);
+    return new DuqError(ERROR_CODES.INTERNAL, message, error && error.stack ? { stack: error.stack } : {});
+}
+
+module.exports = {
+    ERROR_CODES,
+    EXIT_CODES,
+    DuqError,
+    toDuqError
+};
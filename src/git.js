@@ -0,0 +1,247 @@
+/**
+ * Git-aware targeting: run commands on the files of a change instead of a path.
+ *
+ *   --changed      files changed in the working tree (staged or not) and untracked files
+ *   --staged       files staged for the next commit
+ *   --since <ref>  files changed since the branch left <ref> (its merge base with HEAD),
+ *                  including uncommitted and untracked files
+ *
+ * Deleted files are left out. A path given together with one of the flags narrows the
+ * selection to that path (a git pathspec, so globs work too). With --staged the staged
+ * content is what counts, so it is read from the index (stagedContents) rather than
+ * from the working tree. `duq review` uses the same selections to send the diff itself.
+ *
+ * @module git
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+/**
+ * Run git and return its output
+ * @param {string[]} args - Git arguments
+ * @param {Object} [options] - Run options
+ * @param {string} [options.cwd] - Working directory (defaults to the current one)
+ * @param {number[]} [options.okCodes] - Exit codes that are not failures (git diff --no-index exits with 1 when files differ)
+ * @returns {string} - Standard output
+ * @throws {DuqError} - When git is missing or the command fails
+ */
+function runGit(args, { cwd = process.cwd(), okCodes = [0] } = {}) {
+    const result = spawnSync('git', ['-c', 'core.quotepath=off', ...args], { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+    if (result.error) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, result.error.code === 'ENOENT'
+            ? 'git is not installed or not in the PATH'
+            : `Could not run git: ${result.error.message}`);
+    }
+    if (!okCodes.includes(result.status)) {
+        throw new DuqError(ERROR_CODES.USAGE, `git ${args[0]} failed: ${(result.stderr || '').trim() || `exit code ${result.status}`}`, { args });
+    }
+    return result.stdout;
+}
+
+/**
+ * Split NUL-separated git output
+ * @param {string} output - Output of a -z command
+ * @returns {string[]} - Entries
+ */
+function splitNul(output) {
+    return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Read the git selection from command options
+ * @param {Object} options - Command options
+ * @param {boolean} [options.changed] - --changed
+ * @param {boolean} [options.staged] - --staged
+ * @param {string} [options.since] - --since <ref>
+ * @returns {Object|null} - { mode: 'changed'|'staged'|'since', ref }, or null without any of the flags
+ * @throws {DuqError} - When more than one of the flags is given
+ */
+function gitSelection(options = {}) {
+    const modes = ['changed', 'staged', 'since'].filter(mode => options[mode]);
+    if (modes.length > 1) {
+        throw new DuqError(ERROR_CODES.USAGE, `Use only one of --changed, --staged and --since (got --${modes.join(', --')})`);
+    }
+    if (modes.length === 0) {
+        return null;
+    }
+    return { mode: modes[0], ref: modes[0] === 'since' ? String(options.since) : null };
+}
+
+/**
+ * Describe a selection for messages
+ * @param {Object} selection - Selection from gitSelection
+ * @returns {string} - E.g. 'files changed since main'
+ */
+function describeSelection(selection) {
+    if (selection.mode === 'staged') {
+        return 'staged files';
+    }
+    return selection.mode === 'since' ? `files changed since ${selection.ref}` : 'changed files';
+}
+
+/**
+ * Top-level directory of the repository a directory belongs to
+ * @param {string} [dir] - Directory (defaults to the current one)
+ * @returns {string} - Absolute path
+ * @throws {DuqError} - When the directory is not in a git repository
+ */
+function repoRoot(dir = process.cwd()) {
+    let output;
+    try {
+        output = runGit(['rev-parse', '--show-toplevel'], { cwd: dir });
+    } catch (error) {
+        if (error.code === ERROR_CODES.USAGE) {
+            throw new DuqError(ERROR_CODES.USAGE, `${dir} is not in a git repository`);
+        }
+        throw error;
+    }
+    return path.resolve(output.trim());
+}
+
+/**
+ * Directory git runs the hooks of the current repository from (honors core.hooksPath)
+ * @returns {string} - Absolute path
+ * @throws {DuqError} - When the current directory is not in a git repository, or hooks are disabled
+ */
+function hooksDir() {
+    repoRoot();
+    const dir = path.resolve(runGit(['rev-parse', '--git-path', 'hooks']).trim());
+    // core.hooksPath=/dev/null is a common way to turn hooks off
+    if (fs.existsSync(dir) && !fs.statSync(dir).isDirectory()) {
+        throw new DuqError(ERROR_CODES.USAGE, `Git hooks are disabled here: the hooks path ${dir} is not a directory (see core.hooksPath)`, { path: dir });
+    }
+    return dir;
+}
+
+/**
+ * The revision the working tree is compared with for a selection
+ * @param {Object} selection - Selection from gitSelection
+ * @returns {string[]} - git diff arguments
+ */
+function diffBase(selection) {
+    if (selection.mode === 'staged') {
+        return ['--cached'];
+    }
+    if (selection.mode === 'since') {
+        try {
+            runGit(['rev-parse', '--verify', '--quiet', `${selection.ref}^{commit}`]);
+        } catch (error) {
+            throw new DuqError(ERROR_CODES.USAGE, `Unknown git revision '${selection.ref}' for --since`, { ref: selection.ref });
+        }
+        return [runGit(['merge-base', selection.ref, 'HEAD']).trim()];
+    }
+    // A repository without commits has nothing to compare with but the index
+    const hasHead = spawnSync('git', ['rev-parse', '--verify', '--quiet', 'HEAD'], { encoding: 'utf8' }).status === 0;
+    return hasHead ? ['HEAD'] : ['--cached'];
+}
+
+/**
+ * Untracked files of a selection (not ignored by .gitignore)
+ * @param {Object} selection - Selection from gitSelection
+ * @param {string[]} pathspec - Paths to limit the selection to
+ * @returns {string[]} - Paths relative to the repository root
+ */
+function untrackedFiles(selection, pathspec) {
+    if (selection.mode === 'staged') {
+        return [];
+    }
+    // Without a pathspec ls-files only lists the current directory, unlike git diff
+    return splitNul(runGit(['ls-files', '--others', '--exclude-standard', '--full-name', '-z', '--', ...(pathspec.length > 0 ? pathspec : [':/'])]));
+}
+
+/**
+ * Files of a selection
+ * @param {Object} selection - Selection from gitSelection
+ * @param {string} [target] - Path or pathspec to limit the selection to
+ * @returns {Object} - { root, files } with absolute paths of existing files, sorted
+ */
+function changedFiles(selection, target) {
+    const root = repoRoot();
+    const pathspec = target ? [target] : [];
+    const tracked = splitNul(runGit(['diff', '--name-only', '-z', '--diff-filter=ACMR', ...diffBase(selection), '--', ...pathspec]));
+    const files = [...new Set([...tracked, ...untrackedFiles(selection, pathspec)])]
+        .map(file => path.resolve(root, file))
+        .sort();
+    return { root, files };
+}
+
+/**
+ * Content of files as staged in the index
+ * @param {string} root - Repository root
+ * @param {string[]} files - Absolute paths of staged files
+ * @returns {Map<string, Buffer>} - Staged content by absolute path; files missing from the index are left out
+ * @throws {DuqError} - When git cannot be run
+ */
+function stagedContents(root, files) {
+    const contents = new Map();
+    if (files.length === 0) {
+        return contents;
+    }
+
+    const names = files.map(file => path.relative(root, file).split(path.sep).join('/'));
+    const result = spawnSync('git', ['cat-file', '--batch'], {
+        cwd: root,
+        input: names.map(name => `:${name}\n`).join(''),
+        maxBuffer: 1024 * 1024 * 1024
+    });
+    if (result.error || result.status !== 0) {
+        throw new DuqError(ERROR_CODES.USAGE, `git cat-file failed: ${result.error ? result.error.message : String(result.stderr).trim()}`);
+    }
+
+    // Each object is "<sha> <type> <size>\n<content>\n", or "<name> missing\n"
+    const output = result.stdout;
+    let offset = 0;
+    for (const file of files) {
+        const headerEnd = output.indexOf(0x0a, offset);
+        const header = output.toString('utf8', offset, headerEnd).split(' ');
+        offset = headerEnd + 1;
+        if (header[header.length - 1] === 'missing') {
+            continue;
+        }
+        const size = Number(header[2]);
+        contents.set(file, output.subarray(offset, offset + size));
+        offset += size + 1;
+    }
+    return contents;
+}
+
+/**
+ * Unified diff of a selection, with untracked files shown as new files
+ * @param {Object} selection - Selection from gitSelection
+ * @param {Object} [options] - Diff options
+ * @param {string} [options.target] - Path or pathspec to limit the diff to
+ * @param {number} [options.context] - Lines of context around each change
+ * @param {Function} [options.include] - Called with each absolute file path; files it rejects are left out
+ * @returns {Object} - { root, diff } with paths in the diff relative to the repository root
+ */
+function selectionDiff(selection, { target, context = 3, include = () => true } = {}) {
+    const { root, files } = changedFiles(selection, target);
+    const selected = files.filter(include).map(file => path.relative(root, file).split(path.sep).join('/'));
+    if (selected.length === 0) {
+        return { root, diff: '' };
+    }
+
+    const untracked = new Set(untrackedFiles(selection, target ? [target] : []));
+    const common = ['--no-color', '--no-ext-diff', '--no-prefix', `-U${context}`];
+    const tracked = selected.filter(file => !untracked.has(file));
+    let diff = tracked.length > 0
+        ? runGit(['diff', ...common, '--diff-filter=ACMR', ...diffBase(selection), '--', ...tracked], { cwd: root })
+        : '';
+    for (const file of selected.filter(name => untracked.has(name))) {
+        diff += runGit(['diff', ...common, '--no-index', '--', '/dev/null', file], { cwd: root, okCodes: [0, 1] });
+    }
+    return { root, diff };
+}
+
+module.exports = {
+    gitSelection,
+    describeSelection,
+    repoRoot,
+    hooksDir,
+    changedFiles,
+    stagedContents,
+    selectionDiff
+};
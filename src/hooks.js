@@ -0,0 +1,237 @@
+/**
+ * Git hooks that run duq checks before a commit or a push.
+ *
+ * `duq hooks install` writes pre-commit and pre-push hooks that run the duq commands
+ * configured under `hooks` (e.g. `security --staged --fail-on high`); a failing command
+ * blocks the commit or push. A hook that was already installed is not overwritten: it
+ * is renamed to `<hook>.duq-previous` and run first by the duq hook, and
+ * `duq hooks uninstall` renames it back, so the previous hook is restored byte for
+ * byte. Set DUQ_SKIP_HOOKS=1 to skip the duq checks for one commit or push; the
+ * previous hooks still run.
+ *
+ * @module hooks
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+const HOOK_NAMES = ['pre-commit', 'pre-push'];
+
+const BYPASS_VARIABLE = 'DUQ_SKIP_HOOKS';
+
+// First lines of every hook written by duq; how uninstall recognizes them
+const MARKER = '# Installed by duq hooks install';
+
+const PREVIOUS_SUFFIX = '.duq-previous';
+
+// The CLI the hooks and the hook commands run
+const ENTRY = path.join(__dirname, 'index.js');
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value
+ * @returns {string} - Single-quoted value
+ */
+function shellQuote(value) {
+    return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Check hook names
+ * @param {string[]} hooks - Hook names from the command line; empty for all
+ * @returns {string[]} - The hooks to work on
+ * @throws {DuqError} - When a hook is not supported
+ */
+function validateHooks(hooks) {
+    const unknown = hooks.filter(hook => !HOOK_NAMES.includes(hook));
+    if (unknown.length > 0) {
+        throw new DuqError(ERROR_CODES.USAGE, `Unknown hook '${unknown[0]}' (available: ${HOOK_NAMES.join(', ')})`);
+    }
+    return hooks.length > 0 ? hooks : HOOK_NAMES;
+}
+
+/**
+ * Content of the hook script duq installs
+ * @param {string} hook - Hook name
+ * @returns {string} - Shell script
+ */
+function hookScript(hook) {
+    // pre-push gets the refs to push on stdin; the previous hook needs them as well
+    const readInput = hook === 'pre-push';
+    return [
+        '#!/bin/sh',
+        MARKER,
+        `# Runs the duq commands configured under hooks.${hook}. Set ${BYPASS_VARIABLE}=1 to skip them;`,
+        '# `duq hooks uninstall` restores the hook that was here before.',
+        '',
+        `previous="$(dirname "$0")/${hook}${PREVIOUS_SUFFIX}"`,
+        ...(readInput ? ['input=$(cat)'] : []),
+        'if [ -x "$previous" ]; then',
+        readInput
+            // $(cat) drops the final newline; no refs must stay an empty stdin
+            ? '    { [ -z "$input" ] || printf \'%s\\n\' "$input"; } | "$previous" "$@" || exit $?'
+            : '    "$previous" "$@" || exit $?',
+        'fi',
+        '',
+        `if [ -n "$${BYPASS_VARIABLE}" ]; then`,
+        `    echo "duq: ${BYPASS_VARIABLE} is set, skipping the duq ${hook} checks" >&2`,
+        '    exit 0',
+        'fi',
+        `if [ ! -f ${shellQuote(ENTRY)} ]; then`,
+        `    echo "duq: ${ENTRY} no longer exists, skipping the duq ${hook} checks (run duq hooks install again)" >&2`,
+        '    exit 0',
+        'fi',
+        `exec ${shellQuote(process.execPath)} ${shellQuote(ENTRY)} hooks run ${hook}`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Whether a hook file was written by duq
+ * @param {string} hookPath - Path of the hook
+ * @returns {boolean} - True for duq hooks
+ */
+function isDuqHook(hookPath) {
+    try {
+        return fs.readFileSync(hookPath, 'utf8').split('\n', 2)[1] === MARKER;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Whether a path exists, including broken symbolic links
+ * @param {string} filePath - Path
+ * @returns {boolean} - True when there is a file or link
+ */
+function pathExists(filePath) {
+    try {
+        fs.lstatSync(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Install the duq hook, keeping an existing hook as the previous one
+ * @param {string} hooksDir - Hooks directory of the repository
+ * @param {string} hook - Hook name
+ * @returns {Object} - { hook, path, action: 'installed'|'updated', previous } where previous is the kept hook or null
+ * @throws {DuqError} - When both another hook and a kept previous hook exist
+ */
+function installHook(hooksDir, hook) {
+    const hookPath = path.join(hooksDir, hook);
+    const previousPath = hookPath + PREVIOUS_SUFFIX;
+    const updating = isDuqHook(hookPath);
+
+    if (!updating && pathExists(hookPath)) {
+        if (pathExists(previousPath)) {
+            throw new DuqError(ERROR_CODES.USAGE,
+                `Both ${hookPath} and ${previousPath} exist; remove or merge one of them before installing the duq hook`,
+                { hook, path: hookPath });
+        }
+        // Renaming keeps the content, mode and symbolic links exactly as they were
+        fs.renameSync(hookPath, previousPath);
+    }
+
+    fs.ensureDirSync(hooksDir);
+    fs.writeFileSync(hookPath, hookScript(hook), { mode: 0o755 });
+    fs.chmodSync(hookPath, 0o755);
+    return { hook, path: hookPath, action: updating ? 'updated' : 'installed', previous: pathExists(previousPath) ? previousPath : null };
+}
+
+/**
+ * Remove the duq hook and restore the previous one
+ * @param {string} hooksDir - Hooks directory of the repository
+ * @param {string} hook - Hook name
+ * @returns {Object} - { hook, path, action: 'removed'|'restored'|'not installed'|'kept' }; 'kept' when the hook is no longer duq's
+ */
+function uninstallHook(hooksDir, hook) {
+    const hookPath = path.join(hooksDir, hook);
+    const previousPath = hookPath + PREVIOUS_SUFFIX;
+
+    if (!isDuqHook(hookPath)) {
+        return { hook, path: hookPath, action: pathExists(hookPath) && pathExists(previousPath) ? 'kept' : 'not installed' };
+    }
+
+    fs.removeSync(hookPath);
+    if (pathExists(previousPath)) {
+        fs.renameSync(previousPath, hookPath);
+        return { hook, path: hookPath, action: 'restored' };
+    }
+    return { hook, path: hookPath, action: 'removed' };
+}
+
+/**
+ * Split a configured hook command into arguments
+ * @param {string|string[]} command - Command such as "security --staged --fail-on high", or its arguments
+ * @returns {string[]} - Arguments for the duq CLI
+ * @throws {DuqError} - When the command is empty
+ */
+function parseHookCommand(command) {
+    let args = Array.isArray(command) ? command.map(String) : null;
+    if (!args) {
+        args = [];
+        const pattern = /"((?:[^"\\]|\\.)*)"|'([^']*)'|(\S+)/g;
+        const text = String(command);
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            args.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2] !== undefined ? match[2] : match[3]);
+        }
+    }
+
+    // "duq security ..." and "security ..." mean the same
+    if (args[0] === 'duq') {
+        args = args.slice(1);
+    }
+    if (args.length === 0) {
+        throw new DuqError(ERROR_CODES.CONFIG, 'Empty hook command in the hooks config');
+    }
+    return args;
+}
+
+/**
+ * The commands configured for a hook
+ * @param {Object} config - Resolved config
+ * @param {string} hook - Hook name
+ * @returns {string[][]} - Arguments of each command
+ * @throws {DuqError} - When the entry is not a list of commands
+ */
+function hookCommands(config, hook) {
+    const commands = (config.hooks || {})[hook] || [];
+    if (!Array.isArray(commands)) {
+        throw new DuqError(ERROR_CODES.CONFIG, `hooks.${hook} must be a list of duq commands`);
+    }
+    return commands.map(parseHookCommand);
+}
+
+/**
+ * Run one duq command of a hook in a child process
+ * @param {string[]} args - Arguments for the duq CLI
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.quiet] - Send the command's stdout to stderr (for --json)
+ * @returns {number} - Exit status
+ */
+function runHookCommand(args, { quiet = false } = {}) {
+    const result = spawnSync(process.execPath, [ENTRY, ...args], { stdio: ['inherit', quiet ? process.stderr : 'inherit', 'inherit'] });
+    if (result.error) {
+        throw new DuqError(ERROR_CODES.INTERNAL, `Could not run duq ${args.join(' ')}: ${result.error.message}`);
+    }
+    return result.status === null ? 1 : result.status;
+}
+
+module.exports = {
+    HOOK_NAMES,
+    BYPASS_VARIABLE,
+    validateHooks,
+    hookScript,
+    isDuqHook,
+    installHook,
+    uninstallHook,
+    parseHookCommand,
+    hookCommands,
+    runHookCommand
+};
@@ -9,17 +9,81 @@
  */
 
 const { program } = require('commander');
-const { document, explain, refactor, test, docstrings, security, chain, revert, listBackups } = require('./commands');
+const {
+    document, explain, refactor, test, docstrings, security, review, chain, run, revert, listBackups, listTransactions, verifyBackups, gcBackups, showCacheStats, clearResponseCache, installHooks, uninstallHooks, runHooks, showConfig,
+    runTemplate, listTemplates, showTemplate
+} = require('./commands');
+const { BUILT_IN_TEMPLATES, getTemplates } = require('./template-loader');
+const { configureProvider, listProviders, setRedaction } = require('./providers');
+const { applyOverrides } = require('./config');
+const { PROFILES, setTrustOverride } = require('./permissions');
+const { parseTimeout, isStopped } = require('./interrupt');
+const { SEVERITIES, FORMATS } = require('./security-findings');
+const { DEFAULT_BASELINE_PATH } = require('./security-baseline');
+const { HOOK_NAMES } = require('./hooks');
+const { parseTtl } = require('./response-cache');
+const { enableJsonMode, reportFatal } = require('./output');
+const { DuqError, ERROR_CODES } = require('./errors');
 const chalk = require('chalk');
 const path = require('path');
 
+// Switch stdout to JSON before anything (template warnings, help) is printed
+if (process.argv.includes('--json')) {
+    enableJsonMode();
+}
+
 /**
  * Initialize the main CLI program with name, description, and version
  */
 program
     .name('duq')
     .description('Developer Utility with Q - CLI tool for Amazon Q')
-    .version('1.0.1');
+    .version('1.0.1')
+    .option('--provider <name>', `LLM provider to use (${listProviders().join(', ')})`)
+    .option('--model <model>', 'Model to request from the provider')
+    .option('--timeout <seconds>', 'Stop a provider call that takes longer than this')
+    .option('--trust <profile>', `Tool permissions for the agent (${PROFILES.join(', ')}); overrides the per-command defaults`)
+    .option('--json', 'Print the result as one JSON object on stdout; everything else goes to stderr')
+    .option('--redact-secrets', 'Replace secrets in prompts with placeholders before they are sent (always on for security)')
+    .option('--no-cache', 'Call the provider even when a cached response exists (and do not cache the new one)');
+
+/**
+ * Usage errors (unknown options, missing arguments) are reported like any other
+ * error, with the E_USAGE code and exit status. Subcommands inherit these settings.
+ */
+program
+    .exitOverride()
+    .configureOutput({ outputError: () => {} });
+
+/**
+ * Commands run asynchronously; a call stopped with Ctrl-C or --timeout has already
+ * been reported and set the exit code, anything else is an unexpected error
+ */
+process.on('unhandledRejection', (error) => {
+    if (!isStopped(error)) {
+        reportFatal(error);
+    }
+});
+
+/**
+ * Load the configuration and select the LLM provider before any command runs
+ */
+program.hook('preAction', (thisCommand, actionCommand) => {
+    const { provider, model, timeout, trust, redactSecrets, cache } = program.opts();
+    try {
+        const config = applyOverrides({
+            'provider.name': provider, 'provider.model': model, 'provider.timeout': timeout, redactSecrets, 'cache.enabled': cache === false ? false : undefined
+        });
+        parseTtl(config.cache.ttl);
+        parseTimeout(config.provider.timeout);
+        configureProvider(config.provider);
+        setRedaction({ enabled: config.redactSecrets });
+        setTrustOverride(trust);
+    } catch (error) {
+        reportFatal(error, actionCommand.name());
+        process.exit(process.exitCode);
+    }
+});
 
 /**
  * Command: document
@@ -28,85 +92,166 @@ program
  * @param {string} directory - The directory to analyze and document
  * @param {Object} options - Command options
  * @param {string} [options.output] - Custom output path for the README.md file
+ * @param {boolean} [options.dryRun] - Only show which files would be included
+ * @param {number} [options.maxTokens] - Token budget for the directory context
+ * @param {boolean} [options.chunked] - Analyze the directory in batches (map-reduce)
  */
 program
     .command('document')
     .description('Generate a README for a directory')
     .argument('<directory>', 'Directory to document')
     .option('-o, --output <path>', 'Custom output path for the README.md file')
+    .option('--dry-run', 'Show which files would be sent and the estimated tokens, without calling the provider')
+    .option('--max-tokens <tokens>', 'Token budget for the directory context', parseInt)
+    .option('--chunked', 'Analyze large directories in batches that fit the token budget, then merge the results')
     .action((directory, options) => {
-        document(directory, options.output);
+        document(directory, options.output, options);
     });
 
 /**
  * Command: explain
  * Provides a detailed explanation of what a file does
  * 
- * @param {string} file - The file to explain
+ * @param {string} file - The file to explain, or a glob pattern
+ * @param {Object} options - Command options (batch options for patterns)
  */
 program
     .command('explain')
     .description('Explain what a file does')
-    .argument('<file>', 'File to explain')
-    .action((file) => {
-        explain(file);
+    .argument('[file]', 'File to explain, a glob pattern such as "src/**/*.js", or a path to limit --changed/--staged/--since to')
+    .option('--concurrency <n>', 'Files of a glob pattern to run at the same time (default: batch.concurrency from the config)')
+    .option('--resume', 'Continue an interrupted batch, skipping the files that already succeeded')
+    .option('--changed', 'Run on the files changed in the working tree, including untracked files')
+    .option('--staged', 'Run on the files staged for commit')
+    .option('--since <ref>', 'Run on the files changed since the branch left <ref>')
+    .action((file, options) => {
+        explain(file, options);
     });
 
 /**
  * Command: refactor
- * Analyzes a file and suggests refactoring improvements
+ * Analyzes a file and suggests refactoring improvements, or applies them with --apply
  * 
- * @param {string} file - The file to analyze for refactoring suggestions
+ * @param {string} file - The file to analyze for refactoring suggestions, or a glob pattern
+ * @param {Object} options - Command options
+ * @param {boolean} [options.apply] - Apply the refactoring to the file
+ * @param {boolean|string} [options.test] - Test command to run after applying
  */
 program
     .command('refactor')
     .description('Suggest refactoring improvements for a file')
-    .argument('<file>', 'File to refactor')
-    .action((file) => {
-        refactor(file);
+    .argument('[file]', 'File to refactor, a glob pattern such as "src/**/*.js", or a path to limit --changed/--staged/--since to')
+    .option('--apply', 'Rewrite the file instead of only printing suggestions')
+    .option('-y, --yes', 'Apply all changes without asking (with --apply)')
+    .option('--diff-only [patchFile]', 'Only print the patch (or save it to patchFile) without modifying the file')
+    .option('--test [command]', 'Run the tests after applying (default: testCommand from the config) and revert if they fail')
+    .option('--no-test', 'Do not run the configured test command')
+    .option('--concurrency <n>', 'Files of a glob pattern to run at the same time (default: batch.concurrency from the config)')
+    .option('--resume', 'Continue an interrupted batch, skipping the files that already succeeded')
+    .option('--changed', 'Run on the files changed in the working tree, including untracked files')
+    .option('--staged', 'Run on the files staged for commit')
+    .option('--since <ref>', 'Run on the files changed since the branch left <ref>')
+    .action((file, options) => {
+        refactor(file, options);
     });
 
 /**
  * Command: test
  * Generates test cases for a specified file
  * 
- * @param {string} file - The file to generate tests for
+ * @param {string} file - The file to generate tests for, or a glob pattern
  * @param {Object} options - Command options
  * @param {string} [options.output] - Custom output path for the test file
  */
 program
     .command('test')
     .description('Generate test cases for a file')
-    .argument('<file>', 'File to test')
-    .option('-o, --output <path>', 'Custom output path for the test file')
+    .argument('[file]', 'File to test, a glob pattern such as "src/**/*.js", or a path to limit --changed/--staged/--since to')
+    .option('-o, --output <path>', 'Custom output path for the test file (a pattern such as "tests/{name}.test{ext}" for glob patterns)')
+    .option('--concurrency <n>', 'Files of a glob pattern to run at the same time (default: batch.concurrency from the config)')
+    .option('--resume', 'Continue an interrupted batch, skipping the files that already succeeded')
+    .option('--changed', 'Run on the files changed in the working tree, including untracked files')
+    .option('--staged', 'Run on the files staged for commit')
+    .option('--since <ref>', 'Run on the files changed since the branch left <ref>')
     .action((file, options) => {
-        test(file, options.output);
+        test(file, options.output, options);
     });
 
 /**
  * Command: docstrings
  * Adds documentation comments to functions and classes in a file
  * 
- * @param {string} file - The file to add docstrings to
+ * @param {string} file - The file to add docstrings to, or a glob pattern
+ * @param {Object} options - Command options
+ * @param {boolean} [options.yes] - Apply all changes without asking
+ * @param {boolean|string} [options.diffOnly] - Only output a patch
+ * @param {boolean} [options.verify] - Check that only comments changed (--no-verify to skip)
  */
 program
     .command('docstrings')
     .description('Add docstrings to functions and classes in a file')
-    .argument('<file>', 'File to add docstrings to')
-    .action((file) => {
-        docstrings(file);
+    .argument('[file]', 'File to add docstrings to, a glob pattern such as "src/**/*.js", or a path to limit --changed/--staged/--since to')
+    .option('-y, --yes', 'Apply all changes without asking')
+    .option('--diff-only [patchFile]', 'Only print the patch (or save it to patchFile) without modifying the file')
+    .option('--no-verify', 'Skip the check that only comments and whitespace changed')
+    .option('--concurrency <n>', 'Files of a glob pattern to run at the same time (default: batch.concurrency from the config)')
+    .option('--resume', 'Continue an interrupted batch, skipping the files that already succeeded')
+    .option('--changed', 'Run on the files changed in the working tree, including untracked files')
+    .option('--staged', 'Run on the files staged for commit')
+    .option('--since <ref>', 'Run on the files changed since the branch left <ref>')
+    .action((file, options) => {
+        docstrings(file, options);
     });
 
 program
     .command('security')
     .alias('sec')
     .description('Perform security analysis on a file or directory')
-    .argument('<path>', 'File or directory to analyze')
+    .argument('[path]', 'File or directory to analyze, or a path to limit --changed/--staged/--since to')
     .option('-o, --output <path>', 'Path to save the security report')
+    .option('--format <format>', `Report format (${FORMATS.join(', ')}); default: from the output extension (.sarif, .json), else markdown`)
+    .option('--fail-on <severity>', `Exit with an error when a finding has this severity or higher (${SEVERITIES.join(', ')})`)
+    .option('--baseline [file]', `Only report findings that are not in this baseline (default: ${DEFAULT_BASELINE_PATH})`)
+    .option('--update-baseline', 'Save the current findings as the baseline')
+    .option('--no-redact', 'Send secrets found in the files to the provider instead of placeholders')
+    .option('--dry-run', 'Show which files would be sent and the estimated tokens, without calling the provider')
+    .option('--max-tokens <tokens>', 'Token budget for the directory context', parseInt)
+    .option('--chunked', 'Analyze large directories in batches that fit the token budget, then merge the results')
+    .option('--changed', 'Only analyze the files changed in the working tree, including untracked files')
+    .option('--staged', 'Only analyze the files staged for commit')
+    .option('--since <ref>', 'Only analyze the files changed since the branch left <ref>')
     .action((targetPath, options) => {
         security(targetPath, options);
     });
 
+/**
+ * Command: review
+ * Reviews the hunks of a git change with their surrounding context
+ *
+ * @param {string} [targetPath] - Path or pathspec to limit the review to
+ * @param {Object} options - Command options
+ * @param {boolean} [options.changed] - Review the changes in the working tree (the default)
+ * @param {boolean} [options.staged] - Review the staged changes
+ * @param {string} [options.since] - Review the changes since a git revision
+ * @param {string} [options.context] - Lines of context around each change
+ * @param {string} [options.output] - Path to save the review
+ * @param {string} [options.failOn] - Fail when a comment has this severity or higher
+ */
+program
+    .command('review')
+    .description('Review the changed lines of a git change and comment on each hunk')
+    .argument('[path]', 'Path to limit the review to')
+    .option('--changed', 'Review the changes in the working tree, including untracked files (default)')
+    .option('--staged', 'Review the changes staged for commit')
+    .option('--since <ref>', 'Review the changes since the branch left <ref>')
+    .option('-C, --context <lines>', 'Lines of context around each change', '10')
+    .option('-o, --output <path>', 'Path to save the review (.json for JSON, otherwise markdown)')
+    .option('--fail-on <severity>', `Exit with an error when a comment has this severity or higher (${SEVERITIES.join(', ')})`)
+    .option('--max-tokens <tokens>', 'Token budget for the diff', parseInt)
+    .action((targetPath, options) => {
+        review(targetPath, options);
+    });
+
 program
     .command('chain')
     .description('Run multiple commands in sequence')
@@ -114,29 +259,203 @@ program
     .argument('<steps>', 'Comma-separated list of commands to run (e.g., "refactor,test,docstring")')
     .option('-o, --output <path>', 'Custom output path for generated files')
     .option('-c, --continue-on-error', 'Continue execution if a step fails')
+    .option('-y, --yes', 'Apply file changes without asking')
+    .option('--apply', 'Let the refactor step rewrite the file instead of only printing suggestions')
     .action((targetPath, steps, options) => {
         chain(targetPath, steps, options);
     });
 
+program
+    .command('run')
+    .description('Run the steps of a pipeline file (YAML or JSON)')
+    .argument('<pipeline>', 'Pipeline file')
+    .argument('[target]', 'Target for steps without their own, instead of the pipeline\'s')
+    .option('--dry-run', 'Check the pipeline and print its steps without running them')
+    .action((pipelineFile, targetPath, options) => {
+        run(pipelineFile, targetPath, options);
+    });
+
 program
     .command('revert')
     .description('Revert a file to its previous state')
     .argument('[file]', 'File to revert (omit to revert the most recent change)')
     .option('-i, --id <backupId>', 'Specific backup ID to restore')
+    .option('-t, --transaction <transactionId>', 'Revert every file changed or created by a transaction')
+    .option('-f, --force', 'With --transaction, also delete created files that were edited since')
     .action((file, options) => {
         revert(file, options);
     });
 
 program
+    .command('transactions')
+    .description('List recorded transactions (one per command or chain run) and the files they changed')
+    .action(() => {
+        listTransactions();
+    });
+
+const backupsCommand = program
     .command('backups')
+    .description('List, verify and clean up backups');
+
+backupsCommand
+    .command('list', { isDefault: true })
     .description('List available backups')
     .argument('[file]', 'File to list backups for (omit to list all backups)')
     .action((file) => {
         listBackups(file);
     });
 
+backupsCommand
+    .command('verify')
+    .description('Check that every backup is present and matches its recorded hash')
+    .action(() => {
+        verifyBackups();
+    });
+
+backupsCommand
+    .command('gc')
+    .description('Remove stored content that no backup refers to')
+    .option('--dry-run', 'Only list what would be removed')
+    .action((options) => {
+        gcBackups(options);
+    });
+
+const cacheCommand = program
+    .command('cache')
+    .description('Inspect and clear the cache of provider responses');
+
+cacheCommand
+    .command('stats')
+    .description('Show the number, size and age of the cached responses')
+    .action(() => {
+        showCacheStats();
+    });
+
+cacheCommand
+    .command('clear')
+    .description('Remove cached responses')
+    .option('--expired', 'Only remove responses older than cache.ttl')
+    .action((options) => {
+        clearResponseCache(options);
+    });
+
+const hooksCommand = program
+    .command('hooks')
+    .description('Run duq checks from git hooks before a commit or push');
+
+hooksCommand
+    .command('install')
+    .description('Install pre-commit and pre-push hooks that run the commands configured under hooks; existing hooks still run first')
+    .argument('[hooks...]', `Hooks to install (${HOOK_NAMES.join(', ')}; default: all)`)
+    .action((hooks) => {
+        installHooks(hooks);
+    });
+
+hooksCommand
+    .command('uninstall')
+    .description('Remove the duq hooks and restore the hooks they replaced')
+    .argument('[hooks...]', `Hooks to uninstall (${HOOK_NAMES.join(', ')}; default: all)`)
+    .action((hooks) => {
+        uninstallHooks(hooks);
+    });
+
+hooksCommand
+    .command('run')
+    .description('Run the duq commands configured for a hook (used by the installed hooks)')
+    .argument('<hook>', `Hook name (${HOOK_NAMES.join(', ')})`)
+    .action((hook) => {
+        runHooks(hook);
+    });
+
+const configCommand = program
+    .command('config')
+    .description('Inspect the duq configuration');
+
+configCommand
+    .command('show')
+    .description('Print the resolved configuration and where each value came from')
+    .action(() => {
+        showConfig();
+    });
+
+const templatesCommand = program
+    .command('templates')
+    .description('Manage prompt templates');
+
+templatesCommand
+    .command('list')
+    .description('List built-in and user-defined templates')
+    .action(() => {
+        listTemplates();
+    });
+
+templatesCommand
+    .command('show')
+    .description('Show the definition of a template')
+    .argument('<name>', 'Template name')
+    .action((name) => {
+        showTemplate(name);
+    });
+
+/**
+ * Register every user-defined template from .duq/templates/ as its own command.
+ * Templates named after built-in commands only replace the built-in prompt.
+ */
+const registerTemplateCommands = () => {
+    let customTemplates;
+    try {
+        customTemplates = getTemplates();
+    } catch (error) {
+        console.error(chalk.yellow(`Warning: Could not load templates: ${error.message}`));
+        return;
+    }
+
+    for (const template of Object.values(customTemplates)) {
+        const taken = program.commands.some(cmd => cmd.name() === template.name || cmd.aliases().includes(template.name));
+        if (BUILT_IN_TEMPLATES.includes(template.name) || taken) {
+            continue;
+        }
+
+        const command = program
+            .command(template.name)
+            .description(template.description)
+            .argument(template.target === 'directory' ? '<directory>' : (template.target === 'any' ? '<path>' : '<file>'),
+                `Target ${template.target === 'any' ? 'file or directory' : template.target}`);
+
+        template.arguments.forEach(arg => {
+            const label = arg.required ? `<${arg.name}>` : `[${arg.name}]`;
+            command.argument(label, arg.description || '', arg.default);
+        });
+
+        command.option('-o, --output <path>', 'Custom output path');
+        if (template.output.mode === 'replace') {
+            command
+                .option('-y, --yes', 'Apply all changes without asking')
+                .option('--diff-only [patchFile]', 'Only print the patch (or save it to patchFile) without modifying the file');
+        }
+
+        command
+            .action((targetPath, ...rest) => {
+                const args = rest.slice(0, template.arguments.length);
+                const options = rest[template.arguments.length];
+                runTemplate(template.name, targetPath, args, options);
+            });
+    }
+};
+
+registerTemplateCommands();
+
 // Parse command line arguments
-program.parse(process.argv);
+try {
+    program.parse(process.argv);
+} catch (error) {
+    // --help, --version and help for a missing subcommand end the program through the same path
+    if (['commander.helpDisplayed', 'commander.version', 'commander.help'].includes(error.code)) {
+        process.exit(error.exitCode);
+    }
+    reportFatal(new DuqError(ERROR_CODES.USAGE, error.message.replace(/^error: /, '')));
+    process.exit(process.exitCode);
+}
 
 /**
  * Display help information if no arguments are provided
@@ -0,0 +1,104 @@
+/**
+ * Cancellation and timeouts for provider calls.
+ *
+ * While a call is running, Ctrl-C cancels it instead of killing duq outright, so the
+ * provider can stop its child process or request and the command can record what it
+ * already did. A second Ctrl-C exits immediately.
+ *
+ * @module interrupt
+ */
+
+const { DuqError, ERROR_CODES, EXIT_CODES } = require('./errors');
+
+const EXIT_CODE_INTERRUPTED = EXIT_CODES[ERROR_CODES.CANCELLED];
+
+/**
+ * Watch for Ctrl-C and a timeout while a call is running
+ * @param {Object} options - Watch options
+ * @param {Function} options.cancel - Called with the reason (an E_CANCELLED or E_TIMEOUT DuqError) to stop the call
+ * @param {number} [options.timeout] - Timeout in seconds; 0 or missing means none
+ * @returns {Function} - Stops watching; call it when the call has finished
+ */
+function watchCall({ cancel, timeout }) {
+    let cancelled = false;
+
+    const onInterrupt = () => {
+        if (cancelled) {
+            process.exit(EXIT_CODE_INTERRUPTED);
+        }
+        cancelled = true;
+        process.exitCode = EXIT_CODE_INTERRUPTED;
+        cancel(new DuqError(ERROR_CODES.CANCELLED, 'Cancelled by user'));
+    };
+    process.on('SIGINT', onInterrupt);
+
+    const timer = timeout > 0 ? setTimeout(() => {
+        cancelled = true;
+        process.exitCode = EXIT_CODES[ERROR_CODES.TIMEOUT];
+        cancel(new DuqError(ERROR_CODES.TIMEOUT, `Timed out after ${timeout}s`, { timeout }));
+    }, timeout * 1000) : null;
+
+    return () => {
+        process.removeListener('SIGINT', onInterrupt);
+        if (timer) {
+            clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * Watch for Ctrl-C while a run of several calls is going on (a batch), including the
+ * moments when no call is running. Running calls are cancelled by their own watchers;
+ * a second Ctrl-C exits immediately.
+ * @param {Function} stop - Called once on the first Ctrl-C, to start no further calls
+ * @returns {Function} - Stops watching
+ */
+function watchInterrupts(stop) {
+    let stopped = false;
+
+    const onInterrupt = () => {
+        if (stopped) {
+            process.exit(EXIT_CODE_INTERRUPTED);
+        }
+        stopped = true;
+        process.exitCode = EXIT_CODE_INTERRUPTED;
+        stop();
+    };
+    process.on('SIGINT', onInterrupt);
+
+    return () => process.removeListener('SIGINT', onInterrupt);
+}
+
+/**
+ * Check whether an error is a cancellation or timeout from watchCall
+ * @param {Error} error - Error to check
+ * @returns {boolean} - True when the call was stopped on purpose
+ */
+function isStopped(error) {
+    return Boolean(error && (error.code === ERROR_CODES.CANCELLED || error.code === ERROR_CODES.TIMEOUT));
+}
+
+/**
+ * Parse a timeout given in seconds
+ * @param {string|number} value - Timeout from a flag, the config or the environment
+ * @returns {number} - Seconds, 0 for none
+ * @throws {DuqError} - When the value is not a non-negative number
+ */
+function parseTimeout(value) {
+    if (value === undefined || value === null || value === '') {
+        return 0;
+    }
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid timeout '${value}' (expected a number of seconds)`);
+    }
+    return seconds;
+}
+
+module.exports = {
+    EXIT_CODE_INTERRUPTED,
+    watchCall,
+    watchInterrupts,
+    isStopped,
+    parseTimeout
+};
@@ -0,0 +1,37 @@
+const path = require('path');
+
+/**
+ * Map of file extensions to language names used in prompts
+ */
+const LANGUAGES = {
+    '.js': 'JavaScript/TypeScript',
+    '.jsx': 'JavaScript/TypeScript',
+    '.ts': 'JavaScript/TypeScript',
+    '.tsx': 'JavaScript/TypeScript',
+    '.py': 'Python',
+    '.java': 'Java',
+    '.rb': 'Ruby',
+    '.go': 'Go',
+    '.php': 'PHP',
+    '.c': 'C/C++',
+    '.cpp': 'C/C++',
+    '.h': 'C/C++',
+    '.hpp': 'C/C++',
+    '.cs': 'C#',
+    '.swift': 'Swift',
+    '.rs': 'Rust'
+};
+
+/**
+ * Detect the language of a source file from its extension
+ * @param {string} filePath - Path to the file
+ * @returns {string} - Language name, or 'Unknown'
+ */
+function detectLanguage(filePath) {
+    return LANGUAGES[path.extname(filePath).toLowerCase()] || 'Unknown';
+}
+
+module.exports = {
+    LANGUAGES,
+    detectLanguage
+};
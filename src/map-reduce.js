@@ -0,0 +1,117 @@
+/**
+ * Map-reduce analysis for directories that do not fit into a single prompt.
+ * Each batch is analyzed separately (map), then the partial results are merged
+ * (reduce). When the partial results themselves exceed the budget they are
+ * merged in groups first, until a single final result remains.
+ *
+ * @module map-reduce
+ */
+
+const chalk = require('chalk');
+const { complete } = require('./providers');
+const { estimateTokens } = require('./prompt-delivery');
+
+/**
+ * Group partial results so that each group fits the token budget
+ * @param {string[]} partials - Partial results
+ * @param {number} maxTokens - Token budget per prompt
+ * @returns {Array<string[]>} - Groups of partial results
+ */
+function groupPartials(partials, maxTokens) {
+    const groups = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const partial of partials) {
+        const tokens = estimateTokens(partial);
+        if (current.length > 0 && currentTokens + tokens > maxTokens) {
+            groups.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+        current.push(partial);
+        currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+        groups.push(current);
+    }
+
+    // Always make progress: never return as many groups as there were partials
+    if (groups.length === partials.length && partials.length > 1) {
+        const paired = [];
+        for (let i = 0; i < partials.length; i += 2) {
+            paired.push(partials.slice(i, i + 2));
+        }
+        return paired;
+    }
+
+    return groups;
+}
+
+/**
+ * Join partial results into one prompt section
+ * @param {string[]} partials - Partial results
+ * @returns {string} - Labeled partial results
+ */
+function formatPartials(partials) {
+    return partials.map((partial, index) => `\n\n--- Part ${index + 1} of ${partials.length} ---\n${partial.trim()}`).join('');
+}
+
+/**
+ * Run a map-reduce analysis
+ * @param {Object} options - Analysis options
+ * @param {Array} options.batches - Batches from buildContextBatches
+ * @param {Function} options.mapPrompt - (batch, batchNumber, batchCount) => prompt for one batch
+ * @param {Function} options.reducePrompt - (partCount, isFinal) => instructions for merging partial results
+ * @param {number} options.maxTokens - Token budget per prompt
+ * @param {string} [options.label] - Name shown in progress messages
+ * @param {Function} [options.onToken] - Receives the final result as it streams in
+ * @param {Function} [options.onPartial] - (response, batch) => called with the response to each batch
+ * @returns {Promise<string>} - The final merged result
+ */
+async function mapReduce({ batches, mapPrompt, reducePrompt, maxTokens, label = 'batch', onToken, onPartial }) {
+    const partials = [];
+
+    for (const batch of batches) {
+        const batchNumber = batch.index + 1;
+        console.log(chalk.blue(`\n[${label} ${batchNumber}/${batches.length}] Analyzing ${batch.files.length} files (~${batch.estimatedTokens.toLocaleString('en-US')} tokens)`));
+
+        const response = await complete(mapPrompt(batch, batchNumber, batches.length));
+        partials.push(response);
+        if (onPartial) {
+            onPartial(response, batch);
+        }
+
+        console.log(chalk.green(`✓ ${label} ${batchNumber}/${batches.length} complete`));
+    }
+
+    let round = 1;
+    let results = partials;
+
+    while (true) {
+        const groups = groupPartials(results, maxTokens);
+        const isFinal = groups.length === 1;
+
+        const merged = [];
+        for (let i = 0; i < groups.length; i++) {
+            const group = groups[i];
+            const stage = isFinal ? 'final merge' : `merge round ${round}, group ${i + 1}/${groups.length}`;
+            console.log(chalk.blue(`\n[${stage}] Merging ${group.length} partial results`));
+
+            merged.push(await complete(reducePrompt(group.length, isFinal) + formatPartials(group), isFinal ? { onToken } : {}));
+        }
+
+        if (isFinal) {
+            return merged[0];
+        }
+
+        results = merged;
+        round++;
+    }
+}
+
+module.exports = {
+    groupPartials,
+    mapReduce
+};
@@ -0,0 +1,323 @@
+/**
+ * Command results and machine-readable output.
+ *
+ * Every command run collects a result object: the command and target, the provider
+ * and the size of the prompts sent, the raw response, extracted artifacts, the files
+ * written with their backup IDs, timing and, when it failed, a structured error.
+ * With the global --json flag the result of the command is printed to stdout as one
+ * JSON object and everything meant for people (progress, responses, diffs) goes to
+ * stderr instead. Commands run by `chain` add their results to the chain's `steps`.
+ *
+ * Files of a batch run at the same time, so each one collects its result in its own
+ * async context (see runIsolated) and can have its console output held back until it
+ * has finished, instead of mixing it with the output of the other files.
+ *
+ * @module output
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { AsyncLocalStorage } = require('async_hooks');
+const { ERROR_CODES, toDuqError } = require('./errors');
+
+let jsonMode = false;
+let writeResult = (text) => process.stdout.write(text);
+const rootResults = [];
+// { results, output, result } of the isolated run (a batch file) the current code belongs to
+const isolation = new AsyncLocalStorage();
+let captureInstalled = false;
+
+/**
+ * The results being collected in the current async context, innermost last
+ * @returns {Object[]} - Result stack
+ */
+function activeResults() {
+    const store = isolation.getStore();
+    return store ? store.results : rootResults;
+}
+
+/**
+ * Switch to JSON output: stdout only receives the final result object
+ */
+function enableJsonMode() {
+    if (jsonMode) {
+        return;
+    }
+    jsonMode = true;
+
+    const stdoutWrite = process.stdout.write.bind(process.stdout);
+    writeResult = (text) => stdoutWrite(text);
+    // Human-readable output (console.log, streamed responses, prompts) moves to stderr
+    process.stdout.write = process.stderr.write.bind(process.stderr);
+}
+
+/**
+ * Whether --json is active
+ * @returns {boolean} - True in JSON mode
+ */
+function isJsonMode() {
+    return jsonMode;
+}
+
+/**
+ * Whether a command result is being collected (e.g. a chain step runs inside the chain)
+ * @returns {boolean} - True while a command is running
+ */
+function hasActiveResult() {
+    const results = activeResults();
+    return results.length > 0;
+}
+
+/**
+ * Start collecting the result of a command
+ * @param {string} command - Command name
+ * @param {string|null} target - File, directory or other argument the command runs on
+ * @returns {Object} - Result object, completed by finishResult
+ */
+function beginResult(command, target) {
+    const results = activeResults();
+    const result = {
+        command,
+        target: target && fs.existsSync(target) ? path.resolve(target) : target,
+        status: 'running',
+        provider: null,
+        promptSize: { bytes: 0, estimatedTokens: 0 },
+        calls: 0,
+        cachedCalls: 0,
+        response: null,
+        artifacts: [],
+        filesWritten: [],
+        backupIds: [],
+        transactionId: null,
+        error: null,
+        timing: { startedAt: new Date().toISOString(), finishedAt: null, durationMs: null, providerMs: 0 }
+    };
+
+    const parent = results[results.length - 1];
+    if (parent) {
+        parent.steps = parent.steps || [];
+        parent.steps.push(result);
+    }
+    results.push(result);
+    result.startTime = Date.now();
+
+    const store = isolation.getStore();
+    if (store && !store.result) {
+        store.result = result;
+    }
+    return result;
+}
+
+/**
+ * Record a provider call in the running command (and the chain running it)
+ * @param {Object} call - Call details
+ * @param {Object} call.provider - Provider instance
+ * @param {Object} call.stats - Prompt size from measurePrompt
+ * @param {string} [call.response] - Raw response
+ * @param {number} call.durationMs - Time spent waiting for the provider
+ * @param {boolean} [call.cached] - The response came from the cache; nothing was sent
+ */
+function recordCall({ provider, stats, response, durationMs, cached = false }) {
+    const results = activeResults();
+    results.forEach(result => {
+        result.provider = { name: provider.name, model: provider.model };
+        if (cached) {
+            result.cachedCalls++;
+            return;
+        }
+        result.promptSize.bytes += stats.bytes;
+        result.promptSize.estimatedTokens += stats.estimatedTokens;
+        result.calls++;
+        result.timing.providerMs += durationMs;
+    });
+    if (response !== undefined && results.length > 0) {
+        results[results.length - 1].response = response;
+    }
+}
+
+/**
+ * Add something the command produced (a file, a patch, a report) to the running result
+ * @param {Object} artifact - Artifact description, with at least a `type`
+ */
+function addArtifact(artifact) {
+    const results = activeResults();
+    if (results.length > 0) {
+        results[results.length - 1].artifacts.push(artifact);
+    }
+}
+
+/**
+ * Attach structured data (listings, reports) to the running result
+ * @param {Object} data - Data to include
+ */
+function setResultData(data) {
+    const results = activeResults();
+    if (results.length > 0) {
+        results[results.length - 1].data = data;
+    }
+}
+
+/**
+ * Record the files written by a committed backup transaction
+ * @param {Object} transaction - Transaction from BackupManager.commitTransaction
+ */
+function recordTransaction(transaction) {
+    const results = activeResults();
+    const result = results[results.length - 1];
+    if (!result || !transaction) {
+        return;
+    }
+    result.transactionId = transaction.id;
+    result.filesWritten = [...transaction.modified, ...transaction.created].map(file => file.filePath);
+    result.backupIds = transaction.modified.map(file => file.backupId).filter(Boolean);
+}
+
+/**
+ * Report an error: print it for people, record it in the running result and set
+ * the exit status. Cancellations and timeouts were already reported by the provider.
+ * @param {*} error - Error to report (anything thrown is accepted)
+ * @param {string} [context] - Prefix for the printed message, e.g. 'Error running template'
+ * @returns {DuqError} - The error as a DuqError
+ */
+function reportError(error, context) {
+    const results = activeResults();
+    const duqError = toDuqError(error);
+    const result = results[results.length - 1];
+    if (result && !result.error) {
+        result.error = duqError.toJSON();
+    }
+
+    if (duqError.code !== ERROR_CODES.CANCELLED && duqError.code !== ERROR_CODES.TIMEOUT) {
+        console.error(chalk.red(`${context || 'Error'}: ${duqError.message}`));
+    }
+    process.exitCode = duqError.exitCode;
+    return duqError;
+}
+
+/**
+ * Finish a command result; the outermost result is printed in JSON mode
+ * @param {Object} result - Result from beginResult
+ */
+function finishResult(result) {
+    const results = activeResults();
+    results.splice(results.lastIndexOf(result), 1);
+
+    const finishedAt = Date.now();
+    result.timing.finishedAt = new Date(finishedAt).toISOString();
+    result.timing.durationMs = finishedAt - result.startTime;
+    delete result.startTime;
+    if (result.status !== 'skipped') {
+        result.status = result.error || (results.length === 0 && process.exitCode) ? 'failed' : 'succeeded';
+    }
+
+    if (results.length === 0 && jsonMode) {
+        writeResult(JSON.stringify({ ...result, exitCode: process.exitCode || 0 }, null, 2) + '\n');
+    }
+}
+
+/**
+ * Record a step that did not run, e.g. because its pipeline condition was false
+ * @param {string} command - Command name
+ * @param {string|null} target - Target the step would have run on
+ * @param {string} reason - Why it was skipped
+ */
+function skipResult(command, target, reason) {
+    const result = beginResult(command, target);
+    result.status = 'skipped';
+    result.skipReason = reason;
+    finishResult(result);
+}
+
+/**
+ * The result of the step that finished last in the running command (a chain or pipeline)
+ * @returns {Object|null} - Step result, or null when no step has run
+ */
+function getLastStep() {
+    const results = activeResults();
+    const parent = results[results.length - 1];
+    return parent && parent.steps ? parent.steps[parent.steps.length - 1] : null;
+}
+
+/**
+ * Route writes to stdout and stderr made inside a capturing isolated run into its
+ * buffer. Such runs also see both streams as non-TTY, so nothing in them draws
+ * spinners, splash screens or interactive prompts into the buffer.
+ */
+function installCapture() {
+    if (captureInstalled) {
+        return;
+    }
+    captureInstalled = true;
+
+    const capturing = () => {
+        const store = isolation.getStore();
+        return Boolean(store && store.output);
+    };
+    for (const stream of [process.stdout, process.stderr]) {
+        const write = stream.write.bind(stream);
+        const isTTY = stream.isTTY;
+        stream.write = (chunk, encoding, callback) => {
+            if (!capturing()) {
+                return write(chunk, encoding, callback);
+            }
+            isolation.getStore().output.push(Buffer.isBuffer(chunk) ? chunk.toString(typeof encoding === 'string' ? encoding : 'utf8') : String(chunk));
+            const done = typeof encoding === 'function' ? encoding : callback;
+            if (done) {
+                process.nextTick(done);
+            }
+            return true;
+        };
+        Object.defineProperty(stream, 'isTTY', { configurable: true, get: () => (capturing() ? false : isTTY) });
+    }
+}
+
+/**
+ * Run a function with its own result stack, e.g. one file of a batch running next to
+ * others. Results it begins are still added to the `steps` of the running command.
+ * @param {Function} run - Async function to run
+ * @param {Object} [options] - Run options
+ * @param {boolean} [options.capture] - Hold back its console output instead of printing it
+ * @returns {Promise<Object>} - { error, result, output }: what the function threw, the first result it began and its held back output
+ */
+async function runIsolated(run, { capture = false } = {}) {
+    if (capture) {
+        installCapture();
+    }
+    const store = { results: [...activeResults()], output: capture ? [] : null, result: null };
+    let error = null;
+    try {
+        await isolation.run(store, run);
+    } catch (runError) {
+        error = runError;
+    }
+    return { error, result: store.result, output: capture ? store.output.join('') : '' };
+}
+
+/**
+ * Report an error that happened outside any command (configuration, usage)
+ * @param {*} error - Error to report
+ * @param {string|null} [command] - Command that was about to run, if known
+ */
+function reportFatal(error, command = null) {
+    const result = beginResult(command, null);
+    reportError(error);
+    finishResult(result);
+}
+
+module.exports = {
+    enableJsonMode,
+    isJsonMode,
+    hasActiveResult,
+    beginResult,
+    recordCall,
+    addArtifact,
+    setResultData,
+    recordTransaction,
+    reportError,
+    finishResult,
+    skipResult,
+    getLastStep,
+    runIsolated,
+    reportFatal
+};
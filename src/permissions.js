@@ -0,0 +1,145 @@
+/**
+ * Tool permission profiles for agent providers.
+ *
+ * Each command runs with the least access it needs instead of `--trust-all-tools`:
+ *   - none:         no tools at all
+ *   - read-only:    the agent may read files (explain, refactor, security, review, docstrings)
+ *   - write-output: only the command's declared output path is written (document, test).
+ *                   Agents that cannot be limited to that path (Amazon Q's fs_write
+ *                   reaches every file on the machine) get read access only, and duq
+ *                   writes the output from the response itself
+ *   - all:          every tool, including shell commands
+ *
+ * The profile for a command can be changed in the `permissions` config entry
+ * (e.g. { "test": "all" }) or for one run with the global `--trust <profile>` flag.
+ *
+ * @module permissions
+ */
+
+const { DuqError, ERROR_CODES } = require('./errors');
+
+const PROFILES = ['none', 'read-only', 'write-output', 'all'];
+
+const DEFAULT_COMMAND_PROFILES = {
+    explain: 'read-only',
+    refactor: 'read-only',
+    security: 'read-only',
+    review: 'read-only',
+    docstrings: 'read-only',
+    document: 'write-output',
+    test: 'write-output'
+};
+
+// Amazon Q CLI trust options for each profile. fs_write cannot be limited to one path,
+// so write-output does not trust it (see agentWritesFiles)
+const Q_TRUST_ARGS = {
+    none: ['--trust-tools='],
+    'read-only': ['--trust-tools=fs_read'],
+    'write-output': ['--trust-tools=fs_read'],
+    all: ['--trust-all-tools']
+};
+
+let override = null;
+let active = null;
+
+/**
+ * Check a profile name
+ * @param {string} profile - Profile name
+ * @param {string} source - Where the name came from, for the error message
+ * @returns {string} - The profile name
+ * @throws {DuqError} - When the profile does not exist
+ */
+function validateProfile(profile, source) {
+    if (!PROFILES.includes(profile)) {
+        throw new DuqError(source === '--trust' ? ERROR_CODES.USAGE : ERROR_CODES.CONFIG, `Unknown permission profile '${profile}' in ${source} (available: ${PROFILES.join(', ')})`);
+    }
+    return profile;
+}
+
+/**
+ * Use one profile for every command of this run (the --trust flag)
+ * @param {string|null} profile - Profile name, or null to clear the override
+ */
+function setTrustOverride(profile) {
+    override = profile ? validateProfile(profile, '--trust') : null;
+}
+
+/**
+ * Find the profile for a command
+ * @param {string} command - Command or template name
+ * @param {Object} configured - The `permissions` config entry (command name => profile)
+ * @param {string} [fallback] - Profile for commands without a default (e.g. templates)
+ * @returns {string} - Profile name
+ */
+function resolveProfile(command, configured = {}, fallback = 'read-only') {
+    if (override) {
+        return override;
+    }
+    if (configured && configured[command]) {
+        return validateProfile(configured[command], `the permissions config for '${command}'`);
+    }
+    return DEFAULT_COMMAND_PROFILES[command] || fallback;
+}
+
+/**
+ * Activate a profile for the provider calls made by the current command
+ * @param {string} command - Command name
+ * @param {string} profile - Profile name
+ * @returns {Object|null} - The previously active profile, to restore afterwards
+ */
+function activateProfile(command, profile) {
+    const previous = active;
+    active = { command, profile };
+    return previous;
+}
+
+/**
+ * Restore a previously active profile
+ * @param {Object|null} previous - Value returned by activateProfile
+ */
+function restoreProfile(previous) {
+    active = previous;
+}
+
+/**
+ * The profile active for the current command
+ * @returns {Object} - { command, profile }
+ */
+function getActiveProfile() {
+    return active || { command: null, profile: override || 'read-only' };
+}
+
+/**
+ * Whether a provider writes files itself under a profile. Under write-output only
+ * agents that confine their writes to the output path (`confinesWrites`) do; for the
+ * others duq writes the output from the response.
+ * @param {Object} provider - Provider instance
+ * @param {string} [profile] - Profile name (defaults to the active one)
+ * @returns {boolean} - True when the provider has file tools and may write with them
+ */
+function agentWritesFiles(provider, profile = getActiveProfile().profile) {
+    if (!provider.supportsTools) {
+        return false;
+    }
+    return profile === 'all' || (profile === 'write-output' && provider.confinesWrites === true);
+}
+
+/**
+ * Amazon Q CLI arguments for the active profile
+ * @returns {string[]} - Trust arguments for `q chat`
+ */
+function getQTrustArgs() {
+    return Q_TRUST_ARGS[getActiveProfile().profile];
+}
+
+module.exports = {
+    PROFILES,
+    DEFAULT_COMMAND_PROFILES,
+    setTrustOverride,
+    resolveProfile,
+    activateProfile,
+    restoreProfile,
+    getActiveProfile,
+    agentWritesFiles,
+    getQTrustArgs
+};
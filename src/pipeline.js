@@ -0,0 +1,332 @@
+/**
+ * Declarative pipelines for `duq run`.
+ *
+ * A pipeline file (YAML or JSON) lists steps; each step runs one command or template
+ * on a target with its own options and output path:
+ *
+ *   target: ./src
+ *   steps:
+ *     - id: scan
+ *       command: security
+ *       options: { output: reports/security.sarif }
+ *     - id: fix
+ *       command: refactor
+ *       target: ./src/db.js
+ *       if: scan.findings >= high
+ *       context: "Fix these security findings first:\n{{steps.scan.findings}}"
+ *       options: { apply: true, yes: true }
+ *       retries: 1
+ *       continueOnError: true
+ *
+ * `context` is added to the step's prompt, and `{{steps.<id>.output|response|findings|status}}`
+ * in it, in targets and in string options pass data from earlier steps. The whole
+ * pipeline is checked before the first step runs.
+ *
+ * @module pipeline
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const { DuqError, ERROR_CODES } = require('./errors');
+const { SEVERITIES, formatLocation } = require('./security-findings');
+
+// Target kind and accepted options of each built-in command
+const STEP_COMMANDS = {
+    document: { target: 'directory', options: ['output', 'dryRun', 'maxTokens', 'chunked'] },
+    explain: { target: 'file', options: [] },
+    refactor: { target: 'file', options: ['apply', 'yes', 'diffOnly', 'test'] },
+    test: { target: 'file', options: ['output'] },
+    docstrings: { target: 'file', options: ['yes', 'diffOnly', 'verify'] },
+    security: { target: 'any', options: ['output', 'format', 'failOn', 'baseline', 'updateBaseline', 'redact', 'dryRun', 'maxTokens', 'chunked'] }
+};
+
+// Options of user template steps
+const TEMPLATE_OPTIONS = ['output', 'yes', 'diffOnly', 'args'];
+
+const STEP_KEYS = ['id', 'command', 'target', 'options', 'context', 'if', 'retries', 'continueOnError'];
+
+const CONDITION = /^([\w-]+)\.(status|findings|findings\.count|filesWritten\.count)\s*(==|!=|>=|<=|>|<)\s*(\S+)$/;
+const REFERENCE = /\{\{\s*steps\.([\w-]+)\.(output|response|findings|status)\s*\}\}/g;
+
+/**
+ * Parse a step condition such as "scan.findings >= high" or "scan.status == failed"
+ * @param {string} text - Condition
+ * @returns {Object} - { text, step, field, operator, value }
+ * @throws {Error} - When the condition cannot be parsed
+ */
+function parseCondition(text) {
+    const match = CONDITION.exec(String(text).trim());
+    if (!match) {
+        throw new Error(`Invalid condition '${text}' (expected e.g. "scan.findings >= high" or "scan.status == failed")`);
+    }
+    const [, step, field, operator, value] = match;
+
+    if (field === 'status' && !['==', '!='].includes(operator)) {
+        throw new Error(`Invalid condition '${text}': status can only be compared with == or !=`);
+    }
+    if (field === 'findings' && (!['>=', '>', '=='].includes(operator) || !SEVERITIES.includes(value.toLowerCase()))) {
+        throw new Error(`Invalid condition '${text}': compare findings with >=, > or == and a severity (${SEVERITIES.join(', ')})`);
+    }
+    if (field.endsWith('.count') && !/^\d+$/.test(value)) {
+        throw new Error(`Invalid condition '${text}': ${field} is compared with a number`);
+    }
+    return { text: String(text).trim(), step, field, operator, value: field === 'findings' ? value.toLowerCase() : value };
+}
+
+/**
+ * Compare two numbers
+ * @param {number} left - Left side
+ * @param {string} operator - Comparison operator
+ * @param {number} right - Right side
+ * @returns {boolean} - Result
+ */
+function compare(left, operator, right) {
+    switch (operator) {
+        case '==': return left === right;
+        case '!=': return left !== right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '<': return left < right;
+        default: return left <= right;
+    }
+}
+
+/**
+ * Evaluate a parsed condition against the steps run so far
+ * @param {Object} condition - Condition from parseCondition
+ * @param {Object} steps - Step summaries by ID (from summarizeStep)
+ * @returns {boolean} - Whether the condition holds
+ */
+function evaluateCondition(condition, steps) {
+    const step = steps[condition.step] || { status: 'skipped', findings: [], filesWritten: [] };
+
+    if (condition.field === 'status') {
+        return compare(step.status, condition.operator, condition.value);
+    }
+    if (condition.field === 'findings') {
+        // "findings >= high": at least one finding that severe
+        const threshold = SEVERITIES.indexOf(condition.value);
+        return step.findings.some(finding => {
+            const rank = SEVERITIES.indexOf(finding.severity);
+            return condition.operator === '==' ? rank === threshold : (condition.operator === '>' ? rank < threshold : rank <= threshold);
+        });
+    }
+    const list = condition.field === 'findings.count' ? step.findings : step.filesWritten;
+    return compare(list.length, condition.operator, Number(condition.value));
+}
+
+/**
+ * Summarize the result of a step for conditions and later steps
+ * @param {Object|null} result - Command result collected by the output module
+ * @param {string} [status] - Status to use instead of the result's (e.g. 'skipped')
+ * @returns {Object} - { status, output, response, findings, filesWritten }
+ */
+function summarizeStep(result, status) {
+    if (!result) {
+        return { status: status || 'skipped', output: null, response: null, findings: [], filesWritten: [] };
+    }
+    const withPath = result.artifacts.find(artifact => artifact.path && ['file', 'report', 'patch', 'agent-changes'].includes(artifact.type));
+    return {
+        status: status || result.status,
+        output: withPath ? withPath.path : (result.filesWritten[0] || null),
+        response: result.response,
+        findings: (result.data && result.data.findings) || [],
+        filesWritten: result.filesWritten
+    };
+}
+
+/**
+ * Replace {{steps.<id>.<field>}} references with values from earlier steps
+ * @param {string} text - Text with references
+ * @param {Object} steps - Step summaries by ID
+ * @returns {string} - Text with the values filled in
+ */
+function interpolate(text, steps) {
+    return text.replace(REFERENCE, (reference, id, field) => {
+        const step = steps[id];
+        if (!step) {
+            return '';
+        }
+        if (field === 'findings') {
+            return step.findings.length === 0
+                ? 'No findings.'
+                : step.findings.map(finding => `- [${finding.severity}] ${finding.ruleId} at ${formatLocation(finding)}: ${finding.title}` +
+                    (finding.fix ? ` Fix: ${finding.fix}` : '')).join('\n');
+        }
+        return step[field] === null || step[field] === undefined ? '' : String(step[field]);
+    });
+}
+
+/**
+ * Step IDs referenced by a text
+ * @param {string} text - Text with references
+ * @returns {string[]} - Referenced IDs
+ */
+function referencedSteps(text) {
+    return [...String(text).matchAll(REFERENCE)].map(match => match[1]);
+}
+
+/**
+ * Check a pipeline before it runs: commands, options, targets, conditions and references
+ * @param {Object} definition - Parsed pipeline (target, continueOnError, steps)
+ * @param {Object} options - Validation options
+ * @param {string} options.baseDir - Directory relative paths are resolved from
+ * @param {string} [options.target] - Target given on the command line, replacing the pipeline's
+ * @param {Function} options.getTemplate - Looks up a user template by name
+ * @param {string} [options.source] - Pipeline name for error messages
+ * @returns {Object} - Normalized pipeline: { baseDir, target, continueOnError, steps }
+ * @throws {DuqError} - E_USAGE listing every problem found
+ */
+function validatePipeline(definition, { baseDir, target, getTemplate, source = 'pipeline' }) {
+    const problems = [];
+    if (!definition || typeof definition !== 'object' || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid ${source}: expected a "steps" list`);
+    }
+
+    const pipelineTarget = target ? path.resolve(target) : (definition.target ? path.resolve(baseDir, String(definition.target)) : null);
+    const steps = [];
+    const ids = new Set();
+    const outputs = new Set();
+
+    definition.steps.forEach((raw, index) => {
+        const label = `step ${index + 1}`;
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            problems.push(`${label}: expected an object with a "command"`);
+            return;
+        }
+        Object.keys(raw).filter(key => !STEP_KEYS.includes(key)).forEach(key => problems.push(`${label}: unknown key '${key}'`));
+
+        const command = String(raw.command || '');
+        const template = STEP_COMMANDS[command] ? null : getTemplate(command);
+        const spec = STEP_COMMANDS[command] || (template && { target: template.target, options: TEMPLATE_OPTIONS });
+        if (!spec) {
+            problems.push(`${label}: unknown command '${command}'`);
+        }
+
+        let id = raw.id ? String(raw.id) : command;
+        if (!raw.id) {
+            // Repeated commands get numbered IDs: document, document-2, ...
+            for (let n = 2; ids.has(id); n++) {
+                id = `${command}-${n}`;
+            }
+        }
+        if (!/^[\w-]+$/.test(id)) {
+            problems.push(`${label}: invalid id '${id}' (use letters, digits, - and _)`);
+        } else if (ids.has(id)) {
+            problems.push(`${label}: duplicate id '${id}'`);
+        }
+        const earlier = new Set(ids);
+        ids.add(id);
+        const stepLabel = `step '${id}'`;
+
+        // Data can only come from steps that ran before
+        const checkReferences = (text, where) => referencedSteps(text).forEach(ref => {
+            if (!earlier.has(ref)) {
+                problems.push(`${stepLabel}: ${where} refers to '${ref}', which is not an earlier step`);
+            }
+        });
+
+        const stepOptions = raw.options === undefined || raw.options === null ? {} : raw.options;
+        if (typeof stepOptions !== 'object' || Array.isArray(stepOptions)) {
+            problems.push(`${stepLabel}: options must be an object`);
+        } else if (spec) {
+            Object.keys(stepOptions).filter(key => !spec.options.includes(key)).forEach(key =>
+                problems.push(`${stepLabel}: '${command}' has no option '${key}' (available: ${spec.options.join(', ') || 'none'})`));
+            Object.entries(stepOptions).filter(([, value]) => typeof value === 'string').forEach(([key, value]) => checkReferences(value, `option '${key}'`));
+        }
+
+        let stepTarget = null;
+        if (raw.target !== undefined) {
+            checkReferences(String(raw.target), 'target');
+            stepTarget = referencedSteps(String(raw.target)).length > 0 ? String(raw.target) : path.resolve(baseDir, String(raw.target));
+        } else if (pipelineTarget) {
+            stepTarget = pipelineTarget;
+        } else {
+            problems.push(`${stepLabel}: no target (set "target" on the step or the pipeline)`);
+        }
+
+        // Targets that are written by an earlier step may not exist yet
+        if (spec && stepTarget && path.isAbsolute(stepTarget) && !outputs.has(stepTarget)) {
+            if (!fs.existsSync(stepTarget)) {
+                problems.push(`${stepLabel}: target not found: ${stepTarget}`);
+            } else if (spec.target !== 'any' && (spec.target === 'directory') !== fs.statSync(stepTarget).isDirectory()) {
+                problems.push(`${stepLabel}: '${command}' needs a ${spec.target}, but ${stepTarget} is a ${spec.target === 'directory' ? 'file' : 'directory'}`);
+            }
+        }
+
+        if (raw.context !== undefined) {
+            checkReferences(String(raw.context), 'context');
+        }
+
+        const conditions = [];
+        const conditionTexts = raw.if === undefined ? [] : (Array.isArray(raw.if) ? raw.if : String(raw.if).split(/\s+and\s+/));
+        for (const text of conditionTexts) {
+            try {
+                const condition = parseCondition(text);
+                if (!earlier.has(condition.step)) {
+                    problems.push(`${stepLabel}: condition '${condition.text}' refers to '${condition.step}', which is not an earlier step`);
+                }
+                conditions.push(condition);
+            } catch (error) {
+                problems.push(`${stepLabel}: ${error.message}`);
+            }
+        }
+
+        const retries = raw.retries === undefined ? 0 : Number(raw.retries);
+        if (!Number.isInteger(retries) || retries < 0) {
+            problems.push(`${stepLabel}: retries must be a non-negative integer`);
+        }
+
+        const resolvedOptions = { ...stepOptions };
+        if (typeof resolvedOptions.output === 'string' && referencedSteps(resolvedOptions.output).length === 0) {
+            resolvedOptions.output = path.resolve(baseDir, resolvedOptions.output);
+            outputs.add(resolvedOptions.output);
+        }
+
+        steps.push({
+            id,
+            command,
+            template: Boolean(template),
+            target: stepTarget,
+            options: resolvedOptions,
+            context: raw.context !== undefined ? String(raw.context) : null,
+            conditions,
+            retries,
+            continueOnError: raw.continueOnError !== undefined ? Boolean(raw.continueOnError) : Boolean(definition.continueOnError)
+        });
+    });
+
+    if (problems.length > 0) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid ${source}:\n  - ${problems.join('\n  - ')}`, { problems });
+    }
+    return { baseDir, target: pipelineTarget, continueOnError: Boolean(definition.continueOnError), steps };
+}
+
+/**
+ * Read a pipeline file
+ * @param {string} filePath - YAML or JSON file
+ * @returns {Object} - Parsed definition
+ * @throws {DuqError} - When the file is missing or not valid YAML
+ */
+function readPipelineFile(filePath) {
+    const absolutePath = path.resolve(filePath);
+    if (!fs.existsSync(absolutePath)) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `Pipeline not found: ${absolutePath}`, { path: absolutePath });
+    }
+    try {
+        return yaml.load(fs.readFileSync(absolutePath, 'utf8'));
+    } catch (error) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid pipeline ${absolutePath}: ${error.message}`, { path: absolutePath });
+    }
+}
+
+module.exports = {
+    STEP_COMMANDS,
+    parseCondition,
+    evaluateCondition,
+    summarizeStep,
+    interpolate,
+    validatePipeline,
+    readPipelineFile
+};
@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+/**
+ * Supported ways of handing a prompt to the Amazon Q CLI.
+ * - stdin: the full prompt is piped to the process
+ * - file:  the prompt is written to a private temp file that a short instruction points to
+ */
+const DELIVERY_METHODS = ['stdin', 'file'];
+
+/**
+ * Rough number of characters per token used for estimates
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * @param {string} text - The text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Measure a prompt exactly as it will be sent
+ * @param {string} prompt - The prompt text
+ * @returns {Object} - Byte length, estimated tokens and line count
+ */
+function measurePrompt(prompt) {
+    return {
+        bytes: Buffer.byteLength(prompt, 'utf8'),
+        estimatedTokens: estimateTokens(prompt),
+        lines: prompt.split('\n').length
+    };
+}
+
+/**
+ * Format prompt statistics for display
+ * @param {Object} stats - Statistics returned by measurePrompt
+ * @returns {string} - Human readable summary
+ */
+function formatPromptStats(stats) {
+    return `${stats.bytes.toLocaleString('en-US')} bytes (~${stats.estimatedTokens.toLocaleString('en-US')} tokens)`;
+}
+
+/**
+ * Resolve which delivery method to use
+ * @param {string} method - Requested method (falls back to DUQ_PROMPT_DELIVERY, then stdin)
+ * @returns {string} - A valid delivery method
+ */
+function resolveDeliveryMethod(method) {
+    const requested = method || process.env.DUQ_PROMPT_DELIVERY || 'stdin';
+    if (!DELIVERY_METHODS.includes(requested)) {
+        throw new DuqError(ERROR_CODES.CONFIG, `Unknown prompt delivery method '${requested}' (expected one of: ${DELIVERY_METHODS.join(', ')})`);
+    }
+    return requested;
+}
+
+/**
+ * Prepare a prompt for delivery to the Amazon Q CLI without truncating it
+ * @param {string} prompt - The full prompt
+ * @param {string} method - Delivery method ('stdin' or 'file')
+ * @returns {Object} - Extra CLI arguments, stdin input, statistics and a cleanup function
+ */
+function preparePromptDelivery(prompt, method) {
+    const resolvedMethod = resolveDeliveryMethod(method);
+    const stats = measurePrompt(prompt);
+
+    if (resolvedMethod === 'file') {
+        const promptFile = path.join(os.tmpdir(), `duq-prompt-${crypto.randomBytes(8).toString('hex')}.md`);
+
+        // Only the current user should be able to read the prompt, it may contain source code
+        fs.writeFileSync(promptFile, prompt, { encoding: 'utf8', mode: 0o600 });
+
+        return {
+            method: resolvedMethod,
+            args: [`Read the file ${promptFile} in full and follow the instructions it contains exactly. Treat its entire contents as my prompt.`],
+            input: undefined,
+            stats,
+            cleanup: () => {
+                try {
+                    fs.removeSync(promptFile);
+                } catch (e) {
+                    // Ignore errors when removing the temp file
+                }
+            }
+        };
+    }
+
+    return {
+        method: resolvedMethod,
+        args: [],
+        input: prompt,
+        stats,
+        cleanup: () => {}
+    };
+}
+
+module.exports = {
+    DELIVERY_METHODS,
+    estimateTokens,
+    measurePrompt,
+    formatPromptStats,
+    resolveDeliveryMethod,
+    preparePromptDelivery
+};
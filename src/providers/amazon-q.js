@@ -0,0 +1,42 @@
+const { callAmazonQ, checkQCliInstalled } = require('../amazon-q');
+const { getQTrustArgs, getActiveProfile } = require('../permissions');
+const { parseTimeout } = require('../interrupt');
+const { resolveDeliveryMethod } = require('../prompt-delivery');
+const { DuqError, ERROR_CODES } = require('../errors');
+
+/**
+ * Create a provider backed by the Amazon Q CLI (`q chat`)
+ * @param {Object} options - Provider options
+ * @param {string} [options.delivery] - Prompt delivery method ('stdin' or 'file')
+ * @param {number} [options.timeout] - Seconds before a call is stopped
+ * @returns {Object} - Provider instance
+ */
+function createAmazonQProvider(options = {}) {
+    return {
+        name: 'amazon-q',
+        model: 'amazon-q',
+        // Amazon Q runs as an agent and can read and write files itself,
+        // limited to the tools of the active permission profile
+        supportsTools: true,
+        // fs_write cannot be limited to a path, so write-output runs it read-only
+        confinesWrites: false,
+        isAvailable: () => checkQCliInstalled(),
+        complete: async (prompt, callOptions = {}) => {
+            const { command, profile } = getActiveProfile();
+            // With file delivery Amazon Q has to read the prompt file, which needs fs_read
+            if (profile === 'none' && resolveDeliveryMethod(options.delivery) === 'file') {
+                throw new DuqError(ERROR_CODES.CONFIG,
+                    `The '${command || 'current'}' command runs with the 'none' permission profile, which cannot read a prompt delivered as a file; use provider.delivery 'stdin' or another profile`,
+                    { provider: 'amazon-q' });
+            }
+            return callAmazonQ(prompt, {
+                delivery: options.delivery,
+                trustArgs: getQTrustArgs(),
+                timeout: parseTimeout(options.timeout),
+                onToken: callOptions.onToken
+            });
+        }
+    };
+}
+
+module.exports = createAmazonQProvider;
@@ -0,0 +1,206 @@
+/**
+ * LLM provider registry.
+ * Commands call `complete` from here instead of talking to a backend directly;
+ * the active provider is chosen once per run from the --provider flag or DUQ_PROVIDER.
+ *
+ * Every provider exposes the same shape:
+ *   { name, model, supportsTools, confinesWrites, cacheable, isAvailable(), complete(prompt, { onToken }) }
+ * Providers that can stream call onToken with each piece of the response as it arrives.
+ * When redaction is on, secrets are replaced by placeholders before the prompt is sent.
+ * Responses are cached per command or template (see the response-cache module), except
+ * for providers with `cacheable: false` and agents that may write files.
+ *
+ * @module providers
+ */
+
+const createAmazonQProvider = require('./amazon-q');
+const createOpenAIProvider = require('./openai');
+const createMockProvider = require('./mock');
+const { measurePrompt } = require('../prompt-delivery');
+const { recordCall } = require('../output');
+const { DuqError, ERROR_CODES } = require('../errors');
+const { redactSecrets, restoreSecrets } = require('../secret-scanner');
+const { getActiveProfile, agentWritesFiles } = require('../permissions');
+const { isCacheEnabled, readCachedResponse, writeCachedResponse } = require('../response-cache');
+const chalk = require('chalk');
+
+const DEFAULT_PROVIDER = 'amazon-q';
+
+const factories = {
+    'amazon-q': createAmazonQProvider,
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+// Common alternative spellings
+const aliases = {
+    q: 'amazon-q',
+    amazonq: 'amazon-q',
+    'openai-compatible': 'openai',
+    ollama: 'openai',
+    'llama.cpp': 'openai',
+    fixture: 'mock'
+};
+
+let activeProvider = null;
+let redaction = { enabled: false, restore: true };
+
+/**
+ * Names of all available providers
+ * @returns {string[]} - Provider names
+ */
+function listProviders() {
+    return Object.keys(factories);
+}
+
+/**
+ * Create a provider instance by name
+ * @param {string} name - Provider name or alias
+ * @param {Object} options - Provider specific options
+ * @returns {Object} - Provider instance
+ */
+function createProvider(name = DEFAULT_PROVIDER, options = {}) {
+    const resolvedName = aliases[name] || name;
+    const factory = factories[resolvedName];
+
+    if (!factory) {
+        throw new DuqError(ERROR_CODES.CONFIG, `Unknown provider '${name}' (available: ${listProviders().join(', ')})`);
+    }
+
+    return factory(options);
+}
+
+/**
+ * Select the provider used by subsequent calls to `complete`
+ * @param {Object} options - Provider options
+ * @param {string} [options.name] - Provider name (defaults to DUQ_PROVIDER, then amazon-q)
+ * @returns {Object} - The active provider
+ */
+function configureProvider(options = {}) {
+    const { name, ...providerOptions } = options;
+    activeProvider = createProvider(name || process.env.DUQ_PROVIDER || DEFAULT_PROVIDER, providerOptions);
+    return activeProvider;
+}
+
+/**
+ * Get the active provider, configuring the default one if necessary
+ * @returns {Object} - The active provider
+ */
+function getActiveProvider() {
+    if (!activeProvider) {
+        configureProvider();
+    }
+    return activeProvider;
+}
+
+/**
+ * Turn secret redaction on or off for subsequent calls to `complete`
+ * @param {Object} settings - Redaction settings
+ * @param {boolean} settings.enabled - Replace secrets in prompts with placeholders
+ * @param {boolean} [settings.restore] - Put the secrets back into responses (default true), so
+ *   rewritten files keep their real values; reports leave the placeholders in
+ * @returns {Object} - The previous settings, to restore afterwards
+ */
+function setRedaction({ enabled, restore = true }) {
+    const previous = redaction;
+    redaction = { enabled: Boolean(enabled), restore };
+    return previous;
+}
+
+/**
+ * What a call is cached under, if it may be cached at all
+ * @param {Object} provider - Active provider
+ * @param {string} prompt - Prompt as sent, after redaction
+ * @returns {Object|null} - Identity for the response cache, or null
+ */
+function cacheIdentity(provider, prompt) {
+    const { command, profile } = getActiveProfile();
+    // Replaying the response of an agent that writes files would not write the files again
+    if (!command || provider.cacheable === false || agentWritesFiles(provider, profile) || !isCacheEnabled()) {
+        return null;
+    }
+    return { template: command, prompt, provider: provider.name, model: provider.model };
+}
+
+/**
+ * Describe how long ago a time was
+ * @param {string} time - ISO timestamp
+ * @returns {string} - E.g. '5 minutes ago'
+ */
+function timeAgo(time) {
+    const seconds = Math.max(0, Math.round((Date.now() - Date.parse(time)) / 1000));
+    const [amount, unit] = seconds < 60 ? [seconds, 'second'] : seconds < 3600 ? [Math.floor(seconds / 60), 'minute']
+        : seconds < 86400 ? [Math.floor(seconds / 3600), 'hour'] : [Math.floor(seconds / 86400), 'day'];
+    return `${amount} ${unit}${amount === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Send a prompt to the active provider
+ * @param {string} prompt - The prompt to send
+ * @param {Object} [options] - Call options
+ * @param {Function} [options.onToken] - Called with each piece of the response as it arrives.
+ *   Providers that cannot stream deliver their whole response in one call.
+ * @returns {Promise<string>} - The provider's response
+ */
+async function complete(prompt, options = {}) {
+    const provider = getActiveProvider();
+    const { text, secrets } = redaction.enabled ? redactSecrets(prompt) : { text: prompt, secrets: [] };
+    const restore = (response) => (response && redaction.restore ? restoreSecrets(response, secrets) : response);
+
+    // The prompt as sent and the raw response are cached, so redacted secrets are not stored
+    const identity = cacheIdentity(provider, text);
+    const cached = identity ? readCachedResponse(identity) : null;
+    if (cached) {
+        console.log(chalk.yellow(`[cached] Response from ${timeAgo(cached.createdAt)}, not a new ${provider.name} call (use --no-cache for a fresh one)`));
+        const response = restore(cached.response);
+        recordCall({ provider, response, durationMs: 0, cached: true });
+        if (options.onToken) {
+            options.onToken(response);
+        }
+        return response;
+    }
+
+    if (secrets.length > 0) {
+        console.log(chalk.gray(`Redacted ${secrets.length} secret(s) from the prompt`));
+    }
+    const stats = measurePrompt(text);
+    const startTime = Date.now();
+
+    let streamed = false;
+    let raw;
+    let response;
+    try {
+        raw = await provider.complete(text, options.onToken ? {
+            ...options,
+            onToken: (token) => {
+                streamed = true;
+                options.onToken(token);
+            }
+        } : {});
+        response = restore(raw);
+    } finally {
+        recordCall({ provider, stats, response, durationMs: Date.now() - startTime });
+    }
+
+    if (identity && raw) {
+        try {
+            writeCachedResponse(identity, raw);
+        } catch (error) {
+            console.log(chalk.gray(`Could not cache the response: ${error.message}`));
+        }
+    }
+    if (options.onToken && !streamed && response) {
+        options.onToken(response);
+    }
+    return response;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    listProviders,
+    createProvider,
+    configureProvider,
+    getActiveProvider,
+    setRedaction,
+    complete
+};
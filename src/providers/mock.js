@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Build the default deterministic response for a prompt.
+ * If the prompt carries file content, it is echoed back unchanged in a fenced block
+ * so that file-modifying commands can be exercised end to end.
+ * @param {string} prompt - The prompt text
+ * @param {string} hash - SHA-256 of the prompt
+ * @returns {string} - Mock response
+ */
+function defaultResponse(prompt, hash) {
+    let response = `Mock response for prompt ${hash.slice(0, 12)} (${Buffer.byteLength(prompt, 'utf8')} bytes).\n`;
+
+    const marker = '\n\nFile content:\n';
+    const index = prompt.indexOf(marker);
+    if (index !== -1) {
+        response += '\n```\n' + prompt.slice(index + marker.length) + '\n```\n';
+    }
+
+    return response;
+}
+
+/**
+ * Create a deterministic provider for tests and offline use.
+ * Responses are looked up in the fixtures directory by prompt hash
+ * (`<sha256>.md`), then `default.md`, before falling back to a built-in echo.
+ * @param {Object} options - Provider options
+ * @param {string} [options.fixtures] - Directory containing recorded responses
+ * @param {string} [options.response] - File whose content is always returned
+ * @returns {Object} - Provider instance
+ */
+function createMockProvider(options = {}) {
+    const fixturesDir = options.fixtures || process.env.DUQ_MOCK_FIXTURES;
+    const responseFile = options.response || process.env.DUQ_MOCK_RESPONSE;
+
+    return {
+        name: 'mock',
+        model: 'mock',
+        supportsTools: false,
+        // Fixture responses change without the prompt changing
+        cacheable: false,
+        isAvailable: () => true,
+        complete: async (prompt) => {
+            const hash = crypto.createHash('sha256').update(prompt).digest('hex');
+
+            if (responseFile) {
+                return fs.readFileSync(path.resolve(responseFile), 'utf8');
+            }
+
+            if (fixturesDir) {
+                const candidates = [`${hash}.md`, 'default.md'].map(name => path.resolve(fixturesDir, name));
+                const fixture = candidates.find(candidate => fs.existsSync(candidate));
+                if (fixture) {
+                    return fs.readFileSync(fixture, 'utf8');
+                }
+            }
+
+            return defaultResponse(prompt, hash);
+        }
+    };
+}
+
+module.exports = createMockProvider;
@@ -0,0 +1,193 @@
+const http = require('http');
+const https = require('https');
+const chalk = require('chalk');
+const ora = require('ora');
+const { measurePrompt, formatPromptStats } = require('../prompt-delivery');
+const { watchCall, isStopped, parseTimeout } = require('../interrupt');
+const { DuqError, ERROR_CODES } = require('../errors');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3';
+
+/**
+ * Read the text of a chat completion chunk or response
+ * @param {Object} data - Parsed chunk (streaming) or response (non-streaming)
+ * @returns {string} - The text it carries
+ */
+function choiceText(data) {
+    const choice = data && data.choices && data.choices[0];
+    if (!choice) {
+        return '';
+    }
+    if (choice.delta) {
+        return choice.delta.content || '';
+    }
+    return choice.message ? choice.message.content || '' : '';
+}
+
+/**
+ * Send a chat completions request and stream the answer. Servers that answer with
+ * server-sent events are read chunk by chunk; servers that ignore `stream: true`
+ * and send one JSON response are handled too.
+ * @param {string} url - Full request URL
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra request headers
+ * @param {Function} onText - Called with each piece of text as it arrives
+ * @returns {Object} - { done: Promise<string> with the whole answer, abort(error) }
+ */
+function postChatStream(url, body, headers, onText) {
+    let request;
+    const done = new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const payload = JSON.stringify(body);
+
+        request = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                Accept: 'text/event-stream',
+                ...headers
+            }
+        }, (response) => {
+            const isEventStream = /text\/event-stream/.test(response.headers['content-type'] || '');
+            let text = '';
+            let buffer = '';
+
+            // Server-sent events: "data: {json}" lines, terminated by "data: [DONE]"
+            const handleLine = (line) => {
+                if (!line.startsWith('data:')) {
+                    return;
+                }
+                const data = line.slice(5).trim();
+                if (!data || data === '[DONE]') {
+                    return;
+                }
+                try {
+                    const piece = choiceText(JSON.parse(data));
+                    if (piece) {
+                        text += piece;
+                        onText(piece);
+                    }
+                } catch (error) {
+                    // Ignore keep-alive comments and malformed events
+                }
+            };
+
+            response.setEncoding('utf8');
+            response.on('data', (chunk) => {
+                buffer += chunk;
+                if (isEventStream && response.statusCode >= 200 && response.statusCode < 300) {
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    lines.forEach(line => handleLine(line.trim()));
+                }
+            });
+            response.on('end', () => {
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    reject(new Error(`HTTP ${response.statusCode}: ${buffer.slice(0, 500)}`));
+                    return;
+                }
+                if (isEventStream) {
+                    handleLine(buffer.trim());
+                    resolve(text);
+                    return;
+                }
+                try {
+                    text = choiceText(JSON.parse(buffer));
+                } catch (error) {
+                    reject(new Error(`Invalid JSON response: ${error.message}`));
+                    return;
+                }
+                if (text) {
+                    onText(text);
+                }
+                resolve(text);
+            });
+        });
+
+        request.on('error', reject);
+        request.write(payload);
+        request.end();
+    });
+
+    return {
+        done,
+        abort: (error) => request.destroy(error)
+    };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, llama.cpp server, Ollama, vLLM, LM Studio, ...)
+ * @param {Object} options - Provider options
+ * @param {string} [options.baseUrl] - Base URL of the API, e.g. http://localhost:11434/v1
+ * @param {string} [options.model] - Model name to request
+ * @param {string} [options.apiKey] - Optional bearer token
+ * @param {number} [options.timeout] - Seconds before a call is stopped
+ * @returns {Object} - Provider instance
+ */
+function createOpenAIProvider(options = {}) {
+    const baseUrl = (options.baseUrl || process.env.DUQ_OPENAI_BASE_URL || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const model = options.model || process.env.DUQ_MODEL || DEFAULT_MODEL;
+    const apiKey = options.apiKey || process.env.DUQ_API_KEY || process.env.OPENAI_API_KEY;
+
+    return {
+        name: 'openai',
+        model,
+        // Plain chat completions cannot touch the file system, duq writes any output itself
+        supportsTools: false,
+        isAvailable: () => true,
+        complete: async (prompt, callOptions = {}) => {
+            const stats = measurePrompt(prompt);
+            const spinner = ora(`Waiting for ${model} at ${baseUrl}...`).start();
+            let started = false;
+
+            const call = postChatStream(`${baseUrl}/chat/completions`, {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                stream: true
+            }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, (text) => {
+                if (!started) {
+                    started = true;
+                    if (callOptions.onToken) {
+                        spinner.stop();
+                        console.log(chalk.gray(`Prompt sent via HTTP: ${formatPromptStats(stats)}`));
+                        console.log(chalk.green(`${model} Output:`));
+                    }
+                }
+                if (callOptions.onToken) {
+                    callOptions.onToken(text);
+                }
+            });
+            const stopWatching = watchCall({ timeout: parseTimeout(options.timeout), cancel: call.abort });
+
+            try {
+                const output = await call.done;
+
+                if (!started || !callOptions.onToken) {
+                    spinner.succeed(`Response generated successfully! ${model} Output:`);
+                    console.log(chalk.gray(`Prompt sent via HTTP: ${formatPromptStats(stats)}`));
+                }
+
+                return output;
+            } catch (error) {
+                if (isStopped(error)) {
+                    spinner.stop();
+                    console.error(chalk.red(`\n✗ ${error.message}`));
+                    throw error;
+                }
+                spinner.fail('Failed to generate response');
+
+                throw new DuqError(ERROR_CODES.PROVIDER,
+                    `Unable to get a response from ${baseUrl}: ${error.message}. Please check that the server is running and that the model '${model}' is available.`,
+                    { provider: 'openai', baseUrl, model });
+            } finally {
+                stopWatching();
+            }
+        }
+    };
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,282 @@
+/**
+ * On-disk cache of provider responses.
+ *
+ * A response is stored under a key made of the template name, the template version,
+ * a hash of the prompt (which holds the file contents), the provider and the model, so
+ * running the same command on an unchanged file returns the stored response instead
+ * of calling the provider again. Entries live in ~/.duq/cache/ (`cache.dir`) and
+ * expire after `cache.ttl`. The global --no-cache flag or `cache.enabled: false`
+ * turns the cache off.
+ *
+ * @module response-cache
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { getConfig, expandHome } = require('./config');
+const { getTemplate } = require('./template-loader');
+const { DuqError, ERROR_CODES } = require('./errors');
+const { version } = require('../package.json');
+
+const ENTRY_VERSION = 1;
+
+const TTL_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/**
+ * SHA-256 of a text
+ * @param {string} text - Text to hash
+ * @returns {string} - Hex digest
+ */
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Whether responses are cached in this run
+ * @returns {boolean} - False with --no-cache or cache.enabled: false
+ */
+function isCacheEnabled() {
+    return getConfig().cache.enabled !== false;
+}
+
+/**
+ * Directory the cache entries are stored in
+ * @returns {string} - Absolute path
+ */
+function cacheDir() {
+    return path.resolve(expandHome(getConfig().cache.dir));
+}
+
+/**
+ * Parse the time entries are kept
+ * @param {string|number|null} value - Seconds, or a number with s, m, h or d (e.g. "12h", "7d"); 0 or null to keep entries forever
+ * @returns {number|null} - Seconds, or null for no expiry
+ * @throws {DuqError} - When the value is not a duration
+ */
+function parseTtl(value) {
+    if (value === null || value === undefined || value === 0 || value === '0') {
+        return null;
+    }
+    const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(String(value).trim());
+    if (!match) {
+        throw new DuqError(ERROR_CODES.CONFIG, `Invalid cache.ttl '${value}' (expected seconds or a duration such as 12h or 7d)`);
+    }
+    return Number(match[1]) * TTL_UNITS[match[2] || 's'];
+}
+
+/**
+ * Version of a template: its `version` attribute, a hash of a user template or
+ * override, or the duq version for built-in prompts
+ * @param {string} name - Template or command name
+ * @returns {string} - Version
+ */
+function templateVersion(name) {
+    const template = getTemplate(name);
+    if (!template) {
+        return `duq-${version}`;
+    }
+    return template.version || `sha-${sha256(template.body).slice(0, 12)}`;
+}
+
+/**
+ * Key of a cached response
+ * @param {Object} identity - What the response was for
+ * @param {string} identity.template - Template or command name
+ * @param {string} identity.prompt - Prompt sent to the provider
+ * @param {string} identity.provider - Provider name
+ * @param {string|null} identity.model - Model name
+ * @returns {Object} - { key, templateVersion, promptHash }
+ */
+function cacheKey({ template, prompt, provider, model }) {
+    const promptHash = sha256(prompt);
+    const versionOfTemplate = templateVersion(template);
+    const key = sha256(JSON.stringify([ENTRY_VERSION, template, versionOfTemplate, promptHash, provider, model || null]));
+    return { key, templateVersion: versionOfTemplate, promptHash };
+}
+
+/**
+ * Path of a cache entry
+ * @param {string} key - Key from cacheKey
+ * @returns {string} - Absolute path
+ */
+function entryPath(key) {
+    return path.join(cacheDir(), key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Whether an entry is older than the TTL
+ * @param {Object} entry - Cache entry
+ * @param {number|null} ttl - Seconds from parseTtl
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {boolean} - True when the entry has expired
+ */
+function isExpired(entry, ttl, now = Date.now()) {
+    return ttl !== null && now - Date.parse(entry.createdAt) > ttl * 1000;
+}
+
+/**
+ * Write an entry atomically
+ * @param {string} filePath - Entry path
+ * @param {Object} entry - Entry
+ */
+function writeEntry(filePath, entry) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.outputFileSync(tempPath, JSON.stringify(entry, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Look up a cached response; expired entries are removed
+ * @param {Object} identity - See cacheKey
+ * @returns {Object|null} - Entry { response, createdAt, hits, ... }, or null on a miss
+ */
+function readCachedResponse(identity) {
+    const { key } = cacheKey(identity);
+    const filePath = entryPath(key);
+    let entry;
+    try {
+        entry = fs.readJsonSync(filePath);
+    } catch (error) {
+        return null;
+    }
+    if (!entry || entry.version !== ENTRY_VERSION || typeof entry.response !== 'string') {
+        return null;
+    }
+    if (isExpired(entry, parseTtl(getConfig().cache.ttl))) {
+        fs.removeSync(filePath);
+        return null;
+    }
+
+    const updated = { ...entry, hits: (entry.hits || 0) + 1, lastHitAt: new Date().toISOString() };
+    try {
+        writeEntry(filePath, updated);
+    } catch (error) {
+        // The hit counter is only used by `duq cache stats`
+    }
+    return updated;
+}
+
+/**
+ * Store a response
+ * @param {Object} identity - See cacheKey
+ * @param {string} response - Provider response
+ */
+function writeCachedResponse(identity, response) {
+    const { key, templateVersion: versionOfTemplate, promptHash } = cacheKey(identity);
+    writeEntry(entryPath(key), {
+        version: ENTRY_VERSION,
+        key,
+        template: identity.template,
+        templateVersion: versionOfTemplate,
+        promptHash,
+        provider: identity.provider,
+        model: identity.model || null,
+        createdAt: new Date().toISOString(),
+        hits: 0,
+        response
+    });
+}
+
+/**
+ * List the entry files of the cache
+ * @returns {string[]} - Absolute paths
+ */
+function entryFiles() {
+    const dir = cacheDir();
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    return fs.readdirSync(dir)
+        .filter(shard => /^[0-9a-f]{2}$/.test(shard))
+        .flatMap(shard => fs.readdirSync(path.join(dir, shard))
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.join(dir, shard, file)));
+}
+
+/**
+ * Summarize the cache
+ * @returns {Object} - { dir, enabled, ttl, entries, expired, bytes, hits, oldest, newest, templates, providers }
+ */
+function cacheStats() {
+    const ttl = parseTtl(getConfig().cache.ttl);
+    const stats = {
+        dir: cacheDir(),
+        enabled: isCacheEnabled(),
+        ttl,
+        entries: 0,
+        expired: 0,
+        bytes: 0,
+        hits: 0,
+        oldest: null,
+        newest: null,
+        templates: {},
+        providers: {}
+    };
+
+    for (const filePath of entryFiles()) {
+        let entry;
+        try {
+            entry = fs.readJsonSync(filePath);
+        } catch (error) {
+            continue;
+        }
+        stats.entries++;
+        stats.bytes += fs.statSync(filePath).size;
+        stats.hits += entry.hits || 0;
+        if (isExpired(entry, ttl)) {
+            stats.expired++;
+        }
+        if (!stats.oldest || entry.createdAt < stats.oldest) {
+            stats.oldest = entry.createdAt;
+        }
+        if (!stats.newest || entry.createdAt > stats.newest) {
+            stats.newest = entry.createdAt;
+        }
+        const provider = entry.model && entry.model !== entry.provider ? `${entry.provider} (${entry.model})` : entry.provider;
+        stats.templates[entry.template] = (stats.templates[entry.template] || 0) + 1;
+        stats.providers[provider] = (stats.providers[provider] || 0) + 1;
+    }
+    return stats;
+}
+
+/**
+ * Remove cache entries
+ * @param {Object} [options] - Clear options
+ * @param {boolean} [options.expired] - Only remove expired entries (and unreadable ones)
+ * @returns {Object} - { removed, bytes }
+ */
+function clearCache({ expired = false } = {}) {
+    const ttl = parseTtl(getConfig().cache.ttl);
+    let removed = 0;
+    let bytes = 0;
+
+    for (const filePath of entryFiles()) {
+        if (expired) {
+            let entry = null;
+            try {
+                entry = fs.readJsonSync(filePath);
+            } catch (error) {
+                // Unreadable entries are never served, so they go as well
+            }
+            if (entry && entry.version === ENTRY_VERSION && !isExpired(entry, ttl)) {
+                continue;
+            }
+        }
+        bytes += fs.statSync(filePath).size;
+        fs.removeSync(filePath);
+        removed++;
+    }
+    return { removed, bytes };
+}
+
+module.exports = {
+    isCacheEnabled,
+    parseTtl,
+    templateVersion,
+    cacheKey,
+    readCachedResponse,
+    writeCachedResponse,
+    cacheStats,
+    clearCache
+};
@@ -0,0 +1,334 @@
+/**
+ * Extract file content from model responses.
+ *
+ * Responses are split into Markdown fenced blocks (``` or ~~~, three or more
+ * characters, closed by a fence of the same kind that is at least as long). Fences
+ * with an info string inside a block open a nested block, so a README wrapped in
+ * ```markdown keeps its inner ```bash examples. The block that best matches the
+ * target file is chosen by language tag, filename hints and similarity to the
+ * original content. Responses that contain a unified diff instead of a whole file
+ * are applied to the original.
+ *
+ * @module response-parser
+ */
+
+const path = require('path');
+const { looksLikeUnifiedDiff, parseUnifiedDiff, applyPatch } = require('./diff');
+
+/**
+ * Fence language tags by file extension
+ */
+const LANGUAGE_TAGS = {
+    '.js': ['javascript', 'js', 'node', 'jsx', 'mjs', 'cjs'],
+    '.cjs': ['javascript', 'js', 'node', 'cjs'],
+    '.mjs': ['javascript', 'js', 'node', 'mjs'],
+    '.jsx': ['jsx', 'javascript', 'js'],
+    '.ts': ['typescript', 'ts'],
+    '.tsx': ['tsx', 'typescript', 'ts'],
+    '.py': ['python', 'py', 'python3'],
+    '.rb': ['ruby', 'rb'],
+    '.go': ['go', 'golang'],
+    '.rs': ['rust', 'rs'],
+    '.java': ['java'],
+    '.kt': ['kotlin', 'kt'],
+    '.php': ['php'],
+    '.c': ['c'],
+    '.h': ['c', 'h', 'cpp', 'c++'],
+    '.cpp': ['cpp', 'c++', 'cxx', 'cc'],
+    '.hpp': ['cpp', 'c++', 'hpp'],
+    '.cs': ['csharp', 'cs', 'c#'],
+    '.swift': ['swift'],
+    '.sh': ['bash', 'sh', 'shell', 'zsh'],
+    '.md': ['markdown', 'md'],
+    '.json': ['json'],
+    '.yaml': ['yaml', 'yml'],
+    '.yml': ['yaml', 'yml'],
+    '.html': ['html'],
+    '.css': ['css']
+};
+
+const DIFF_TAGS = ['diff', 'patch', 'udiff'];
+const PROSE_TAGS = ['', 'text', 'txt', 'plaintext', 'output', 'console'];
+
+const FENCE_OPEN = /^ {0,3}(`{3,}|~{3,})\s*(.*)$/;
+
+/**
+ * Split a fence info string into a language tag and a filename hint.
+ * Understands "c++", "js title=\"src/a.js\"", "js:src/a.js", "file=a.js" and bare
+ * paths like "src/a.js".
+ * @param {string} info - Info string after the opening fence
+ * @returns {Object} - { language, filename }
+ */
+function parseInfoString(info) {
+    const words = info.trim().split(/\s+/).filter(Boolean);
+    let language = (words[0] || '').toLowerCase();
+    let filename = null;
+
+    const attribute = info.match(/(?:title|file|filename|path)\s*=\s*["']?([^"'\s]+)/i);
+    if (attribute) {
+        filename = attribute[1];
+    }
+
+    if (language.includes(':')) {
+        const colon = words[0].indexOf(':');
+        filename = filename || words[0].slice(colon + 1);
+        language = language.slice(0, colon);
+    } else if (/^[\w./\\-]+\.[A-Za-z0-9]+$/.test(words[0] || '') &&
+        (/[/\\]/.test(words[0]) || LANGUAGE_TAGS[path.extname(words[0]).toLowerCase()])) {
+        // A bare filename as the info string
+        filename = filename || words[0];
+        language = (LANGUAGE_TAGS[path.extname(words[0]).toLowerCase()] || [''])[0];
+    }
+
+    if (!filename && words.length > 1 && /\.\w+$/.test(words[1])) {
+        filename = words[1];
+    }
+
+    return { language, filename };
+}
+
+/**
+ * Find a filename mentioned on the line before a fence, e.g. "**src/a.js**" or "`a.js`:"
+ * @param {string} line - The line before the fence
+ * @returns {string|null} - Filename hint
+ */
+function filenameFromPreamble(line) {
+    const match = (line || '').match(/([\w./\\-]+\.[A-Za-z0-9]+)\W*$/);
+    return match && !/^\d+(\.\d+)*$/.test(match[1]) ? match[1] : null;
+}
+
+/**
+ * Tokenize the fenced code blocks of a Markdown response
+ * @param {string} response - Model response
+ * @returns {Array} - Blocks: { language, filename, explicitFilename, info, content, startLine, endLine, closed }
+ */
+function parseFences(response) {
+    const lines = response.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const open = FENCE_OPEN.exec(lines[index]);
+        // Backtick fences cannot have backticks in their info string
+        if (!open || (open[1][0] === '`' && open[2].includes('`'))) {
+            index++;
+            continue;
+        }
+
+        const fenceChar = open[1][0];
+        const fenceLength = open[1].length;
+        const { language, filename } = parseInfoString(open[2]);
+        const content = [];
+        let depth = 0;
+        let end = index + 1;
+        let closed = false;
+
+        for (; end < lines.length; end++) {
+            const inner = FENCE_OPEN.exec(lines[end]);
+            if (inner && inner[1][0] === fenceChar && inner[1].length >= fenceLength) {
+                if (inner[2].trim() === '') {
+                    if (depth === 0) {
+                        closed = true;
+                        break;
+                    }
+                    depth--;
+                } else if (inner[1].length === fenceLength) {
+                    // An opening fence with an info string starts a nested block
+                    depth++;
+                }
+            }
+            content.push(lines[end]);
+        }
+
+        blocks.push({
+            language,
+            filename: filename || filenameFromPreamble(lines[index - 1]),
+            // Hints from the info string are explicit; prose before the fence is only a guess
+            explicitFilename: Boolean(filename),
+            info: open[2].trim(),
+            content: content.join('\n'),
+            startLine: index + 1,
+            endLine: closed ? end + 1 : lines.length,
+            closed
+        });
+        index = end + 1;
+    }
+
+    return blocks;
+}
+
+/**
+ * Similarity of two texts as the Dice coefficient of their trimmed, non-empty lines
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Similarity between 0 and 1
+ */
+function similarity(a, b) {
+    const count = (text) => {
+        const counts = new Map();
+        for (const line of text.split('\n')) {
+            const key = line.trim();
+            if (key) {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+        return counts;
+    };
+    const left = count(a);
+    const right = count(b);
+    let shared = 0;
+    let total = 0;
+    for (const [line, n] of left) {
+        shared += Math.min(n, right.get(line) || 0);
+        total += n;
+    }
+    for (const n of right.values()) {
+        total += n;
+    }
+    return total === 0 ? 0 : (2 * shared) / total;
+}
+
+/**
+ * Check whether a filename hint refers to the target file
+ * @param {string} hint - Filename from the response
+ * @param {string} filePath - Target file path
+ * @returns {boolean} - True when the hint matches
+ */
+function hintMatches(hint, filePath) {
+    const normalizedHint = hint.replace(/\\/g, '/').replace(/^(\.\/|[ab]\/)/, '');
+    const normalizedPath = filePath.replace(/\\/g, '/');
+    return normalizedPath === normalizedHint || normalizedPath.endsWith('/' + normalizedHint);
+}
+
+/**
+ * Apply a diff found in a response to the original content
+ * @param {string} diffText - Unified diff
+ * @param {string} original - Original file content
+ * @param {string} [filePath] - Target file, used to pick the right file of a multi-file diff
+ * @returns {string|null} - Patched content, or null when it does not apply
+ */
+function applyResponseDiff(diffText, original, filePath) {
+    const files = parseUnifiedDiff(diffText);
+    if (files.length === 0) {
+        return null;
+    }
+    const file = files.length === 1 ? files[0] : files.find(candidate =>
+        [candidate.newName, candidate.oldName].some(name => name && filePath && hintMatches(name, filePath)));
+    return file ? applyPatch(original, file.hunks) : null;
+}
+
+/**
+ * Remove leading and trailing blank lines (but not indentation)
+ * @param {string} text - Text to trim
+ * @returns {string} - Trimmed text
+ */
+function trimBlankLines(text) {
+    return text.replace(/^(?:[ \t]*\n)+/, '').replace(/(?:\n[ \t]*)+$/, '').replace(/^[ \t]*$/, '');
+}
+
+/**
+ * Extract the content of a file from a model response
+ * @param {string} response - Model response
+ * @param {Object} options - Target description
+ * @param {string} [options.filePath] - Path of the file the content is for
+ * @param {string} [options.original] - Current content of the file, if any
+ * @returns {Object|null} - { content, source: 'block'|'diff', block, score } or null.
+ *   The content never ends with a newline; callers decide on the final newline.
+ */
+function extractFileContent(response, options = {}) {
+    const filePath = options.filePath ? path.resolve(options.filePath) : null;
+    const { original } = options;
+    const ext = filePath ? path.extname(filePath).toLowerCase() : '';
+    const expectedTags = LANGUAGE_TAGS[ext] || (ext ? [ext.slice(1)] : []);
+    const candidates = [];
+
+    for (const block of parseFences(response)) {
+        const isDiff = DIFF_TAGS.includes(block.language) ||
+            (!expectedTags.includes(block.language) && looksLikeUnifiedDiff(block.content));
+        let content = trimBlankLines(block.content);
+        let source = 'block';
+
+        if (isDiff) {
+            if (original === undefined) {
+                continue;
+            }
+            const patched = applyResponseDiff(block.content, original, filePath);
+            if (patched === null) {
+                continue;
+            }
+            content = patched.replace(/\n+$/, '');
+            source = 'diff';
+        }
+        if (!content.trim()) {
+            continue;
+        }
+
+        let score = block.closed ? 0 : -10;
+        if (source === 'diff') {
+            score += 25;
+        } else if (expectedTags.includes(block.language)) {
+            score += 30;
+        } else if (!PROSE_TAGS.includes(block.language)) {
+            score -= 20;
+        }
+
+        if (block.filename && filePath) {
+            if (hintMatches(block.filename, filePath)) {
+                score += 40;
+            } else {
+                score -= block.explicitFilename ? 40 : 15;
+            }
+        }
+
+        const lineCount = content.split('\n').length;
+        if (original !== undefined && original.trim()) {
+            score += 40 * similarity(original, content);
+            const originalLines = original.split('\n').length;
+            if (lineCount < originalLines * 0.3) {
+                // Much shorter than the file: an excerpt or an example, not the file
+                score -= 20;
+            }
+        }
+        score += Math.min(10, lineCount / 20);
+
+        candidates.push({ content, source, block, score });
+    }
+
+    // A bare diff without fences
+    if (candidates.length === 0 && original !== undefined && looksLikeUnifiedDiff(response)) {
+        const patched = applyResponseDiff(response, original, filePath);
+        if (patched !== null) {
+            return { content: patched.replace(/\n+$/, ''), source: 'diff', block: null, score: 0 };
+        }
+    }
+
+    if (candidates.length === 0) {
+        return null;
+    }
+
+    // Highest score wins; on a tie the later block (usually the final answer)
+    return candidates.reduce((best, candidate) => (candidate.score >= best.score ? candidate : best));
+}
+
+/**
+ * Extract a Markdown document (e.g. a report) from a response. A block tagged
+ * markdown is used when present; otherwise the whole response is the document.
+ * @param {string} response - Model response
+ * @returns {string} - Document content
+ */
+function extractDocument(response) {
+    const documents = parseFences(response).filter(block => block.language === 'markdown' || block.language === 'md');
+    if (documents.length === 0) {
+        return response.trim();
+    }
+    return trimBlankLines(documents.reduce((longest, block) => (block.content.length > longest.content.length ? block : longest)).content);
+}
+
+module.exports = {
+    LANGUAGE_TAGS,
+    parseInfoString,
+    parseFences,
+    similarity,
+    extractFileContent,
+    extractDocument
+};
@@ -0,0 +1,179 @@
+/**
+ * Review comments on the hunks of a git diff.
+ *
+ * `duq review` sends the hunks of a change with their surrounding context instead of
+ * whole files. Each hunk gets an id (H1, H2, ...) in the prompt, and the model repeats
+ * its comments in a fenced JSON block that refers to those ids, so every comment can
+ * be attached to the hunk and line it is about.
+ *
+ * @module review
+ */
+
+const { parseUnifiedDiff } = require('./diff');
+const { parseFences } = require('./response-parser');
+const { SEVERITIES } = require('./security-findings');
+
+const CATEGORIES = ['bug', 'security', 'performance', 'maintainability', 'style'];
+
+/**
+ * Parse a line number
+ * @param {*} value - Line from the model
+ * @returns {number|null} - Positive integer, or null
+ */
+function toLine(value) {
+    const line = parseInt(value, 10);
+    return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+/**
+ * Split a diff into the hunks that are reviewed
+ * @param {string} diff - Unified diff from selectionDiff
+ * @returns {Object[]} - Hunks: { id, file, startLine, endLine, lines } with the line range in the new version
+ */
+function parseReviewDiff(diff) {
+    const hunks = [];
+    for (const file of parseUnifiedDiff(diff)) {
+        const name = file.newName && file.newName !== '/dev/null' ? file.newName : file.oldName;
+        for (const hunk of file.hunks) {
+            const newLines = hunk.lines.filter(line => line[0] !== '-').length;
+            hunks.push({
+                id: `H${hunks.length + 1}`,
+                file: name,
+                startLine: hunk.newStart,
+                endLine: hunk.newStart + Math.max(newLines, 1) - 1,
+                lines: hunk.lines
+            });
+        }
+    }
+    return hunks;
+}
+
+/**
+ * Render hunks for the review prompt, each labeled with its id, file and lines
+ * @param {Object[]} hunks - Hunks from parseReviewDiff
+ * @returns {string} - Diff text
+ */
+function renderReviewDiff(hunks) {
+    return hunks.map(hunk => `[${hunk.id}] ${hunk.file} (lines ${hunk.startLine}-${hunk.endLine})\n${hunk.lines.join('\n')}`).join('\n\n');
+}
+
+/**
+ * Find the hunk a comment is about: by its id, else by its file and line
+ * @param {Object} raw - Comment from the JSON block
+ * @param {Object[]} hunks - Hunks from parseReviewDiff
+ * @returns {Object|null} - Hunk, or null when the comment matches none
+ */
+function findHunk(raw, hunks) {
+    const id = String(raw.hunk || '').toUpperCase().replace(/^\[|\]$/g, '');
+    const line = toLine(raw.line);
+    return hunks.find(hunk => hunk.id === id) ||
+        hunks.find(hunk => hunk.file === raw.file && line && line >= hunk.startLine && line <= hunk.endLine) ||
+        null;
+}
+
+/**
+ * Find and parse the comments block of a review response
+ * @param {string} response - Model response
+ * @param {Object[]} hunks - Hunks from parseReviewDiff
+ * @returns {Object[]|null} - Comments: { hunk, file, line, severity, category, comment, suggestion } in diff order,
+ * or null when the response has no comments block
+ */
+function parseReviewComments(response, hunks) {
+    // The last parsable block wins: the comments follow the review
+    const blocks = parseFences(response).filter(block => block.language === 'json' || block.language === '').reverse();
+    for (const block of blocks) {
+        let data;
+        try {
+            data = JSON.parse(block.content);
+        } catch (error) {
+            continue;
+        }
+        const list = Array.isArray(data) ? data : data && data.comments;
+        if (!Array.isArray(list)) {
+            continue;
+        }
+
+        const order = (comment) => comment.hunk ? hunks.findIndex(hunk => hunk.id === comment.hunk) : hunks.length;
+        return list
+            .filter(raw => raw && typeof raw === 'object' && (raw.comment || raw.message))
+            .map(raw => {
+                const hunk = findHunk(raw, hunks);
+                const severity = String(raw.severity || '').toLowerCase();
+                const category = String(raw.category || '').toLowerCase();
+                return {
+                    hunk: hunk ? hunk.id : null,
+                    file: hunk ? hunk.file : (raw.file ? String(raw.file) : null),
+                    line: toLine(raw.line) || (hunk ? hunk.startLine : null),
+                    // Comments without a recognized severity are treated as low rather than dropped
+                    severity: SEVERITIES.includes(severity) ? severity : 'low',
+                    category: CATEGORIES.includes(category) ? category : 'maintainability',
+                    comment: String(raw.comment || raw.message).trim(),
+                    suggestion: String(raw.suggestion || raw.fix || '').trim()
+                };
+            })
+            .sort((a, b) => order(a) - order(b) || (a.line || 0) - (b.line || 0));
+    }
+    return null;
+}
+
+/**
+ * Render a review as Markdown, with the comments grouped per hunk
+ * @param {Object[]} comments - Comments from parseReviewComments
+ * @param {Object[]} hunks - Hunks from parseReviewDiff
+ * @param {string} description - What was reviewed, e.g. 'staged files'
+ * @returns {string} - Markdown report
+ */
+function toReviewMarkdown(comments, hunks, description) {
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+    const lines = [
+        '# Code Review',
+        '',
+        `Reviewed: ${description} (${hunks.length} hunk${hunks.length === 1 ? '' : 's'})`,
+        ''
+    ];
+
+    if (comments.length === 0) {
+        lines.push('No comments.', '');
+    }
+
+    const groups = [...hunks, null]
+        .map(hunk => ({ hunk, comments: comments.filter(comment => comment.hunk === (hunk ? hunk.id : null)) }))
+        .filter(group => group.comments.length > 0);
+    for (const group of groups) {
+        lines.push(group.hunk ? `## ${group.hunk.id} \`${group.hunk.file}:${group.hunk.startLine}-${group.hunk.endLine}\`` : '## Other comments', '');
+        for (const comment of group.comments) {
+            const location = comment.line ? `line ${comment.line}` : (comment.file || 'general');
+            lines.push(`- **${capitalize(comment.severity)}** (${comment.category}, ${location}): ${comment.comment}`);
+            if (comment.suggestion) {
+                lines.push(`  - Suggestion: ${comment.suggestion.split('\n').join('\n    ')}`);
+            }
+        }
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render a review as JSON
+ * @param {Object[]} comments - Comments from parseReviewComments
+ * @param {Object[]} hunks - Hunks from parseReviewDiff
+ * @param {string} description - What was reviewed
+ * @returns {string} - JSON report
+ */
+function toReviewJson(comments, hunks, description) {
+    return JSON.stringify({
+        reviewed: description,
+        hunks: hunks.map(hunk => ({ id: hunk.id, file: hunk.file, startLine: hunk.startLine, endLine: hunk.endLine })),
+        comments
+    }, null, 2);
+}
+
+module.exports = {
+    CATEGORIES,
+    parseReviewDiff,
+    renderReviewDiff,
+    parseReviewComments,
+    toReviewMarkdown,
+    toReviewJson
+};
@@ -0,0 +1,240 @@
+/**
+ * Deterministic local scan for secrets and dangerous sinks.
+ *
+ * Runs before the LLM security pass: known token formats, private keys and
+ * high-entropy values assigned to secret-looking names are reported as secrets, and
+ * calls such as `execSync` with a template string or `eval` as dangerous sinks. The
+ * hits are merged into the security report and passed to the model as hints. The
+ * same secret patterns are used to redact secrets from prompts before they are sent;
+ * each secret is replaced by a placeholder that is put back in the response, so
+ * files rewritten by the model keep their real values.
+ *
+ * @module secret-scanner
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Known token formats; `group` selects the secret part of the match
+const SECRET_PATTERNS = [
+    { id: 'private-key', title: 'Private key', severity: 'critical', pattern: /-----BEGIN ([A-Z ]+ )?PRIVATE KEY( BLOCK)?-----[\s\S]*?-----END ([A-Z ]+ )?PRIVATE KEY( BLOCK)?-----/g },
+    { id: 'aws-access-key-id', title: 'AWS access key ID', severity: 'critical', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { id: 'github-token', title: 'GitHub token', severity: 'critical', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+    { id: 'stripe-live-key', title: 'Stripe live key', severity: 'critical', pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{16,}\b/g },
+    { id: 'slack-token', title: 'Slack token', severity: 'high', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g },
+    { id: 'google-api-key', title: 'Google API key', severity: 'high', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+    { id: 'api-secret-key', title: 'API secret key', severity: 'high', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}\b/g },
+    { id: 'jwt', title: 'JSON Web Token', severity: 'medium', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+    { id: 'url-credentials', title: 'Password in a URL', severity: 'high', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"]+:([^\s@/'"]{3,})@/gi, group: 1 },
+    // Quoted values assigned to secret-looking names; only reported when they look random
+    { id: 'hardcoded-secret', title: 'Hardcoded secret', severity: 'high', pattern: /\b[\w.-]*(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|token|credentials?)[\w-]*["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/gi, group: 1, entropy: 3 }
+];
+
+// Dangerous sinks in source code
+const SINK_PATTERNS = [
+    {
+        id: 'command-injection', category: 'Injection', title: 'Shell command built from a template string or concatenation', severity: 'high',
+        pattern: /\b(?:exec|execSync|execFile|execFileSync|spawn|spawnSync)\s*\(\s*(?:`[^`]*\$\{|["'][^"'\n]*["']\s*\+)/,
+        fix: 'Pass the arguments as an array to execFile/spawn without a shell, and validate them.'
+    },
+    {
+        id: 'command-injection', category: 'Injection', title: 'child_process call with a variable command', severity: 'medium',
+        pattern: /\b(?:child_process|cp)\.(?:exec|execSync)\s*\(\s*[A-Za-z_$][\w$.]*\s*[,)]|\brequire\(\s*["']child_process["']\s*\)\.(?:exec|execSync)\s*\(\s*[A-Za-z_$]/,
+        fix: 'Do not run commands built from input; use execFile/spawn with an argument array.'
+    },
+    {
+        id: 'command-injection', category: 'Injection', title: 'Shell command run with shell=True or os.system', severity: 'high',
+        pattern: /\bos\.system\s*\(|\bsubprocess\.\w+\([^)\n]*shell\s*=\s*True/,
+        fix: 'Call subprocess.run with an argument list and shell=False.'
+    },
+    {
+        id: 'code-injection', category: 'Injection', title: 'Dynamic code evaluation', severity: 'high',
+        pattern: /(?:^|[^\w$.])eval\s*\(|\bnew\s+Function\s*\(|\bset(?:Timeout|Interval)\s*\(\s*["'`]/,
+        fix: 'Avoid evaluating strings as code; parse the data instead (e.g. JSON.parse).'
+    },
+    {
+        id: 'sql-injection', category: 'Injection', title: 'SQL query built from a template string or concatenation', severity: 'high',
+        pattern: /\b(?:query|execute|raw)\s*\(\s*(?:`[^`]*\b(?:SELECT|INSERT|UPDATE|DELETE)\b[^`]*\$\{|["'][^"'\n]*\b(?:SELECT|INSERT|UPDATE|DELETE)\b[^"'\n]*["']\s*\+)/i,
+        fix: 'Use parameterized queries or prepared statements.'
+    },
+    {
+        id: 'xss', category: 'Cross-site scripting', title: 'HTML assigned from a non-literal value', severity: 'medium',
+        pattern: /\.(?:innerHTML|outerHTML)\s*=\s*(?:[^"'`\s]|`[^`]*\$\{)|\bdocument\.write\s*\(|dangerouslySetInnerHTML/,
+        fix: 'Use textContent, or sanitize the HTML before inserting it.'
+    }
+];
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.cjs', '.mjs', '.jsx', '.ts', '.tsx', '.py', '.rb', '.php', '.java', '.go', '.cs', '.html', '.vue', '.svelte']);
+
+// Values that are clearly not real secrets
+const PLACEHOLDER = /^(?:\$\{.*\}|<.*>|%.*%|\{\{.*\}\})$|^(?:x+|\*+|changeme|password|secret|example|placeholder|your[\w-]*|dummy|test|null|undefined)$|REDACTED/i;
+
+/**
+ * Shannon entropy of a string in bits per character
+ * @param {string} value - Text to measure
+ * @returns {number} - Entropy
+ */
+function entropy(value) {
+    const counts = {};
+    for (const char of value) {
+        counts[char] = (counts[char] || 0) + 1;
+    }
+    return Object.values(counts).reduce((sum, count) => {
+        const p = count / value.length;
+        return sum - p * Math.log2(p);
+    }, 0);
+}
+
+/**
+ * Find the secrets in a text
+ * @param {string} text - Text to scan
+ * @returns {Object[]} - Matches: { ruleId, title, severity, value, index } with the index of the value in the text
+ */
+function findSecrets(text) {
+    const matches = [];
+    for (const rule of SECRET_PATTERNS) {
+        rule.pattern.lastIndex = 0;
+        let match;
+        while ((match = rule.pattern.exec(text)) !== null) {
+            const value = rule.group ? match[rule.group] : match[0];
+            if (rule.entropy && (PLACEHOLDER.test(value) || entropy(value) < rule.entropy)) {
+                continue;
+            }
+            const index = match.index + (rule.group ? match[0].lastIndexOf(value) : 0);
+            // A value already matched by a more specific rule is not reported twice
+            if (!matches.some(other => index < other.index + other.value.length && other.index < index + value.length)) {
+                matches.push({ ruleId: rule.id, title: rule.title, severity: rule.severity, value, index });
+            }
+        }
+    }
+    return matches.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Line number of a position in a text
+ * @param {string} text - Text
+ * @param {number} index - Character position
+ * @returns {number} - 1-based line number
+ */
+function lineAt(text, index) {
+    return text.slice(0, index).split('\n').length;
+}
+
+/**
+ * Show a secret without revealing it
+ * @param {string} value - Secret value
+ * @returns {string} - First characters followed by asterisks
+ */
+function maskSecret(value) {
+    const firstLine = value.split('\n')[0];
+    return firstLine.slice(0, Math.min(4, Math.floor(firstLine.length / 4))) + '*'.repeat(8);
+}
+
+/**
+ * Scan one file's content for secrets and dangerous sinks
+ * @param {string} content - File content
+ * @param {string} file - File path relative to the analyzed directory, as reported in findings
+ * @returns {Object[]} - Findings in the shape of parseFindings, with `source: 'pre-scan'`
+ */
+function scanContent(content, file) {
+    const findings = findSecrets(content).map(secret => ({
+        ruleId: 'hardcoded-secret',
+        category: 'Hardcoded secrets',
+        severity: secret.severity,
+        file,
+        startLine: lineAt(content, secret.index),
+        endLine: lineAt(content, secret.index + secret.value.length),
+        title: `${secret.title} in the source (${maskSecret(secret.value)})`,
+        description: 'A secret committed to the source can be read by anyone with access to the code or its history.',
+        fix: 'Remove the secret, rotate it, and load it from the environment or a secret manager.',
+        source: 'pre-scan'
+    }));
+
+    if (SOURCE_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+        content.split('\n').forEach((line, index) => {
+            const sink = SINK_PATTERNS.find(rule => rule.pattern.test(line));
+            if (sink) {
+                findings.push({
+                    ruleId: sink.id,
+                    category: sink.category,
+                    severity: sink.severity,
+                    file,
+                    startLine: index + 1,
+                    endLine: index + 1,
+                    title: sink.title,
+                    description: `\`${line.trim().slice(0, 120)}\` may run attacker-controlled input.`,
+                    fix: sink.fix,
+                    source: 'pre-scan'
+                });
+            }
+        });
+    }
+
+    return findings;
+}
+
+/**
+ * Scan files for secrets and dangerous sinks
+ * @param {string[]} files - Absolute file paths
+ * @param {string} root - Directory the reported paths are relative to
+ * @param {Function} [readContent] - Reads a file by absolute path (defaults to the file on disk; e.g. staged content)
+ * @returns {Object[]} - Findings from scanContent
+ */
+function scanFiles(files, root, readContent = (filePath) => fs.readFileSync(filePath, 'utf8')) {
+    const findings = [];
+    for (const filePath of files) {
+        let content;
+        try {
+            content = readContent(filePath);
+        } catch (error) {
+            continue;
+        }
+        const relativePath = path.relative(root, filePath).split(path.sep).join('/') || path.basename(filePath);
+        findings.push(...scanContent(content, relativePath));
+    }
+    return findings;
+}
+
+/**
+ * Replace the secrets in a text with placeholders
+ * @param {string} text - Text to redact, e.g. a prompt
+ * @returns {Object} - { text, secrets } where secrets lists { placeholder, value, ruleId }
+ */
+function redactSecrets(text) {
+    const secrets = [];
+    let redacted = '';
+    let position = 0;
+
+    for (const match of findSecrets(text)) {
+        let secret = secrets.find(known => known.value === match.value);
+        if (!secret) {
+            secret = { placeholder: `[REDACTED-SECRET-${secrets.length + 1}]`, value: match.value, ruleId: match.ruleId };
+            secrets.push(secret);
+        }
+        redacted += text.slice(position, match.index) + secret.placeholder;
+        position = match.index + match.value.length;
+    }
+
+    return { text: redacted + text.slice(position), secrets };
+}
+
+/**
+ * Put redacted secrets back into a text, e.g. a response that rewrites a file
+ * @param {string} text - Text with placeholders
+ * @param {Object[]} secrets - Secrets from redactSecrets
+ * @returns {string} - Text with the original values
+ */
+function restoreSecrets(text, secrets) {
+    return secrets.reduce((restored, secret) => restored.split(secret.placeholder).join(secret.value), text);
+}
+
+module.exports = {
+    SECRET_PATTERNS,
+    SINK_PATTERNS,
+    entropy,
+    findSecrets,
+    scanContent,
+    scanFiles,
+    redactSecrets,
+    restoreSecrets
+};
@@ -0,0 +1,236 @@
+/**
+ * Security baselines and inline suppressions.
+ *
+ * Each finding gets a fingerprint from its rule, its file and the normalized code of
+ * the lines it points at, so it is recognized again after unrelated edits move the
+ * code around. A baseline file stores the fingerprints of accepted findings; later
+ * runs only report findings that are not in it, and list baseline findings that are
+ * gone as fixed. Findings on or right below a `duq-ignore: <rule> [reason]` comment
+ * are suppressed.
+ *
+ * Fingerprints, baseline paths and the default baseline location are relative to the
+ * git repository of the analyzed path (the config root outside a repository), so one
+ * baseline serves runs on any part of the code, e.g. `duq security src` and
+ * `duq security --staged`. A run only marks baseline findings in the files it analyzed
+ * as fixed, and only replaces those when it updates the baseline.
+ *
+ * @module security-baseline
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { DuqError, ERROR_CODES } = require('./errors');
+const { getResolvedConfig } = require('./config');
+const { repoRoot } = require('./git');
+
+const DEFAULT_BASELINE_PATH = '.duq/security-baseline.json';
+const BASELINE_VERSION = 1;
+
+// duq-ignore: rule-a,rule-b optional reason (after //, #, /*, --, <!-- or ;)
+const SUPPRESSION = /(?:\/\/|#|\/\*|--|<!--|;)\s*duq-ignore:\s*([\w*,-]+)\s*(.*?)\s*(?:\*\/|-->)?\s*$/;
+
+/**
+ * Read the lines of the files findings point at, once per file
+ * @param {string} root - Directory the finding paths are relative to
+ * @param {Function} [readContent] - Reads a file by absolute path (defaults to the file on disk)
+ * @returns {Function} - (file) => array of lines, or null when unreadable
+ */
+function lineReader(root, readContent = (filePath) => fs.readFileSync(filePath, 'utf8')) {
+    const cache = new Map();
+    return (file) => {
+        if (!cache.has(file)) {
+            try {
+                cache.set(file, readContent(path.resolve(root, file)).replace(/\r\n/g, '\n').split('\n'));
+            } catch (error) {
+                cache.set(file, null);
+            }
+        }
+        return cache.get(file);
+    };
+}
+
+/**
+ * Directory finding paths are made relative to for fingerprints and baselines
+ * @param {string} dir - Analyzed directory (or the directory of the analyzed file)
+ * @returns {string} - Root of the git repository of the directory, or the config root outside one
+ */
+function baselineRoot(dir) {
+    try {
+        return repoRoot(dir);
+    } catch (error) {
+        return getResolvedConfig().root;
+    }
+}
+
+/**
+ * Path of a finding's file relative to the baseline root
+ * @param {string} file - Path relative to the analyzed directory
+ * @param {string} root - Analyzed directory
+ * @param {string} baseRoot - Root from baselineRoot
+ * @returns {string} - Path with forward slashes
+ */
+function baselineFile(file, root, baseRoot) {
+    return path.relative(baseRoot, path.resolve(root, file)).split(path.sep).join('/');
+}
+
+/**
+ * Fingerprint a finding by rule, file and normalized code snippet
+ * @param {Object} finding - Finding from parseFindings, with its file relative to the baseline root
+ * @param {string[]|null} lines - Lines of the finding's file
+ * @returns {string} - Hex fingerprint
+ */
+function fingerprintFinding(finding, lines) {
+    let snippet = '';
+    if (lines && finding.startLine) {
+        // Whitespace and line numbers do not matter, so reformatting or moving the code keeps the fingerprint
+        snippet = lines.slice(finding.startLine - 1, finding.endLine || finding.startLine)
+            .map(line => line.trim().replace(/\s+/g, ' '))
+            .filter(Boolean)
+            .join('\n');
+    } else if (!finding.file) {
+        snippet = finding.title.toLowerCase();
+    }
+    return crypto.createHash('sha256').update([finding.ruleId, finding.file || '', snippet].join('\u0000')).digest('hex').slice(0, 32);
+}
+
+/**
+ * Find a duq-ignore comment for a finding on its lines or the line above them
+ * @param {Object} finding - Finding
+ * @param {string[]|null} lines - Lines of the finding's file
+ * @returns {Object|null} - { line, reason } of the comment, or null
+ */
+function findSuppression(finding, lines) {
+    if (!lines || !finding.startLine) {
+        return null;
+    }
+    const first = Math.max(1, finding.startLine - 1);
+    const last = Math.min(lines.length, finding.endLine || finding.startLine);
+    for (let lineNumber = first; lineNumber <= last; lineNumber++) {
+        const match = SUPPRESSION.exec(lines[lineNumber - 1]);
+        if (match && match[1].split(',').some(rule => rule === '*' || rule === finding.ruleId)) {
+            return { line: lineNumber, reason: match[2] || null };
+        }
+    }
+    return null;
+}
+
+/**
+ * Fingerprint findings and split off the suppressed ones
+ * @param {Object[]} findings - Findings from parseFindings
+ * @param {string} root - Directory the finding paths are relative to
+ * @param {Object} [options] - Annotation options
+ * @param {string} [options.baseRoot] - Root from baselineRoot (defaults to root)
+ * @param {Function} [options.readContent] - Reads a file by absolute path (defaults to the file on disk; e.g. staged content)
+ * @returns {Object} - { findings, suppressed }; every finding gets a `fingerprint`, suppressed ones a `suppression`
+ */
+function annotateFindings(findings, root, { baseRoot = root, readContent } = {}) {
+    const readLines = lineReader(root, readContent);
+    const active = [];
+    const suppressed = [];
+
+    for (const finding of findings) {
+        const lines = finding.file ? readLines(finding.file) : null;
+        const keyed = finding.file ? { ...finding, file: baselineFile(finding.file, root, baseRoot) } : finding;
+        const annotated = { ...finding, fingerprint: fingerprintFinding(keyed, lines) };
+        const suppression = findSuppression(finding, lines);
+        if (suppression) {
+            suppressed.push({ ...annotated, suppression });
+        } else {
+            active.push(annotated);
+        }
+    }
+    return { findings: active, suppressed };
+}
+
+/**
+ * Resolve the --baseline option
+ * @param {string|boolean} option - Path given with --baseline, or true for the default
+ * @param {string} baseRoot - Root from baselineRoot; the default path is relative to it
+ * @returns {string} - Absolute baseline path
+ */
+function resolveBaselinePath(option, baseRoot) {
+    return typeof option === 'string' ? path.resolve(option) : path.resolve(baseRoot, DEFAULT_BASELINE_PATH);
+}
+
+/**
+ * Load a baseline file
+ * @param {string} baselinePath - Absolute path
+ * @returns {Object[]} - Baseline findings
+ * @throws {DuqError} - When the file is missing or invalid
+ */
+function loadBaseline(baselinePath) {
+    if (!fs.existsSync(baselinePath)) {
+        throw new DuqError(ERROR_CODES.NOT_FOUND, `Baseline not found: ${baselinePath} (create it with --update-baseline)`, { path: baselinePath });
+    }
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid baseline ${baselinePath}: ${error.message}`, { path: baselinePath });
+    }
+    if (!data || !Array.isArray(data.findings) || data.findings.some(entry => !entry || typeof entry.fingerprint !== 'string')) {
+        throw new DuqError(ERROR_CODES.USAGE, `Invalid baseline ${baselinePath}: expected a list of findings with fingerprints`, { path: baselinePath });
+    }
+    return data.findings;
+}
+
+/**
+ * Whether a baseline entry belongs to the files of a run
+ * @param {Object} entry - Baseline entry
+ * @param {Set<string>|null} scope - Analyzed files relative to the baseline root; null for everything
+ * @returns {boolean} - True when the run analyzed the entry's file
+ */
+function inScope(entry, scope) {
+    return !scope || !entry.file || scope.has(entry.file);
+}
+
+/**
+ * Render a baseline of the current findings
+ * @param {Object[]} findings - Fingerprinted findings
+ * @param {Object} options - Baseline options
+ * @param {string} options.root - Directory the finding paths are relative to
+ * @param {string} options.baseRoot - Root from baselineRoot
+ * @param {Object[]} [options.previous] - Entries of the baseline being replaced
+ * @param {Set<string>} [options.scope] - Analyzed files relative to the baseline root; previous entries of other files are kept
+ * @returns {string} - Baseline file content, sorted so that updates give small diffs
+ */
+function serializeBaseline(findings, { root, baseRoot, previous = [], scope = null }) {
+    const entries = findings
+        .map(({ fingerprint, ruleId, severity, file, startLine, title }) => ({
+            fingerprint, ruleId, severity, file: file ? baselineFile(file, root, baseRoot) : file, startLine, title
+        }))
+        .concat(previous.filter(entry => !inScope(entry, scope)))
+        .sort((a, b) => String(a.file).localeCompare(String(b.file)) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint));
+    return JSON.stringify({ version: BASELINE_VERSION, findings: entries }, null, 2) + '\n';
+}
+
+/**
+ * Compare findings with a baseline
+ * @param {Object[]} findings - Fingerprinted findings of this run
+ * @param {Object[]} baseline - Findings from loadBaseline
+ * @param {Set<string>} [scope] - Analyzed files relative to the baseline root; entries of other files are never fixed
+ * @returns {Object} - { added, unchanged, fixed }; fixed lists baseline entries no longer found
+ */
+function compareWithBaseline(findings, baseline, scope = null) {
+    const known = new Set(baseline.map(entry => entry.fingerprint));
+    const current = new Set(findings.map(finding => finding.fingerprint));
+    return {
+        added: findings.filter(finding => !known.has(finding.fingerprint)),
+        unchanged: findings.filter(finding => known.has(finding.fingerprint)),
+        fixed: baseline.filter(entry => !current.has(entry.fingerprint) && inScope(entry, scope))
+    };
+}
+
+module.exports = {
+    DEFAULT_BASELINE_PATH,
+    baselineRoot,
+    baselineFile,
+    fingerprintFinding,
+    findSuppression,
+    annotateFindings,
+    resolveBaselinePath,
+    loadBaseline,
+    serializeBaseline,
+    compareWithBaseline
+};
@@ -0,0 +1,350 @@
+/**
+ * Structured findings of a security analysis.
+ *
+ * The security prompts ask the model to repeat its findings in a fenced JSON block
+ * after the report. The block is parsed into findings (rule, category, severity,
+ * file, line range, description and fix), duplicates are merged, and the findings
+ * are exported as Markdown, JSON or SARIF 2.1.0 for code-scanning dashboards.
+ *
+ * @module security-findings
+ */
+
+const path = require('path');
+const { parseFences } = require('./response-parser');
+const { DuqError, ERROR_CODES } = require('./errors');
+
+// Most severe first
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const FORMATS = ['markdown', 'json', 'sarif'];
+
+// SARIF result level and GitHub code scanning security-severity score per severity
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0' };
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const TOOL_URI = 'https://github.com/scarab-data/duq-cli';
+
+/**
+ * Check a severity name, e.g. from --fail-on
+ * @param {string} severity - Severity name (any case)
+ * @param {string} source - Where the name came from, for the error message
+ * @returns {string} - The lowercase severity
+ * @throws {DuqError} - When the severity does not exist
+ */
+function validateSeverity(severity, source) {
+    const normalized = String(severity).toLowerCase();
+    if (!SEVERITIES.includes(normalized)) {
+        throw new DuqError(ERROR_CODES.USAGE, `Unknown severity '${severity}' in ${source} (available: ${SEVERITIES.join(', ')})`);
+    }
+    return normalized;
+}
+
+/**
+ * Check a report format, e.g. from --format
+ * @param {string} format - Format name
+ * @returns {string} - The format name
+ * @throws {DuqError} - When the format does not exist
+ */
+function validateFormat(format) {
+    if (!FORMATS.includes(format)) {
+        throw new DuqError(ERROR_CODES.USAGE, `Unknown report format '${format}' (available: ${FORMATS.join(', ')})`);
+    }
+    return format;
+}
+
+/**
+ * Pick the report format for an output file from its extension
+ * @param {string|null} outputPath - Report path
+ * @returns {string} - 'sarif' for .sarif, 'json' for .json, otherwise 'markdown'
+ */
+function formatForPath(outputPath) {
+    if (outputPath && /\.sarif(\.json)?$/i.test(outputPath)) {
+        return 'sarif';
+    }
+    return outputPath && /\.json$/i.test(outputPath) ? 'json' : 'markdown';
+}
+
+/**
+ * Turn free text into a kebab-case rule ID
+ * @param {string} text - Category or title
+ * @returns {string} - Rule ID
+ */
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'security-issue';
+}
+
+/**
+ * Parse a line number
+ * @param {*} value - Line from the model
+ * @returns {number|null} - Positive integer, or null
+ */
+function toLine(value) {
+    const line = parseInt(value, 10);
+    return Number.isInteger(line) && line > 0 ? line : null;
+}
+
+/**
+ * Normalize one finding reported by the model
+ * @param {Object} raw - Finding from the JSON block
+ * @param {Object} options - Normalize options
+ * @param {string} options.root - Directory file paths are relative to
+ * @param {string|null} options.file - The analyzed file, for single-file analyses
+ * @returns {Object} - Finding with every field present
+ */
+function normalizeFinding(raw, { root, file }) {
+    const severity = String(raw.severity || '').toLowerCase();
+    const title = String(raw.title || raw.description || 'Security issue').trim();
+
+    let filePath = raw.file || raw.path || file;
+    if (filePath) {
+        const absolutePath = path.resolve(root, filePath);
+        filePath = path.relative(root, absolutePath).split(path.sep).join('/') || path.basename(absolutePath);
+    }
+
+    const startLine = toLine(raw.startLine || raw.line);
+    const endLine = toLine(raw.endLine);
+
+    return {
+        ruleId: raw.ruleId ? slugify(raw.ruleId) : slugify(raw.category || title),
+        category: String(raw.category || 'Security').trim(),
+        // Findings without a recognized severity are treated as medium rather than dropped
+        severity: SEVERITIES.includes(severity) ? severity : 'medium',
+        file: filePath || null,
+        startLine,
+        endLine: startLine && endLine && endLine >= startLine ? endLine : startLine,
+        title,
+        description: String(raw.description || '').trim(),
+        fix: String(raw.fix || raw.remediation || '').trim()
+    };
+}
+
+/**
+ * Merge findings that report the same rule at the same location, keeping the most
+ * severe one, and sort them by severity, file and line
+ * @param {Object[]} findings - Normalized findings
+ * @returns {Object[]} - Deduplicated findings
+ */
+function dedupeFindings(findings) {
+    const byLocation = new Map();
+    for (const finding of findings) {
+        const key = `${finding.ruleId}\u0000${finding.file}\u0000${finding.startLine}`;
+        const existing = byLocation.get(key);
+        if (!existing || SEVERITIES.indexOf(finding.severity) < SEVERITIES.indexOf(existing.severity)) {
+            byLocation.set(key, finding);
+        }
+    }
+
+    return [...byLocation.values()].sort((a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+        String(a.file).localeCompare(String(b.file)) ||
+        (a.startLine || 0) - (b.startLine || 0));
+}
+
+/**
+ * Find and parse the findings block of a security response
+ * @param {string} response - Model response
+ * @param {Object} options - Parse options
+ * @param {string} options.targetPath - Analyzed file or directory
+ * @param {boolean} options.isDirectory - Whether the target is a directory
+ * @returns {Object[]|null} - Deduplicated findings, or null when the response has no findings block
+ */
+function parseFindings(response, { targetPath, isDirectory }) {
+    const root = isDirectory ? targetPath : path.dirname(targetPath);
+    const file = isDirectory ? null : targetPath;
+
+    // The last parsable block wins: the findings follow the report
+    const blocks = parseFences(response).filter(block => block.language === 'json' || block.language === '').reverse();
+    for (const block of blocks) {
+        let data;
+        try {
+            data = JSON.parse(block.content);
+        } catch (error) {
+            continue;
+        }
+        const list = Array.isArray(data) ? data : data && data.findings;
+        if (Array.isArray(list)) {
+            return dedupeFindings(list.filter(raw => raw && typeof raw === 'object').map(raw => normalizeFinding(raw, { root, file })));
+        }
+    }
+    return null;
+}
+
+/**
+ * Count findings per severity
+ * @param {Object[]} findings - Findings
+ * @returns {Object} - Severity => count, for every severity
+ */
+function countBySeverity(findings) {
+    const counts = {};
+    SEVERITIES.forEach(severity => {
+        counts[severity] = findings.filter(finding => finding.severity === severity).length;
+    });
+    return counts;
+}
+
+/**
+ * Findings at or above a severity
+ * @param {Object[]} findings - Findings
+ * @param {string} threshold - Lowest severity that counts
+ * @returns {Object[]} - Matching findings
+ */
+function findingsAtOrAbove(findings, threshold) {
+    const limit = SEVERITIES.indexOf(threshold);
+    return findings.filter(finding => SEVERITIES.indexOf(finding.severity) <= limit);
+}
+
+/**
+ * Describe where a finding is
+ * @param {Object} finding - Finding
+ * @returns {string} - e.g. "src/db.js:12-14"
+ */
+function formatLocation(finding) {
+    if (!finding.file) {
+        return 'unknown location';
+    }
+    if (!finding.startLine) {
+        return finding.file;
+    }
+    return finding.endLine && finding.endLine !== finding.startLine
+        ? `${finding.file}:${finding.startLine}-${finding.endLine}`
+        : `${finding.file}:${finding.startLine}`;
+}
+
+/**
+ * Render findings as a Markdown report
+ * @param {Object[]} findings - Findings
+ * @param {string} targetPath - Analyzed file or directory
+ * @param {Object} [extras] - Baseline comparison and suppressions
+ * @param {string} [extras.baseline] - Baseline path; findings are then the new ones
+ * @param {Object[]} [extras.fixed] - Baseline findings no longer found
+ * @param {Object[]} [extras.suppressed] - Findings suppressed by duq-ignore comments
+ * @returns {string} - Markdown report
+ */
+function toMarkdown(findings, targetPath, extras = {}) {
+    const counts = countBySeverity(findings);
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+    const fixed = extras.fixed || [];
+    const suppressed = extras.suppressed || [];
+    const lines = [
+        '# Security Report',
+        '',
+        `Target: \`${targetPath}\``,
+        ...(extras.baseline ? ['', `Baseline: \`${extras.baseline}\` (${findings.length} new, ${fixed.length} fixed)`] : []),
+        '',
+        '| Severity | Findings |',
+        '|----------|----------|',
+        ...SEVERITIES.map(severity => `| ${capitalize(severity)} | ${counts[severity]} |`),
+        ''
+    ];
+
+    if (findings.length === 0) {
+        lines.push(extras.baseline ? 'No new security issues were found.' : 'No security issues were found.', '');
+    }
+
+    findings.forEach((finding, index) => {
+        lines.push(`## ${index + 1}. ${finding.title}`, '');
+        lines.push(`- **Severity:** ${capitalize(finding.severity)}`);
+        lines.push(`- **Rule:** \`${finding.ruleId}\` (${finding.category})`);
+        lines.push(`- **Location:** \`${formatLocation(finding)}\``, '');
+        if (finding.description) {
+            lines.push(finding.description, '');
+        }
+        if (finding.fix) {
+            lines.push('**Fix:**', '', finding.fix, '');
+        }
+    });
+
+    if (fixed.length > 0) {
+        lines.push('## Fixed Since the Baseline', '');
+        fixed.forEach(entry => lines.push(`- \`${entry.ruleId}\` at \`${formatLocation(entry)}\`: ${entry.title}`));
+        lines.push('');
+    }
+    if (suppressed.length > 0) {
+        lines.push('## Suppressed', '');
+        suppressed.forEach(finding => lines.push(`- \`${finding.ruleId}\` at \`${formatLocation(finding)}\`${finding.suppression.reason ? ': ' + finding.suppression.reason : ''}`));
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Render findings as a SARIF 2.1.0 log
+ * @param {Object[]} findings - Findings
+ * @param {Object} options - SARIF options
+ * @param {string} options.version - duq version
+ * @param {string} options.root - Directory the file paths are relative to
+ * @param {boolean} [options.baseline] - Whether the findings were compared with a baseline (they are all new)
+ * @param {Object[]} [options.suppressed] - Findings suppressed in the source, reported as such
+ * @returns {Object} - SARIF log
+ */
+function toSarif(findings, { version, root, baseline = false, suppressed = [] }) {
+    const rules = [];
+    const ruleIndex = new Map();
+    for (const finding of [...findings, ...suppressed]) {
+        if (ruleIndex.has(finding.ruleId)) {
+            // A rule is as severe as its most severe finding (findings are sorted)
+            continue;
+        }
+        ruleIndex.set(finding.ruleId, rules.length);
+        rules.push({
+            id: finding.ruleId,
+            name: finding.category,
+            shortDescription: { text: finding.title },
+            defaultConfiguration: { level: SARIF_LEVELS[finding.severity] },
+            properties: { tags: ['security'], 'security-severity': SECURITY_SEVERITY[finding.severity] }
+        });
+    }
+
+    const results = [...findings, ...suppressed].map(finding => {
+        const result = {
+            ruleId: finding.ruleId,
+            ruleIndex: ruleIndex.get(finding.ruleId),
+            level: SARIF_LEVELS[finding.severity],
+            message: { text: [finding.title, finding.description, finding.fix && `Fix: ${finding.fix}`].filter(Boolean).join('\n\n') },
+            properties: { severity: finding.severity, 'security-severity': SECURITY_SEVERITY[finding.severity] }
+        };
+        if (finding.file) {
+            const location = { artifactLocation: { uri: finding.file, uriBaseId: '%SRCROOT%' } };
+            if (finding.startLine) {
+                location.region = { startLine: finding.startLine, endLine: finding.endLine || finding.startLine };
+            }
+            result.locations = [{ physicalLocation: location }];
+        }
+        if (finding.fingerprint) {
+            result.partialFingerprints = { 'duq/v1': finding.fingerprint };
+        }
+        if (finding.suppression) {
+            result.suppressions = [{ kind: 'inSource', justification: finding.suppression.reason || undefined }];
+        } else if (baseline) {
+            result.baselineState = 'new';
+        }
+        return result;
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: 'duq', informationUri: TOOL_URI, version, rules } },
+            originalUriBaseIds: { '%SRCROOT%': { uri: 'file://' + root.split(path.sep).join('/').replace(/\/?$/, '/') } },
+            results
+        }]
+    };
+}
+
+module.exports = {
+    SEVERITIES,
+    FORMATS,
+    validateSeverity,
+    validateFormat,
+    formatForPath,
+    parseFindings,
+    dedupeFindings,
+    countBySeverity,
+    findingsAtOrAbove,
+    formatLocation,
+    toMarkdown,
+    toSarif
+};
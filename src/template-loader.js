@@ -0,0 +1,247 @@
+/**
+ * Loads user-defined prompt templates from disk.
+ *
+ * Templates live in `.duq/templates/` (the nearest one walking up from the cwd)
+ * and `~/.duq/templates/`. A template is either a Markdown file with YAML
+ * front-matter or a YAML file with a `prompt` key:
+ *
+ *   ---
+ *   name: summarize
+ *   description: Summarize a file
+ *   target: file            # file, directory or any
+ *   arguments:
+ *     - name: audience
+ *       default: developers
+ *   output:
+ *     mode: write           # print, write, replace or agent
+ *     path: "{dir}/{name}.summary.md"
+ *   ---
+ *   Summarize {{filePath}} ({{language}}) for {{audience}}.
+ *   {{content}}
+ *
+ * A template named after a built-in command (e.g. `refactor`) replaces that command's prompt.
+ *
+ * @module template-loader
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const yaml = require('js-yaml');
+const { getConfig } = require('./config');
+
+const TEMPLATE_EXTENSIONS = ['.md', '.yaml', '.yml'];
+const TARGET_TYPES = ['file', 'directory', 'any'];
+const OUTPUT_MODES = ['print', 'write', 'replace', 'agent'];
+
+/**
+ * Names of the commands whose prompts come from templates.js
+ */
+const BUILT_IN_TEMPLATES = ['document', 'explain', 'refactor', 'test', 'docstrings', 'security', 'review'];
+
+/**
+ * Find the template directories to load, lowest precedence first
+ * @param {string} cwd - Directory to start the project search from
+ * @returns {string[]} - Existing template directories
+ */
+function findTemplateDirs(cwd = process.cwd()) {
+    const dirs = [path.join(os.homedir(), '.duq', 'templates')];
+
+    let dir = path.resolve(cwd);
+    while (true) {
+        const candidate = path.join(dir, '.duq', 'templates');
+        if (fs.existsSync(candidate)) {
+            dirs.push(candidate);
+            break;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            break;
+        }
+        dir = parent;
+    }
+
+    return [...new Set(dirs.map(d => path.resolve(d)))].filter(d => fs.existsSync(d));
+}
+
+/**
+ * Split a Markdown file into YAML front-matter and body
+ * @param {string} text - File contents
+ * @returns {Object} - { attributes, body }
+ */
+function parseFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)([\s\S]*)$/);
+    if (!match) {
+        return { attributes: {}, body: text };
+    }
+    return { attributes: yaml.load(match[1]) || {}, body: match[2] };
+}
+
+/**
+ * Normalise and validate a template definition
+ * @param {Object} attributes - Declared template attributes
+ * @param {string} body - Prompt text
+ * @param {string} source - File the template came from
+ * @returns {Object} - Template definition
+ */
+function normaliseTemplate(attributes, body, source) {
+    const name = attributes.name || path.basename(source, path.extname(source));
+    if (!/^[a-z][\w-]*$/i.test(name)) {
+        throw new Error(`invalid template name '${name}'`);
+    }
+
+    const target = attributes.target || 'file';
+    if (!TARGET_TYPES.includes(target)) {
+        throw new Error(`target must be one of ${TARGET_TYPES.join(', ')}`);
+    }
+
+    const output = typeof attributes.output === 'string' ? { mode: attributes.output } : (attributes.output || {});
+    const mode = output.mode || (output.path ? 'write' : 'print');
+    if (!OUTPUT_MODES.includes(mode)) {
+        throw new Error(`output mode must be one of ${OUTPUT_MODES.join(', ')}`);
+    }
+
+    const args = (attributes.arguments || []).map(arg => (typeof arg === 'string' ? { name: arg } : arg));
+    for (const arg of args) {
+        if (!arg || !/^[a-z][\w]*$/i.test(arg.name || '')) {
+            throw new Error(`invalid argument name '${arg && arg.name}'`);
+        }
+    }
+
+    if (!body || !body.trim()) {
+        throw new Error('template has an empty prompt');
+    }
+
+    return {
+        name,
+        description: attributes.description || `Run the ${name} template`,
+        version: attributes.version !== undefined ? String(attributes.version) : null,
+        target,
+        arguments: args,
+        output: { mode, path: output.path || null },
+        body: body.trim() + '\n',
+        source
+    };
+}
+
+/**
+ * Load a single template file
+ * @param {string} filePath - Path to a .md, .yaml or .yml file
+ * @returns {Object} - Template definition
+ */
+function loadTemplateFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+
+    if (path.extname(filePath).toLowerCase() === '.md') {
+        const { attributes, body } = parseFrontMatter(text);
+        return normaliseTemplate(attributes, body, filePath);
+    }
+
+    const { prompt, ...attributes } = yaml.load(text) || {};
+    return normaliseTemplate(attributes, prompt, filePath);
+}
+
+/**
+ * Load every template from disk and from inline config overrides
+ * @returns {Object} - { templates: map of name to template, errors: load errors }
+ */
+function loadTemplates() {
+    const templates = {};
+    const errors = [];
+
+    for (const dir of findTemplateDirs()) {
+        const files = fs.readdirSync(dir)
+            .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        for (const file of files) {
+            const filePath = path.join(dir, file);
+            try {
+                const template = loadTemplateFile(filePath);
+                templates[template.name] = template;
+            } catch (error) {
+                errors.push({ file: filePath, message: error.message.split('\n')[0] });
+            }
+        }
+    }
+
+    // Inline prompt overrides from the config file win over template files
+    let inline = {};
+    try {
+        inline = getConfig().templates;
+    } catch (error) {
+        // An invalid config file is reported when the command starts
+    }
+    for (const [name, prompt] of Object.entries(inline)) {
+        if (typeof prompt === 'string') {
+            templates[name] = normaliseTemplate({ ...(templates[name] || {}), name }, prompt, 'config');
+        }
+    }
+
+    return { templates, errors };
+}
+
+let cache = null;
+
+/**
+ * Get all loaded templates, loading them on first use
+ * @returns {Object} - Map of template name to definition
+ */
+function getTemplates() {
+    if (!cache) {
+        cache = loadTemplates();
+    }
+    return cache.templates;
+}
+
+/**
+ * Get errors from the last template load
+ * @returns {Array} - { file, message } objects
+ */
+function getTemplateErrors() {
+    getTemplates();
+    return cache.errors;
+}
+
+/**
+ * Get a loaded template by name
+ * @param {string} name - Template name
+ * @returns {Object|null} - Template definition, or null
+ */
+function getTemplate(name) {
+    return getTemplates()[name] || null;
+}
+
+/**
+ * Replace {{placeholder}} variables in a template body.
+ * Unknown placeholders are left untouched.
+ * @param {string} body - Template text
+ * @param {Object} variables - Placeholder values
+ * @returns {string} - Rendered text
+ */
+function renderTemplateString(body, variables) {
+    return body.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+        (variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : placeholder));
+}
+
+/**
+ * Check whether a template body uses a placeholder
+ * @param {string} body - Template text
+ * @param {string} key - Placeholder name
+ * @returns {boolean} - Whether the placeholder appears
+ */
+function usesPlaceholder(body, key) {
+    return new RegExp(`\\{\\{\\s*${key}\\s*\\}\\}`).test(body);
+}
+
+module.exports = {
+    BUILT_IN_TEMPLATES,
+    parseFrontMatter,
+    loadTemplateFile,
+    loadTemplates,
+    getTemplates,
+    getTemplateErrors,
+    getTemplate,
+    renderTemplateString,
+    usesPlaceholder
+};
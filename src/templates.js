@@ -1,7 +1,14 @@
+const { detectLanguage } = require('./languages');
+
 /**
  * Collection of prompt templates for different commands
  */
 
+// What refactor suggestions and security analyses look for; review looks for both
+const REFACTOR_FOCUS = 'code quality, performance, best practices, and potential bugs';
+const SECURITY_FOCUS = `vulnerabilities (OWASP Top 10), insecure coding patterns, input validation issues, authentication/authorization flaws,
+data exposure, injection, XSS, hardcoded secrets, insecure dependencies or configurations, and cryptographic issues`;
+
 const templates = {
   document: (dirPath, outputPath) => {
     const readmePath = outputPath || `${dirPath}/README.md`;
@@ -23,8 +30,15 @@ Don't ask any follow-up questions.
   refactor: (filePath) => `
 Suggest refactoring improvements for: ${filePath}
 Don't ask any follow-up questions.
-Focus on code quality, performance, best practices, and potential bugs.
+Focus on ${REFACTOR_FOCUS}.
 Provide specific code examples.
+`,
+
+  refactorApply: (filePath) => `
+Apply the refactoring to the code instead of only describing it.
+Keep the behavior and the public interface of ${filePath} unchanged.
+Return the complete revised content of ${filePath} in a single fenced code block
+(or a unified diff against the current file). Keep any explanation short and outside the block.
 `,
 
   test: (filePath, outputPath) => {
@@ -43,49 +57,7 @@ Save the test file to: ${testFilePath}
   },
 
   docstrings: (filePath) => {
-    const fileExt = require('path').extname(filePath);
-    let language;
-
-    switch (fileExt.toLowerCase()) {
-      case '.js':
-      case '.jsx':
-      case '.ts':
-      case '.tsx':
-        language = 'JavaScript/TypeScript';
-        break;
-      case '.py':
-        language = 'Python';
-        break;
-      case '.java':
-        language = 'Java';
-        break;
-      case '.rb':
-        language = 'Ruby';
-        break;
-      case '.go':
-        language = 'Go';
-        break;
-      case '.php':
-        language = 'PHP';
-        break;
-      case '.c':
-      case '.cpp':
-      case '.h':
-      case '.hpp':
-        language = 'C/C++';
-        break;
-      case '.cs':
-        language = 'C#';
-        break;
-      case '.swift':
-        language = 'Swift';
-        break;
-      case '.rs':
-        language = 'Rust';
-        break;
-      default:
-        language = 'Unknown';
-    }
+    const language = detectLanguage(filePath);
 
     return `
 Add appropriate docstrings/comments to this code file: ${filePath}
@@ -126,7 +98,112 @@ For each finding:
 
 Format the output as markdown with clear sections and code blocks.
 `;
-  }
+  },
+
+  // Map step of a chunked security analysis
+  securityBatch: (targetPath, batchNumber, batchCount) => `
+Perform a security analysis of part ${batchNumber} of ${batchCount} of the codebase in directory: ${targetPath}
+Don't ask any follow-up questions.
+Only report findings for the files included in this part; other parts are analyzed separately.
+Look for ${SECURITY_FOCUS}.
+
+For each finding give: the file and line, a description, severity (Critical, High, Medium, Low), impact and a fix.
+If this part has no findings, say so in one sentence.
+`,
+
+  // Reduce step of a chunked security analysis
+  securityReduce: (targetPath, partCount, isFinal) => `
+Below are ${partCount} partial security analyses of the codebase in directory: ${targetPath}
+Don't ask any follow-up questions.
+Merge them into ${isFinal ? 'one final security report' : 'one combined list of findings'}:
+1. Deduplicate findings that describe the same issue in the same location, keeping the highest severity
+2. Keep the file and line of every finding
+3. Sort findings by severity (Critical, High, Medium, Low)
+4. For each finding keep the description, severity, impact and fix
+${isFinal ? '5. Start with a short summary table of findings per severity\n\nFormat the output as markdown with clear sections and code blocks.' : ''}
+The structured findings are taken from the partial analyses directly, so leave out their JSON findings blocks.
+`,
+
+  // Map step of a chunked README generation
+  documentBatch: (dirPath, batchNumber, batchCount) => `
+You are helping to write a README.md for the project directory: ${dirPath}
+This is part ${batchNumber} of ${batchCount} of the project; the other parts are summarized separately.
+Don't write the README yet and don't ask any follow-up questions.
+Summarize what this part contributes: the purpose of each file or module, public APIs and commands,
+configuration, dependencies, and any installation or usage steps you can find.
+`,
+
+  // Reduce step of a chunked README generation
+  documentReduce: (dirPath, outputPath, partCount, isFinal) => {
+    if (!isFinal) {
+      return `
+Below are ${partCount} partial summaries of the project directory: ${dirPath}
+Don't ask any follow-up questions.
+Merge them into one combined summary without losing details that belong in a README.
+`;
+    }
+
+    const readmePath = outputPath || `${dirPath}/README.md`;
+    return `
+Below are ${partCount} partial summaries of the project directory: ${dirPath}
+Using them, create one coherent README.md for the whole project.
+Include: project name, description, installation, usage, structure, and dependencies.
+Format as markdown.
+Don't ask any follow-up questions.
+Save the README.md file to: ${readmePath}
+`;
+  },
+
+  // Appended to security prompts so the findings can be exported and used to gate CI
+  securityFindings: () => `
+After the report, list every finding again in one fenced \`\`\`json block of this form:
+{"findings": [{"ruleId": "sql-injection", "category": "Injection", "severity": "high",
+  "file": "src/db.js", "startLine": 12, "endLine": 14, "title": "SQL query built from user input",
+  "description": "What is wrong and its impact", "fix": "How to fix it"}]}
+Use a short kebab-case ruleId per kind of issue, a severity of critical, high, medium or low,
+file paths relative to the analyzed directory and 1-based line numbers. Use {"findings": []} if there are none.
+`,
+
+  // Appended to security prompts with the hits of the local pre-scan
+  securityHints: (hits) => `
+A local scan flagged the locations below. Check each one, include the real issues in your findings
+with the same ruleId and ignore false positives:
+${hits.map(hit => `- ${hit.file}:${hit.startLine} ${hit.ruleId}: ${hit.title}`).join('\n')}
+`,
+
+  // Appended to security prompts run on a git selection
+  selectionNote: (description) => `
+Only the ${description} are included below. Report findings in these files only.
+`,
+
+  // Review of the hunks of a git diff
+  review: (targetPath, description) => `
+Review the ${description} in: ${targetPath}
+Don't ask any follow-up questions.
+Below is the diff with surrounding context. Each hunk is labeled with an id such as [H1], followed by
+the file and the line range it covers in the new version. Lines starting with + were added, lines starting
+with - were removed, other lines are unchanged context.
+Comment on the changed lines only, and use the context to understand them.
+Look for ${REFACTOR_FOCUS}, and for ${SECURITY_FOCUS}.
+Skip hunks that look fine; don't comment on style that matches the surrounding code.
+For each comment give the hunk, the line, what is wrong and a concrete suggestion.
+`,
+
+  // Appended to review prompts so the comments can be attached to their hunks
+  reviewComments: () => `
+After the review, list every comment again in one fenced \`\`\`json block of this form:
+{"comments": [{"hunk": "H1", "file": "src/db.js", "line": 14, "severity": "high", "category": "security",
+  "comment": "What is wrong and why it matters", "suggestion": "The suggested change"}]}
+Use the hunk ids and file paths from the diff, line numbers in the new version of the file, a severity of
+critical, high, medium or low and a category of bug, security, performance, maintainability or style.
+Use {"comments": []} if there is nothing to comment on.
+`,
+
+  // Appended for providers that cannot write files themselves
+  inlineOutput: (outputPath) => `
+You cannot write files yourself, so do not try to save ${outputPath}.
+Instead, return the complete content of that file in a single fenced code block.
+`
 };
 
 module.exports = templates;
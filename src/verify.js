@@ -0,0 +1,397 @@
+/**
+ * Verifies that an edit only touched comments and whitespace.
+ *
+ * Both versions of a file are tokenized with comments and insignificant whitespace
+ * removed, and the token streams are compared. Operators are read longest first
+ * (`++`, `===`, `?.`, ...), so whitespace that keeps two operators apart still counts.
+ * Tokenizers understand strings, template literals and regular expression literals
+ * for JavaScript/TypeScript, and strings plus comment syntax for the other supported
+ * languages. Python docstrings (string literals on a line of their own) count as
+ * comments, and Python indentation counts as code. Unknown languages fall back to
+ * stripping //, /* *\/ and # comments.
+ *
+ * @module verify
+ */
+
+const path = require('path');
+const { diffSequences } = require('./diff');
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+/**
+ * Comment and string syntax per language family
+ */
+const PROFILES = {
+    javascript: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'], regex: true, template: true },
+    c: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'"] },
+    go: { line: ['//'], block: [['/*', '*/']], quotes: ['"', "'", '`'] },
+    php: { line: ['//', '#'], block: [['/*', '*/']], quotes: ['"', "'"] },
+    python: { line: ['#'], block: [], quotes: ['"', "'"], tripleQuotes: true, docstrings: true, indentation: true },
+    ruby: { line: ['#'], block: [['=begin', '=end']], quotes: ['"', "'"] },
+    hash: { line: ['#'], block: [], quotes: ['"', "'"] },
+    fallback: { line: ['//', '#'], block: [['/*', '*/']], quotes: ['"', "'"] }
+};
+
+const PROFILE_BY_EXTENSION = {
+    '.c': 'c', '.h': 'c', '.cpp': 'c', '.hpp': 'c', '.cc': 'c', '.java': 'c', '.cs': 'c', '.kt': 'c',
+    '.scala': 'c', '.swift': 'c', '.rs': 'c', '.dart': 'c', '.go': 'go', '.php': 'php',
+    '.py': 'python', '.rb': 'ruby', '.sh': 'hash', '.bash': 'hash', '.pl': 'hash', '.r': 'hash',
+    '.yml': 'hash', '.yaml': 'hash', '.toml': 'hash'
+};
+
+// Multi-character operators, longest first; `i++ + j` and `i + ++j` differ only in how these are split
+const OPERATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=', '<=>',
+    '=>', '->', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=',
+    '&=', '|=', '^=', '**', '<<', '>>', '::', ':=', '//'
+];
+
+// After these tokens a `/` starts a regular expression rather than a division
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await'
+]);
+
+/**
+ * Pick the tokenizer profile for a file
+ * @param {string} filePath - Path to the file
+ * @returns {Object} - { name, profile }
+ */
+function profileFor(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const name = JS_EXTENSIONS.includes(ext) ? 'javascript' : (PROFILE_BY_EXTENSION[ext] || 'fallback');
+    return { name, profile: PROFILES[name] };
+}
+
+/**
+ * Find the end of a template literal, skipping over its ${...} substitutions
+ * @param {string} source - Source code
+ * @param {number} start - Index of the opening backtick
+ * @returns {number} - Index just past the closing backtick, or the end of the source when unterminated
+ */
+function templateLiteralEnd(source, start) {
+    let i = start + 1;
+    while (i < source.length) {
+        if (source[i] === '\\') {
+            i += 2;
+            continue;
+        }
+        if (source[i] === '`') {
+            return i + 1;
+        }
+        if (!source.startsWith('${', i)) {
+            i++;
+            continue;
+        }
+
+        // A substitution holds code: count its braces and skip the strings in it
+        let depth = 1;
+        i += 2;
+        while (i < source.length && depth > 0) {
+            const ch = source[i];
+            if (ch === '`') {
+                i = templateLiteralEnd(source, i);
+                continue;
+            }
+            if (ch === '"' || ch === "'") {
+                i++;
+                while (i < source.length && source[i] !== ch && source[i] !== '\n') {
+                    i += source[i] === '\\' ? 2 : 1;
+                }
+                i++;
+                continue;
+            }
+            if (ch === '{') {
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+            }
+            i++;
+        }
+    }
+    return source.length;
+}
+
+/**
+ * Tokenize source code without comments and whitespace
+ * @param {string} source - Source code
+ * @param {Object} profile - Language profile from PROFILES
+ * @returns {Array} - Tokens: { value, line }
+ */
+function tokenize(source, profile) {
+    const tokens = [];
+    let i = 0;
+    let line = 1;
+    let lineHasCode = false;
+    let bracketDepth = 0;
+    let lineIndent = '';
+    let atLineStart = true;
+
+    const startsWithAt = (text, index) => source.startsWith(text, index);
+    const advance = (count) => {
+        for (let n = 0; n < count; n++) {
+            if (source[i] === '\n') {
+                line++;
+            }
+            i++;
+        }
+    };
+    const lastCodeToken = () => {
+        for (let t = tokens.length - 1; t >= 0; t--) {
+            if (!tokens[t].indent) {
+                return tokens[t];
+            }
+        }
+        return null;
+    };
+    const push = (value, tokenLine, extra = {}) => {
+        if (profile.indentation && !lineHasCode && bracketDepth === 0) {
+            // Significant indentation: record it once per logical line
+            tokens.push({ value: `<indent:${lineIndent}>`, line: tokenLine, indent: true });
+        }
+        lineHasCode = true;
+        tokens.push({ value, line: tokenLine, ...extra });
+    };
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (ch === '\n') {
+            advance(1);
+            lineHasCode = bracketDepth > 0 ? lineHasCode : false;
+            lineIndent = '';
+            atLineStart = true;
+            continue;
+        }
+        if (/\s/.test(ch)) {
+            if (atLineStart) {
+                lineIndent += ch;
+            }
+            advance(1);
+            continue;
+        }
+        atLineStart = false;
+
+        // Line comments
+        const lineComment = profile.line.find(marker => startsWithAt(marker, i));
+        if (lineComment) {
+            while (i < source.length && source[i] !== '\n') {
+                advance(1);
+            }
+            continue;
+        }
+
+        // Block comments
+        const block = profile.block.find(([open]) => startsWithAt(open, i));
+        if (block) {
+            const end = source.indexOf(block[1], i + block[0].length);
+            advance((end === -1 ? source.length : end + block[1].length) - i);
+            continue;
+        }
+
+        // Strings (including Python triple-quoted strings and prefixes)
+        if (profile.quotes.includes(ch)) {
+            const startLine = line;
+            const startIndex = i;
+            const triple = profile.tripleQuotes && startsWithAt(ch.repeat(3), i);
+            const closing = triple ? ch.repeat(3) : ch;
+            advance(closing.length);
+
+            if (profile.template && ch === '`') {
+                advance(templateLiteralEnd(source, startIndex) - i);
+            } else {
+                while (i < source.length) {
+                    if (source[i] === '\\') {
+                        advance(2);
+                        continue;
+                    }
+                    if (startsWithAt(closing, i)) {
+                        advance(closing.length);
+                        break;
+                    }
+                    if (!triple && ch !== '`' && source[i] === '\n') {
+                        // Unterminated single-line string
+                        break;
+                    }
+                    advance(1);
+                }
+            }
+
+            const value = source.slice(startIndex, i);
+            if (profile.docstrings && !lineHasCode && bracketDepth === 0) {
+                // A string alone on its line is a docstring (or a no-op expression)
+                let look = i;
+                while (look < source.length && (source[look] === ' ' || source[look] === '\t')) {
+                    look++;
+                }
+                if (look >= source.length || source[look] === '\n' || source[look] === '#' || source[look] === '\r') {
+                    continue;
+                }
+            }
+            push(value, startLine);
+            continue;
+        }
+
+        // Regular expression literals (JavaScript/TypeScript)
+        if (profile.regex && ch === '/') {
+            const previous = lastCodeToken();
+            const regexAllowed = !previous ||
+                (previous.kind === 'word'
+                    ? REGEX_PRECEDING_KEYWORDS.has(previous.value)
+                    : (previous.kind === 'punct' && !/^([)\]}]|\+\+|--)$/.test(previous.value)));
+            if (regexAllowed) {
+                const startLine = line;
+                const startIndex = i;
+                advance(1);
+                let inClass = false;
+                while (i < source.length && source[i] !== '\n') {
+                    if (source[i] === '\\') {
+                        advance(2);
+                        continue;
+                    }
+                    if (source[i] === '[') {
+                        inClass = true;
+                    } else if (source[i] === ']') {
+                        inClass = false;
+                    } else if (source[i] === '/' && !inClass) {
+                        advance(1);
+                        break;
+                    }
+                    advance(1);
+                }
+                while (i < source.length && /[a-z]/i.test(source[i])) {
+                    advance(1);
+                }
+                push(source.slice(startIndex, i), startLine, { kind: 'regex' });
+                continue;
+            }
+        }
+
+        // Words and numbers
+        const word = /^[\w$]+/.exec(source.slice(i, i + 256));
+        if (word) {
+            push(word[0], line, { kind: /^\d/.test(word[0]) ? 'number' : 'word' });
+            advance(word[0].length);
+            continue;
+        }
+
+        // Operators (`?.` before a digit is `?` and a number, as in `a?.5:1`)
+        const operator = OPERATORS.find(op => startsWithAt(op, i) && !(op === '?.' && /\d/.test(source[i + 2] || '')));
+        if (operator) {
+            push(operator, line, { kind: 'punct' });
+            advance(operator.length);
+            continue;
+        }
+
+        // Other punctuation, one character at a time
+        if ('([{'.includes(ch)) {
+            bracketDepth++;
+        } else if (')]}'.includes(ch) && bracketDepth > 0) {
+            bracketDepth--;
+        }
+        push(ch, line, { kind: 'punct' });
+        advance(1);
+    }
+
+    return tokens;
+}
+
+/**
+ * Group differing tokens into line ranges of the original and the new file
+ * @param {Array} ops - Operations from diffSequences over token indexes
+ * @param {Array} before - Original tokens
+ * @param {Array} after - New tokens
+ * @returns {Array} - Regions: { original: [start, end], updated: [start, end] }
+ */
+function collectRegions(ops, before, after) {
+    const regions = [];
+    let beforeIndex = 0;
+    let afterIndex = 0;
+    let current = null;
+
+    const lineOf = (tokens, index) => (tokens[Math.min(index, tokens.length - 1)] || { line: 1 }).line;
+
+    for (const op of ops) {
+        if (op.type === 'equal') {
+            if (current) {
+                regions.push(current);
+                current = null;
+            }
+            beforeIndex++;
+            afterIndex++;
+            continue;
+        }
+
+        if (!current) {
+            current = {
+                original: [lineOf(before, beforeIndex), lineOf(before, beforeIndex)],
+                updated: [lineOf(after, afterIndex), lineOf(after, afterIndex)]
+            };
+        }
+        if (op.type === 'delete') {
+            current.original[1] = Math.max(current.original[1], before[beforeIndex].line);
+            beforeIndex++;
+        } else {
+            current.updated[1] = Math.max(current.updated[1], after[afterIndex].line);
+            afterIndex++;
+        }
+    }
+
+    if (current) {
+        regions.push(current);
+    }
+
+    return regions;
+}
+
+/**
+ * Verify that the new version of a file only differs in comments and whitespace
+ * @param {string} filePath - Path of the file (selects the language)
+ * @param {string} original - Original content
+ * @param {string} updated - Proposed content
+ * @returns {Object} - { ok, language, regions } where regions lists changed line ranges
+ */
+function verifyCommentOnlyChanges(filePath, original, updated) {
+    const { name, profile } = profileFor(filePath);
+    const before = tokenize(original, profile);
+    const after = tokenize(updated, profile);
+
+    // Fast path: identical token streams
+    if (before.length === after.length && before.every((token, index) => token.value === after[index].value)) {
+        return { ok: true, language: name, regions: [] };
+    }
+
+    let prefix = 0;
+    while (prefix < before.length && prefix < after.length && before[prefix].value === after[prefix].value) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < before.length - prefix && suffix < after.length - prefix &&
+        before[before.length - 1 - suffix].value === after[after.length - 1 - suffix].value) {
+        suffix++;
+    }
+
+    const beforeMiddle = before.slice(prefix, before.length - suffix);
+    const afterMiddle = after.slice(prefix, after.length - suffix);
+
+    let regions;
+    if (beforeMiddle.length + afterMiddle.length <= 4000) {
+        // Small enough for a precise diff of the differing part
+        const ops = diffSequences(beforeMiddle.map(token => token.value), afterMiddle.map(token => token.value));
+        regions = collectRegions(ops, beforeMiddle, afterMiddle);
+    } else {
+        // Large rewrites: report the whole differing span
+        const lineAt = (tokens, index, fallback) => (tokens[index] ? tokens[index].line : fallback);
+        regions = [{
+            original: [lineAt(before, prefix, 1), lineAt(before, before.length - suffix - 1, 1)],
+            updated: [lineAt(after, prefix, 1), lineAt(after, after.length - suffix - 1, 1)]
+        }];
+    }
+
+    return { ok: false, language: name, regions };
+}
+
+module.exports = {
+    profileFor,
+    tokenize,
+    verifyCommentOnlyChanges
+};
@@ -0,0 +1,299 @@
+/**
+ * Workspace snapshots around agent calls.
+ *
+ * When the provider writes files itself (Amazon Q with tool access), duq cannot see
+ * what was written. Before the call every file of the project is hashed and its
+ * content saved in the backup blob store; afterwards the project is hashed again and
+ * compared. Overwritten and deleted files get a backup entry pointing at the saved
+ * content, created files are recorded in the current transaction, and every change
+ * is reported. An agent with every tool can write anywhere, so the temp directory and
+ * the directories listed in `snapshot.extraPaths` are watched as well; their files are
+ * only hashed, not saved, so changes there are reported but not backed up. When the
+ * agent may only write its output (the write-output permission profile), changes to
+ * any other file are rolled back from the snapshot.
+ *
+ * @module workspace-snapshot
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const chalk = require('chalk');
+const backupManager = require('./backup-manager');
+const { getConfig, expandHome } = require('./config');
+
+// Directories that are never snapshotted (dependencies and VCS metadata)
+const SKIPPED_DIRS = new Set(['.git', '.hg', '.svn', 'node_modules', 'bower_components', '.venv', 'venv', '__pycache__']);
+
+// Markers of a project root, checked from the target upwards
+const ROOT_MARKERS = ['.git', 'package.json', '.duqrc.json', '.duqrc', 'duq.config.js'];
+
+const MAX_FILES = 20000;
+const MAX_BACKUP_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Find the project directory to snapshot for a target
+ * @param {string} targetPath - File or directory the command runs on
+ * @returns {string} - Nearest ancestor with a project marker, or the target's directory
+ */
+function findProjectRoot(targetPath) {
+    const absolutePath = path.resolve(targetPath);
+    const start = fs.existsSync(absolutePath) && fs.statSync(absolutePath).isDirectory() ? absolutePath : path.dirname(absolutePath);
+
+    let dir = start;
+    while (true) {
+        if (ROOT_MARKERS.some(marker => fs.existsSync(path.join(dir, marker)))) {
+            return dir;
+        }
+        const parent = path.dirname(dir);
+        if (parent === dir) {
+            return start;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Check whether a path is a directory or inside it
+ * @param {string} target - Absolute path
+ * @param {string} dir - Absolute directory path
+ * @returns {boolean} - Whether target is dir or below it
+ */
+function isInside(target, dir) {
+    const relative = path.relative(dir, target);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Directories outside the project that are watched as well: the temp directory and
+ * the `snapshot.extraPaths` config entry
+ * @param {string} rootDir - Project directory
+ * @returns {string[]} - Existing absolute directories that are not inside the project
+ */
+function watchedPaths(rootDir) {
+    const configured = (getConfig().snapshot || {}).extraPaths || [];
+    const dirs = [os.tmpdir(), ...configured].map(dir => path.resolve(expandHome(dir)));
+    return [...new Set(dirs)].filter(dir => !isInside(dir, rootDir) && fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+}
+
+/**
+ * Hash every file below the root (and any extra paths)
+ * @param {string} rootDir - Directory to walk
+ * @param {Object} options - Snapshot options
+ * @param {string[]} [options.extraPaths] - Files outside the root to include (e.g. the expected output)
+ * @param {string[]} [options.watchedPaths] - Directories outside the root to include; their contents are never stored
+ * @param {boolean} [options.store] - Save file contents of the root in the blob store
+ * @returns {Object} - { rootDir, files: Map(path => { hash, size, stored }), truncated, extraPaths, watchedPaths }
+ */
+function takeSnapshot(rootDir, options = {}) {
+    const files = new Map();
+    let truncated = false;
+
+    const addFile = (filePath, store) => {
+        if (files.has(filePath)) {
+            return;
+        }
+        if (files.size >= MAX_FILES) {
+            truncated = true;
+            return;
+        }
+        try {
+            const stat = fs.statSync(filePath);
+            if (stat.size > MAX_BACKUP_SIZE) {
+                // Too large to back up: size and modification time tell whether it changed
+                files.set(filePath, { hash: `stat:${stat.size}:${stat.mtimeMs}`, size: stat.size, stored: false });
+                return;
+            }
+            const content = fs.readFileSync(filePath);
+            const stored = Boolean(store);
+            const hash = stored ? backupManager.writeBlob(content) : backupManager.hashContent(content);
+            files.set(filePath, { hash, size: content.length, stored });
+        } catch (error) {
+            // Unreadable files (permissions, races with the agent) are left out
+        }
+    };
+
+    const walk = (dir, store, skipDir) => {
+        let entries;
+        try {
+            entries = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (error) {
+            return;
+        }
+        for (const entry of entries) {
+            const entryPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!SKIPPED_DIRS.has(entry.name) && entryPath !== skipDir) {
+                    walk(entryPath, store, skipDir);
+                }
+            } else if (entry.isFile()) {
+                addFile(entryPath, store);
+            }
+        }
+    };
+
+    walk(rootDir, options.store);
+    for (const extraPath of options.extraPaths || []) {
+        if (fs.existsSync(extraPath) && fs.statSync(extraPath).isFile()) {
+            addFile(path.resolve(extraPath), options.store);
+        }
+    }
+    // The project may be inside a watched directory (e.g. under /tmp); it is walked once
+    for (const watchedPath of options.watchedPaths || []) {
+        walk(watchedPath, false, rootDir);
+    }
+
+    return { rootDir, files, truncated, extraPaths: options.extraPaths || [], watchedPaths: options.watchedPaths || [] };
+}
+
+/**
+ * Compare two snapshots
+ * @param {Object} before - Snapshot taken before the call
+ * @param {Object} after - Snapshot taken after the call
+ * @returns {Object} - { created, modified, deleted } lists of absolute paths
+ */
+function diffSnapshots(before, after) {
+    const changes = { created: [], modified: [], deleted: [] };
+
+    for (const [filePath, entry] of after.files) {
+        const previous = before.files.get(filePath);
+        if (!previous) {
+            changes.created.push(filePath);
+        } else if (previous.hash !== entry.hash) {
+            changes.modified.push(filePath);
+        }
+    }
+    for (const filePath of before.files.keys()) {
+        if (!after.files.has(filePath)) {
+            changes.deleted.push(filePath);
+        }
+    }
+
+    Object.values(changes).forEach(list => list.sort());
+    return changes;
+}
+
+/**
+ * Snapshot the workspace before an agent call
+ * @param {string} targetPath - File or directory the command runs on
+ * @param {string[]} [expectedOutputs] - Files the agent is expected to write
+ * @returns {Object} - Snapshot to pass to finishWorkspaceWatch
+ */
+function startWorkspaceWatch(targetPath, expectedOutputs = []) {
+    const rootDir = findProjectRoot(targetPath);
+    const snapshot = takeSnapshot(rootDir, { extraPaths: expectedOutputs, watchedPaths: watchedPaths(rootDir), store: true });
+    if (snapshot.truncated) {
+        console.log(chalk.yellow(`Warning: ${[rootDir, ...snapshot.watchedPaths].join(', ')} hold more than ${MAX_FILES} files; only the first ${MAX_FILES} are tracked`));
+    }
+    return snapshot;
+}
+
+/**
+ * Undo an agent's change to a file outside its allowed outputs
+ * @param {Object} before - Snapshot from startWorkspaceWatch
+ * @param {string} filePath - Changed file
+ * @returns {boolean} - Whether the file is back to its snapshot state
+ */
+function rollbackChange(before, filePath) {
+    const previous = before.files.get(filePath);
+    try {
+        if (!previous) {
+            fs.removeSync(filePath);
+            return true;
+        }
+        if (!previous.stored) {
+            return false;
+        }
+        fs.ensureDirSync(path.dirname(filePath));
+        fs.writeFileSync(filePath, backupManager.readBackupContent({ id: filePath, hash: previous.hash }));
+        return true;
+    } catch (error) {
+        console.error(chalk.red(`Error rolling back ${filePath}: ${error.message}`));
+        return false;
+    }
+}
+
+/**
+ * Compare the workspace with the snapshot taken before an agent call, back up
+ * overwritten and deleted files, record created files and report every change
+ * @param {Object} before - Snapshot from startWorkspaceWatch
+ * @param {Object} options - Report options
+ * @param {string} options.operation - Operation recorded with the backups
+ * @param {string} [options.agent] - Name of the provider that wrote the files
+ * @param {string[]} [options.expectedOutputs] - Files that must have been created or changed
+ * @param {string[]} [options.allowedPaths] - Only these files may change; other changes are rolled back
+ * @returns {Object} - { created, modified, deleted, rolledBack, missing, watched } where missing lists expected
+ *   outputs not produced and watched the directories that were compared
+ */
+function finishWorkspaceWatch(before, options) {
+    const after = takeSnapshot(before.rootDir, { extraPaths: before.extraPaths, watchedPaths: before.watchedPaths });
+    const changes = diffSnapshots(before, after);
+    const agent = options.agent || 'The provider';
+    const relative = (filePath) => {
+        const relativePath = path.relative(process.cwd(), filePath);
+        return relativePath.startsWith('..') ? filePath : relativePath;
+    };
+
+    // Changes outside the allowed paths are undone instead of kept
+    const rolledBack = [];
+    if (options.allowedPaths) {
+        const allowed = new Set(options.allowedPaths.map(allowedPath => path.resolve(allowedPath)));
+        for (const kind of ['created', 'modified', 'deleted']) {
+            changes[kind] = changes[kind].filter(filePath => {
+                if (allowed.has(filePath)) {
+                    return true;
+                }
+                if (rollbackChange(before, filePath)) {
+                    rolledBack.push({ filePath, kind });
+                    return false;
+                }
+                console.log(chalk.yellow(`Warning: Could not roll back ${relative(filePath)} (${kind} outside the allowed output)`));
+                return true;
+            });
+        }
+    }
+
+    const backupNote = (filePath) => {
+        const previous = before.files.get(filePath);
+        if (!previous.stored) {
+            return chalk.yellow(isInside(filePath, before.rootDir) ? ' (too large to back up)' : ' (outside the project, not backed up)');
+        }
+        // Recorded in the current transaction like any other backup
+        const backupId = backupManager.recordBackup(filePath, previous.hash, previous.size, options.operation);
+        return backupId ? chalk.gray(` (backup ${backupId})`) : chalk.red(' (backup failed)');
+    };
+
+    const total = changes.created.length + changes.modified.length + changes.deleted.length;
+    if (total === 0 && rolledBack.length === 0) {
+        console.log(chalk.yellow(`\n${agent} did not change any files in ${[before.rootDir, ...before.watchedPaths].join(', ')}`));
+    } else {
+        console.log(chalk.cyan(`\nFiles changed by ${agent}:`));
+        changes.created.forEach(filePath => {
+            backupManager.recordCreated(filePath);
+            console.log(chalk.green(`  created  ${relative(filePath)}`));
+        });
+        changes.modified.forEach(filePath => {
+            console.log(chalk.yellow(`  modified ${relative(filePath)}`) + backupNote(filePath));
+        });
+        changes.deleted.forEach(filePath => {
+            console.log(chalk.red(`  deleted  ${relative(filePath)}`) + backupNote(filePath));
+        });
+        rolledBack.forEach(({ filePath, kind }) => {
+            console.log(chalk.magenta(`  reverted ${relative(filePath)}`) + chalk.gray(` (${kind} outside the allowed output)`));
+        });
+    }
+
+    const produced = new Set([...changes.created, ...changes.modified]);
+    const missing = (options.expectedOutputs || []).map(outputPath => path.resolve(outputPath)).filter(outputPath => !produced.has(outputPath));
+
+    return { ...changes, rolledBack, missing, watched: [before.rootDir, ...before.watchedPaths] };
+}
+
+module.exports = {
+    findProjectRoot,
+    watchedPaths,
+    takeSnapshot,
+    diffSnapshots,
+    startWorkspaceWatch,
+    finishWorkspaceWatch
+};
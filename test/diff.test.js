@@ -0,0 +1,71 @@
+/**
+ * Tests for the line diff and hunk handling. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const { diffSequences, diffHunks, applyHunks } = require('../src/diff');
+
+/**
+ * Rebuild both sides of a diff from its operations
+ * @param {Array} ops - Operations from diffSequences
+ * @returns {Object} - { before, after }
+ */
+function sides(ops) {
+    return {
+        before: ops.filter(op => op.type !== 'insert').map(op => op.line),
+        after: ops.filter(op => op.type !== 'delete').map(op => op.line)
+    };
+}
+
+/**
+ * Count the deleted and inserted elements of a diff
+ * @param {Array} ops - Operations from diffSequences
+ * @returns {number} - Number of edits
+ */
+function edits(ops) {
+    return ops.filter(op => op.type !== 'equal').length;
+}
+
+test('diffSequences finds a shortest edit script', () => {
+    const a = 'abcabba'.split('');
+    const b = 'cbabac'.split('');
+    const ops = diffSequences(a, b);
+
+    assert.deepStrictEqual(sides(ops), { before: a, after: b });
+    assert.strictEqual(edits(ops), 5);
+});
+
+test('diffSequences handles empty sides', () => {
+    assert.deepStrictEqual(diffSequences([], []), []);
+    assert.deepStrictEqual(diffSequences(['a'], []), [{ type: 'delete', line: 'a' }]);
+    assert.deepStrictEqual(diffSequences([], ['a']), [{ type: 'insert', line: 'a' }]);
+});
+
+test('diffSequences keeps the unchanged lines of a large file', () => {
+    const a = Array.from({ length: 20000 }, (_, index) => `line ${index}`);
+    const b = a.map((line, index) => (index % 100 === 0 ? `${line} changed` : line));
+    const ops = diffSequences(a, b);
+
+    assert.deepStrictEqual(sides(ops), { before: a, after: b });
+    assert.strictEqual(edits(ops), 400);
+});
+
+test('diffSequences replaces a large rewrite without running out of memory', () => {
+    const a = Array.from({ length: 20000 }, (_, index) => `old ${index}`);
+    const b = Array.from({ length: 20000 }, (_, index) => `new ${index}`);
+    const ops = diffSequences(a, b);
+
+    assert.deepStrictEqual(sides(ops), { before: a, after: b });
+    assert.strictEqual(edits(ops), 40000);
+});
+
+test('applyHunks applies only the accepted hunks', () => {
+    const oldText = Array.from({ length: 20 }, (_, index) => `line ${index}`).join('\n') + '\n';
+    const newText = oldText.replace('line 2\n', 'line two\n').replace('line 17\n', 'line seventeen\n');
+    const hunks = diffHunks(oldText, newText);
+
+    assert.strictEqual(hunks.length, 2);
+    assert.strictEqual(applyHunks(oldText, newText, hunks, [true, true]), newText);
+    assert.strictEqual(applyHunks(oldText, newText, hunks, [false, true]), oldText.replace('line 17\n', 'line seventeen\n'));
+});
@@ -0,0 +1,10 @@
+#include <cmath>
+
+struct Vector {
+    double x;
+    double y;
+};
+
+double length(const Vector& v) {
+    return std::sqrt(v.x * v.x + v.y * v.y);
+}
@@ -0,0 +1,117 @@
+/**
+ * Tests for the response parser against recorded provider responses in
+ * test/fixtures/responses. Run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseFences, extractFileContent, extractDocument } = require('../src/response-parser');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Read a fixture file
+ * @param {string} name - Path relative to test/fixtures
+ * @returns {string} - File content
+ */
+function fixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+test('parseFences splits a response into its blocks', () => {
+    const blocks = parseFences(fixture('responses/multiple-blocks.md'));
+
+    assert.deepStrictEqual(blocks.map(block => block.language), ['javascript', 'javascript', 'bash']);
+    assert.ok(blocks.every(block => block.closed));
+    assert.strictEqual(blocks[0].content, "const { add } = require('./math');\nconsole.log(add(1, 2));");
+    assert.strictEqual(blocks[1].filename, 'math.js');
+    assert.strictEqual(blocks[1].explicitFilename, false);
+    assert.strictEqual(blocks[2].content, 'npm test');
+});
+
+test('parseFences keeps nested fences inside a longer fence', () => {
+    const blocks = parseFences(fixture('responses/nested-fences.md'));
+
+    assert.strictEqual(blocks.length, 1);
+    assert.strictEqual(blocks[0].language, 'markdown');
+    assert.match(blocks[0].content, /```bash\nnpm install math\n```/);
+    assert.match(blocks[0].content, /add\(1, 2\); \/\/ 3\n```$/);
+});
+
+test('parseFences keeps nested fences of the same length', () => {
+    const blocks = parseFences(fixture('responses/security-report.md'));
+
+    assert.strictEqual(blocks.length, 1);
+    assert.match(blocks[0].content, /```js\nconst token = 'abc123';\n```\n\nMove the token/);
+});
+
+test('parseFences reads info strings with symbols and filenames', () => {
+    assert.strictEqual(parseFences(fixture('responses/cpp-info-string.md'))[0].language, 'c++');
+
+    const [tagged, titled] = parseFences('```js:src/a.js\na();\n```\n\n~~~ts title="src/b.ts"\nb();\n~~~\n');
+    assert.deepStrictEqual([tagged.language, tagged.filename], ['js', 'src/a.js']);
+    assert.deepStrictEqual([titled.language, titled.filename, titled.explicitFilename], ['ts', 'src/b.ts', true]);
+});
+
+test('parseFences marks an unterminated block', () => {
+    const [block] = parseFences('Here it is:\n\n```python\nprint("hi")\n');
+
+    assert.strictEqual(block.closed, false);
+    assert.strictEqual(block.content, 'print("hi")\n');
+});
+
+test('extractFileContent picks the full file over a usage example', () => {
+    const original = fixture('originals/math.js');
+    const result = extractFileContent(fixture('responses/multiple-blocks.md'), { filePath: 'math.js', original });
+
+    assert.strictEqual(result.source, 'block');
+    assert.match(result.content, /^\/\*\*\n \* Add two numbers/);
+    assert.match(result.content, /module\.exports = \{ add, subtract, multiply \};$/);
+});
+
+test('extractFileContent ignores an example block in the preamble', () => {
+    const original = fixture('originals/math.js');
+    const result = extractFileContent(fixture('responses/preamble-example.md'), { filePath: 'math.js', original });
+
+    assert.match(result.content, /^\/\*\* Add two numbers \*\/\nfunction add/);
+    assert.strictEqual(result.block.startLine, 12);
+});
+
+test('extractFileContent matches a c++ block to a .cpp file', () => {
+    const original = fixture('originals/vector.cpp');
+    const result = extractFileContent(fixture('responses/cpp-info-string.md'), { filePath: 'src/vector.cpp', original });
+
+    assert.strictEqual(result.block.language, 'c++');
+    assert.match(result.content, /^#include <cmath>\n\n\/\/\/ A two-dimensional vector/);
+});
+
+test('extractFileContent applies a diff answer to the original file', () => {
+    const original = fixture('originals/math.js');
+    const result = extractFileContent(fixture('responses/diff-answer.md'), { filePath: 'math.js', original });
+
+    assert.strictEqual(result.source, 'diff');
+    assert.strictEqual(result.content + '\n', original.replace('function multiply', '// Multiply two numbers\nfunction multiply'));
+});
+
+test('extractFileContent skips a diff answer when there is no original', () => {
+    assert.strictEqual(extractFileContent(fixture('responses/diff-answer.md'), { filePath: 'math.js' }), null);
+});
+
+test('extractFileContent returns null for a response without blocks', () => {
+    assert.strictEqual(extractFileContent('The file looks fine as it is.', { filePath: 'math.js', original: 'x();\n' }), null);
+});
+
+test('extractDocument takes the markdown block with its nested fences', () => {
+    const document = extractDocument(fixture('responses/security-report.md'));
+
+    assert.match(document, /^# Security Report\n/);
+    assert.match(document, /Move the token to an environment variable\.$/);
+});
+
+test('extractDocument uses the whole response when there is no markdown block', () => {
+    const response = '\n# Report\n\nNo issues found.\n\n```js\nok();\n```\n';
+
+    assert.strictEqual(extractDocument(response), response.trim());
+});